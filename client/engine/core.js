@@ -1,9 +1,16 @@
-// PADDLA Engine v9 - UVS v3 (wire format unchanged since v1)
+// PADDLA Engine v13 - UVS v3 (wire format unchanged since v1)
 // Provably fair via UVS protocol: github.com/constarik/uvs
 // combinedSeed = SHA-512(serverSeed + ":" + clientSeed + ":" + nonce)
 // PRNG: ChaCha20 (RFC 8439), key=combinedSeed[0..31], nonce=combinedSeed[32..43]
+// v10: the player's clientSeed and per-player nonce are part of every per-tick combinedSeed.
+// v11: the game's rules come from a ruleset on the state (see RULESETS), hashed into the header.
+// v12: the physics takes sqrt/sin/cos/atan2 from its own kernel (see DETERMINISTIC MATH), never from Math.
+// v13: ball-ball pairs come from a grid broadphase (same outcomes as v12); up to 200 balls on the field.
+// This file is the live engine. Released versions are frozen in engine/versions/ and
+// dispatched by engine/registry.js — replay stored records through the registry, not here.
 
-const ENGINE_VERSION = 9;
+const ENGINE_VERSION = 13;
+const DEFAULT_CLIENT_SEED = 'uvs-paddla';
 
 const _crypto = typeof window === 'undefined' ? require('crypto') : null;
 
@@ -238,18 +245,148 @@ class UVS_PRNG {
   }
 }
 
-// Per-tick combinedSeed: serverSeed is game secret, clientSeed encodes bumper position, nonce = tick
-function _tickCombinedSeed(serverSeed, bumperX, bumperY, tick) {
-  const clientSeed = `${bumperX.toFixed(4)}:${bumperY.toFixed(4)}`;
+// v13+: a tick with up to 200 balls on the field can draw past the pre-generated 64 uint32.
+// The keystream then regrows as the same ChaCha20 stream, so every earlier draw is unchanged.
+// UVS_PRNG itself stays as v9-v12 shipped it.
+class UVS_PRNG_V13 extends UVS_PRNG {
+  constructor(combinedSeedHex) {
+    super(combinedSeedHex);
+    this._seedHex = combinedSeedHex;
+  }
+
+  nextUint32() {
+    if (this._pos + 4 > this._stream.length) {
+      const buf = _crypto
+        ? Buffer.from(this._seedHex, 'hex')
+        : Uint8Array.from(this._seedHex.match(/../g), h => parseInt(h, 16));
+      this._stream = _chacha20Keystream(buf.slice(0, 32), buf.slice(32, 44), this._stream.length * 2);
+    }
+    return super.nextUint32();
+  }
+}
+
+// Per-tick combinedSeed: serverSeed is game secret, nonce = tick,
+// clientSeed = player seed + per-player game nonce + bumper position
+function _tickCombinedSeed(serverSeed, playerSeed, gameNonce, bumperX, bumperY, tick) {
+  const clientSeed = `${playerSeed}:${gameNonce}:${bumperX.toFixed(4)}:${bumperY.toFixed(4)}`;
   return sha512Hex(`${serverSeed}:${clientSeed}:${tick}`);
 }
 
+// ===== DETERMINISTIC MATH (v12) =====
+// ECMAScript leaves Math.sqrt/sin/cos/atan2 (and **) "implementation-approximated": V8,
+// JavaScriptCore and SpiderMonkey may return different last bits for the same argument, and
+// one bit is enough for a browser and the verifier to play different games. + - * / are
+// IEEE-754 correctly rounded everywhere, as are Math.round/abs/min/max, so the physics only
+// uses the functions below, built from those alone in a fixed order of operations.
+// Trig: fdlibm's kernels (k_sin.c, k_cos.c, s_atan.c, e_atan2.c) with a Cody-Waite
+// reduction by pi/2. engine/math-vectors.json pins their exact outputs.
+
+// sqrt: scale into [0.25, 1) by powers of 4 (exact), linear guess, fixed Newton steps
+function detSqrt(x) {
+  if (!(x > 0)) return x === 0 ? x : NaN;
+  if (x === Infinity) return x;
+  let m = x, s = 1;
+  while (m >= 1) { m *= 0.25; s *= 2; }
+  while (m < 0.25) { m *= 4; s *= 0.5; }
+  let y = 0.41731 + 0.59016 * m;
+  for (let i = 0; i < 4; i++) y = 0.5 * (y + m / y);
+  return y * s;
+}
+
+const _DM_INV_PIO2 = 6.36619772367581382433e-01;
+const _DM_PIO2_1 = 1.57079632673412561417e+00;   // first 33 bits of pi/2: n*_DM_PIO2_1 is exact for |n| < 2^20
+const _DM_PIO2_1T = 6.07710050650619224932e-11;  // pi/2 - _DM_PIO2_1
+const _DM_PI = 3.14159265358979311600e+00;
+const _DM_PI_LO = 1.2246467991473532e-16;
+const _DM_PIO2 = 1.57079632679489655800e+00;
+
+// |r| <= ~pi/4
+function _dmKernelSin(r) {
+  const z = r * r, v = z * r;
+  const p = 8.33333333332248946124e-03 + z * (-1.98412698298579493134e-04 + z * (2.75573137070700676789e-06 +
+    z * (-2.50507602534068634195e-08 + z * 1.58969099521155010221e-10)));
+  return r + v * (-1.66666666666666324348e-01 + z * p);
+}
+
+function _dmKernelCos(r) {
+  const z = r * r;
+  const p = z * (4.16666666666666019037e-02 + z * (-1.38888888888741095749e-03 + z * (2.48015872894767294178e-05 +
+    z * (-2.75573143513906633035e-07 + z * (2.08757232129817482790e-09 + z * -1.13596475577881948265e-11)))));
+  const hz = 0.5 * z, w = 1 - hz;
+  return w + (((1 - w) - hz) + z * p);
+}
+
+// x = n*pi/2 + r; returns [n mod 4, r]
+function _dmReduce(x) {
+  const n = Math.round(x * _DM_INV_PIO2);
+  if (Math.abs(n) >= 0x80000) throw new RangeError(`Angle out of range: ${x}`);
+  return [n & 3, (x - n * _DM_PIO2_1) - n * _DM_PIO2_1T];
+}
+
+function detSin(x) {
+  if (!isFinite(x)) return NaN;
+  const [q, r] = _dmReduce(x);
+  if (q === 0) return _dmKernelSin(r);
+  if (q === 1) return _dmKernelCos(r);
+  if (q === 2) return -_dmKernelSin(r);
+  return -_dmKernelCos(r);
+}
+
+function detCos(x) {
+  if (!isFinite(x)) return NaN;
+  const [q, r] = _dmReduce(x);
+  if (q === 0) return _dmKernelCos(r);
+  if (q === 1) return -_dmKernelSin(r);
+  if (q === 2) return -_dmKernelCos(r);
+  return _dmKernelSin(r);
+}
+
+const _DM_ATAN_HI = [4.63647609000806093515e-01, 7.85398163397448278999e-01, 9.82793723247329054082e-01, 1.57079632679489655800e+00];
+const _DM_ATAN_LO = [2.26987774529616870924e-17, 3.06161699786838301793e-17, 1.39033110312309984516e-17, 6.12323399573676603587e-17];
+const _DM_AT = [
+  3.33333333333329318027e-01, -1.99999999998764832476e-01, 1.42857142725034663711e-01,
+  -1.11111104054623557880e-01, 9.09088713343650656196e-02, -7.69187620504482999495e-02,
+  6.66107313738753120669e-02, -5.83357013379057348645e-02, 4.97687799461593236017e-02,
+  -3.65315727442169155270e-02, 1.62858201153657823623e-02
+];
+
+// atan of a finite a >= 0
+function _dmAtan(a) {
+  if (a >= 7.378697629483821e+19) return _DM_ATAN_HI[3] + _DM_ATAN_LO[3];  // 2^66
+  let id = -1, x = a;
+  if (a < 0.4375) {
+    if (a < 7.450580596923828e-9) return a;  // 2^-27
+  } else if (a < 1.1875) {
+    if (a < 0.6875) { id = 0; x = (2 * a - 1) / (2 + a); } else { id = 1; x = (a - 1) / (a + 1); }
+  } else if (a < 2.4375) { id = 2; x = (a - 1.5) / (1 + 1.5 * a); } else { id = 3; x = -1 / a; }
+  const z = x * x, w = z * z, T = _DM_AT;
+  const s1 = z * (T[0] + w * (T[2] + w * (T[4] + w * (T[6] + w * (T[8] + w * T[10])))));
+  const s2 = w * (T[1] + w * (T[3] + w * (T[5] + w * (T[7] + w * T[9]))));
+  if (id < 0) return x - x * (s1 + s2);
+  return _DM_ATAN_HI[id] - ((x * (s1 + s2) - _DM_ATAN_LO[id]) - x);
+}
+
+// Finite arguments; signed zeros as in Math.atan2
+function detAtan2(y, x) {
+  if (!isFinite(y) || !isFinite(x)) return NaN;
+  const yNeg = y < 0 || Object.is(y, -0), xNeg = x < 0 || Object.is(x, -0);
+  if (y === 0) return xNeg ? (yNeg ? -_DM_PI : _DM_PI) : y;
+  if (x === 0) return yNeg ? -_DM_PIO2 : _DM_PIO2;
+  const a = Math.abs(y / x);
+  let z;
+  if (a > 1.152921504606847e+18) z = _DM_PIO2 + 0.5 * _DM_PI_LO;  // 2^60
+  else if (xNeg && a < 8.673617379884035e-19) z = 0;                // 2^-60
+  else z = _dmAtan(a);
+  if (!xNeg) return yNeg ? -z : z;
+  return yNeg ? (z - _DM_PI_LO) - _DM_PI : _DM_PI - (z - _DM_PI_LO);
+}
+
 // ===== UTILITIES =====
 
 const FP_ROUND = 1e10;
 function fpRound(v) { return Math.round(v * FP_ROUND) / FP_ROUND; }
 function moneyRound(v) { return Math.round(v * 100) / 100; }
-function dist(ax,ay,bx,by) { return Math.sqrt((bx-ax)**2+(by-ay)**2); }
+function dist(ax,ay,bx,by) { const dx=bx-ax, dy=by-ay; return detSqrt(dx*dx+dy*dy); }
 function clamp(v,min,max) { return Math.max(min,Math.min(max,v)); }
 function bytesToHex(b) { return _bytesToHex(b); }
 
@@ -268,56 +405,129 @@ const BUMPER = {
   MAX_SPEED:0.15, START_X:4.5, START_Y:2.0
 };
 
+// ===== RULESETS =====
+
+// A ruleset is { config, bumper } with the keys of CONFIG and BUMPER below that shape a game;
+// BET_PER_BALL and MAX_TICKS_PER_BALL are economy and replay limits, not rules. Any subset
+// may be given: resolveRuleset() fills in the rest from DEFAULT_RULESET (the constants
+// above, i.e. the game every version before v11 played), checks it and returns the full,
+// frozen ruleset that createInitialState() puts on state.ruleset. rulesetHash() is the
+// SHA-256 of its canonical JSON; the session header and trail records carry it, so a record
+// names the exact rules it replays under.
+const RULE_CONFIG_KEYS = [
+  'FIELD', 'BALL_R', 'SPEED', 'GOAL_R', 'CENTER_R', 'CENTER_X', 'CENTER_Y', 'COUNTDOWN',
+  'GOLDEN_CHANCE', 'EXPLOSIVE_CHANCE', 'SPAWN_COOLDOWN', 'SPAWN_INTERVAL', 'MAX_ON_FIELD',
+  'TIMEOUT_LIMIT', 'PROGRESSIVE_CAP'
+];
+const RULE_BUMPER_KEYS = Object.keys(BUMPER);
+const RULE_INTEGERS = ['COUNTDOWN', 'SPAWN_COOLDOWN', 'SPAWN_INTERVAL', 'MAX_ON_FIELD', 'TIMEOUT_LIMIT', 'PROGRESSIVE_CAP'];
+const MAX_ON_FIELD_LIMIT = 200;  // v13: "ball rush" fields, kept affordable by the BROADPHASE
+
+function _freezeRuleset(config, bumper) {
+  return Object.freeze({ config: Object.freeze(config), bumper: Object.freeze(bumper) });
+}
+
+const DEFAULT_RULESET = _freezeRuleset(
+  Object.fromEntries(RULE_CONFIG_KEYS.map(k => [k, CONFIG[k]])),
+  { ...BUMPER }
+);
+
+function _rulePart(value, keys, field) {
+  if (value === undefined) return {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Invalid ruleset: ${field} must be an object`);
+  }
+  for (const k of Object.keys(value)) {
+    if (!keys.includes(k)) throw new Error(`Invalid ruleset: unknown rule ${field}.${k}`);
+    if (typeof value[k] !== 'number' || !Number.isFinite(value[k])) {
+      throw new Error(`Invalid ruleset: ${field}.${k} must be a finite number`);
+    }
+  }
+  return value;
+}
+
+function resolveRuleset(ruleset) {
+  if (ruleset === undefined || ruleset === null) return DEFAULT_RULESET;
+  if (typeof ruleset !== 'object' || Array.isArray(ruleset)) throw new Error('Invalid ruleset: must be an object');
+  for (const k of Object.keys(ruleset)) {
+    if (k !== 'config' && k !== 'bumper') throw new Error(`Invalid ruleset: unknown section ${k}`);
+  }
+  const c = { ...DEFAULT_RULESET.config, ..._rulePart(ruleset.config, RULE_CONFIG_KEYS, 'config') };
+  const b = { ...DEFAULT_RULESET.bumper, ..._rulePart(ruleset.bumper, RULE_BUMPER_KEYS, 'bumper') };
+  const check = (ok, rule) => { if (!ok) throw new Error(`Invalid ruleset: ${rule}`); };
+  for (const k of RULE_INTEGERS) check(Number.isInteger(c[k]) && c[k] >= (k === 'SPAWN_COOLDOWN' ? 0 : 1), `config.${k} must be a positive integer`);
+  check(c.MAX_ON_FIELD <= MAX_ON_FIELD_LIMIT, `config.MAX_ON_FIELD must be at most ${MAX_ON_FIELD_LIMIT}`);
+  check(c.FIELD > 2, 'config.FIELD must be greater than 2');
+  check(c.BALL_R > 0 && c.BALL_R < 1, 'config.BALL_R must be between 0 and 1');
+  check(c.SPEED > 0 && c.SPEED < c.BALL_R, 'config.SPEED must be positive and below config.BALL_R');
+  check(c.GOAL_R > 0 && c.GOAL_R < c.FIELD / 2, 'config.GOAL_R must be positive and below half the field');
+  check(c.CENTER_R >= 0 && c.CENTER_X > 0 && c.CENTER_X < c.FIELD && c.CENTER_Y > 0 && c.CENTER_Y < c.FIELD,
+    'the center zone must lie inside the field');
+  check(c.GOLDEN_CHANCE >= 0 && c.EXPLOSIVE_CHANCE >= 0 && c.GOLDEN_CHANCE + c.EXPLOSIVE_CHANCE <= 1,
+    'config.GOLDEN_CHANCE and config.EXPLOSIVE_CHANCE must be chances adding up to at most 1');
+  check(b.RADIUS > 0 && b.MAX_SPEED > 0, 'bumper.RADIUS and bumper.MAX_SPEED must be positive');
+  check(b.MIN_X >= 0 && b.MIN_X <= b.MAX_X && b.MAX_X <= c.FIELD, 'bumper.MIN_X..MAX_X must be a range inside the field');
+  check(b.MIN_Y >= 0 && b.MIN_Y <= b.MAX_Y && b.MAX_Y <= c.FIELD, 'bumper.MIN_Y..MAX_Y must be a range inside the field');
+  check(b.START_X >= b.MIN_X && b.START_X <= b.MAX_X && b.START_Y >= b.MIN_Y && b.START_Y <= b.MAX_Y,
+    'bumper.START_X/START_Y must lie inside the bumper range');
+  return _freezeRuleset(c, b);
+}
+
+function rulesetHash(ruleset) {
+  return sha256Hex(_canonicalJSON(resolveRuleset(ruleset)));
+}
+
 // ===== HELPERS =====
+// C and B are the game's ruleset (state.ruleset.config and .bumper)
 
-function isInLeftGoal(b)  { return dist(b.x,b.y,0,0) < CONFIG.GOAL_R; }
-function isInRightGoal(b) { return dist(b.x,b.y,CONFIG.FIELD,0) < CONFIG.GOAL_R; }
-function isGoal(b)        { return isInLeftGoal(b) || isInRightGoal(b); }
-function isInCenter(b)    { return dist(b.x,b.y,CONFIG.CENTER_X,CONFIG.CENTER_Y) < CONFIG.CENTER_R+CONFIG.BALL_R; }
-function isInUpperHalf(b) { return b.y < CONFIG.FIELD/2; }
+function isInLeftGoal(b, C)  { return dist(b.x,b.y,0,0) < C.GOAL_R; }
+function isInRightGoal(b, C) { return dist(b.x,b.y,C.FIELD,0) < C.GOAL_R; }
+function isGoal(b, C)        { return isInLeftGoal(b, C) || isInRightGoal(b, C); }
+function isInCenter(b, C)    { return dist(b.x,b.y,C.CENTER_X,C.CENTER_Y) < C.CENTER_R+C.BALL_R; }
+function isInUpperHalf(b, C) { return b.y < C.FIELD/2; }
 
-function createBumper() {
-  return { x:BUMPER.START_X, y:BUMPER.START_Y, targetX:BUMPER.START_X, targetY:BUMPER.START_Y };
+function createBumper(B) {
+  return { x:B.START_X, y:B.START_Y, targetX:B.START_X, targetY:B.START_Y };
 }
 
-function moveBumper(bumper) {
+function moveBumper(bumper, B) {
   const dx=bumper.targetX-bumper.x, dy=bumper.targetY-bumper.y;
-  const d=Math.sqrt(dx*dx+dy*dy);
-  if (d > BUMPER.MAX_SPEED) {
-    bumper.x=fpRound(bumper.x+(dx/d)*BUMPER.MAX_SPEED);
-    bumper.y=fpRound(bumper.y+(dy/d)*BUMPER.MAX_SPEED);
+  const d=detSqrt(dx*dx+dy*dy);
+  if (d > B.MAX_SPEED) {
+    bumper.x=fpRound(bumper.x+(dx/d)*B.MAX_SPEED);
+    bumper.y=fpRound(bumper.y+(dy/d)*B.MAX_SPEED);
   } else { bumper.x=bumper.targetX; bumper.y=bumper.targetY; }
 }
 
 // ===== BALL CREATION =====
 
-function createBall(rng, id) {
-  const x = 0.5 + rng.nextDouble() * 8;
-  const y = CONFIG.FIELD - 0.3;
+function createBall(rng, id, C) {
+  const x = 0.5 + rng.nextDouble() * (C.FIELD - 1);
+  const y = C.FIELD - 0.3;
   const angle = (220 + rng.nextDouble() * 100) * Math.PI / 180;
   const typeRoll = rng.nextDouble();
   let type='normal', multiplier=1;
-  if (typeRoll < CONFIG.GOLDEN_CHANCE) { type='golden'; multiplier=3; }
-  else if (typeRoll < CONFIG.GOLDEN_CHANCE+CONFIG.EXPLOSIVE_CHANCE) { type='explosive'; }
+  if (typeRoll < C.GOLDEN_CHANCE) { type='golden'; multiplier=3; }
+  else if (typeRoll < C.GOLDEN_CHANCE+C.EXPLOSIVE_CHANCE) { type='explosive'; }
   return {
     id, x, y,
-    dx: Math.cos(angle)*CONFIG.SPEED,
-    dy: Math.sin(angle)*CONFIG.SPEED,
+    dx: detCos(angle)*C.SPEED,
+    dy: detSin(angle)*C.SPEED,
     value:9, ticksSinceCountdown:0, alive:true, type, multiplier
   };
 }
 
 function randomizeBounce(ball, rng) {
   const variation = (rng.nextDouble() - 0.5) * 0.1 * Math.PI;
-  const angle = Math.atan2(ball.dy, ball.dx) + variation;
-  const speed = Math.sqrt(ball.dx**2 + ball.dy**2);
-  ball.dx = fpRound(Math.cos(angle) * speed);
-  ball.dy = fpRound(Math.sin(angle) * speed);
+  const angle = detAtan2(ball.dy, ball.dx) + variation;
+  const speed = detSqrt(ball.dx*ball.dx + ball.dy*ball.dy);
+  ball.dx = fpRound(detCos(angle) * speed);
+  ball.dy = fpRound(detSin(angle) * speed);
 }
 
-function collideBallBumper(ball, bumper, rng) {
+function collideBallBumper(ball, bumper, rng, C, B) {
   const d = dist(ball.x,ball.y,bumper.x,bumper.y);
-  const minDist = CONFIG.BALL_R+BUMPER.RADIUS;
+  const minDist = C.BALL_R+B.RADIUS;
   if (d < minDist && d > 0) {
     const nx=(ball.x-bumper.x)/d, ny=(ball.y-bumper.y)/d;
     const dot=ball.dx*nx+ball.dy*ny;
@@ -331,27 +541,38 @@ function collideBallBumper(ball, bumper, rng) {
 
 // ===== GAME STATE =====
 
-function createInitialState(serverSeed, numBalls, betPerBall=5) {
+// options: { clientSeed, nonce, ruleset, hashChain }. Older callers pass the total bet as 4th argument; a non-object is ignored.
+// ruleset: any subset of the rules (see RULESETS); the default ruleset when absent.
+// hashChain: true or a checkpoint interval in ticks turns on the per-tick hash chain (see HASH CHAIN).
+function createInitialState(serverSeed, numBalls, betPerBall=5, options={}) {
+  const opts = (options && typeof options === 'object') ? options : {};
+  const ruleset = resolveRuleset(opts.ruleset);
+  const clientSeed = String(opts.clientSeed ?? DEFAULT_CLIENT_SEED);
+  const nonce = Number(opts.nonce) || 0;
   const serverSeedHash = sha256Hex(serverSeed);
-  const sessionId = sha256Hex(`${serverSeedHash}:uvs-paddla:1`);
-  return {
+  const sessionId = sha256Hex(`${serverSeedHash}:${clientSeed}:${nonce}`);
+  const state = {
     // UVS session header
     uvsHeader: {
       type: 'uvs-header',
       uvsVersion: 3,
       sessionId,
       serverSeedHash,
-      clientSeed: 'uvs-paddla',  // bumper position encoded per-tick in combinedSeed
-      minNonce: 1,
-      params: { numBalls, betPerBall },
+      clientSeed,  // player seed; bumper position encoded per-tick in combinedSeed
+      minNonce: nonce,
+      params: { numBalls, betPerBall, engineVersion: ENGINE_VERSION, rulesetHash: rulesetHash(ruleset) },
       extensions: ['physics-arcade@1.0'],
       timestamp: new Date().toISOString()
     },
     // Game state
+    engineVersion: ENGINE_VERSION,
     serverSeed,
+    clientSeed,
+    nonce,
+    ruleset,
     rng: null,           // initialized per-tick in tick()
     balls: [],
-    bumper: createBumper(),
+    bumper: createBumper(ruleset.bumper),
     tickCount: 0,
     ballsSpawned: 0,
     numBalls,
@@ -364,6 +585,80 @@ function createInitialState(serverSeed, numBalls, betPerBall=5) {
     nextBallId: 1,
     inputLog: []
   };
+  if (opts.hashChain) startHashChain(state, opts.hashChain === true ? HASH_CHAIN_EVERY : opts.hashChain);
+  return state;
+}
+
+// ===== BALL-BALL =====
+
+// Resolves one pair; true when it moved the balls (two special balls pushed apart)
+function collideBalls(state, b1, b2, events, C) {
+  if (!b1.alive||!b2.alive) return false;
+  if (dist(b1.x,b1.y,b2.x,b2.y)>=C.BALL_R*2) return false;
+  const s1=b1.type!=='normal', s2=b2.type!=='normal';
+  if (s1&&s2) {
+    const dx=b2.x-b1.x, dy=b2.y-b1.y, d=detSqrt(dx*dx+dy*dy)||1;
+    const nx=dx/d, ny=dy/d, ov=C.BALL_R*2-d;
+    if (ov>0) { b1.x-=nx*ov*0.5; b1.y-=ny*ov*0.5; b2.x+=nx*ov*0.5; b2.y+=ny*ov*0.5; }
+    b1.dx=-nx*C.SPEED; b1.dy=-ny*C.SPEED;
+    b2.dx=nx*C.SPEED; b2.dy=ny*C.SPEED;
+    randomizeBounce(b1,state.rng); randomizeBounce(b2,state.rng);
+    return ov>0;
+  }
+  if (s1) { b2.alive=false; const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp); events.push({type:'collision',winner:b1,loser:b2,prize:cp}); return false; }
+  if (s2) { b1.alive=false; const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp); events.push({type:'collision',winner:b2,loser:b1,prize:cp}); return false; }
+  if (b1.value===b2.value) {
+    const prize=moneyRound(b1.value*2*(state.betPerBall/5));
+    state.totalWin=moneyRound(state.totalWin+prize);
+    events.push({ type:'double', b1, b2, prize });
+    if (state.rng.nextDouble()<0.5) b2.alive=false; else b1.alive=false;
+  } else {
+    const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp);
+    const loser=b1.value<b2.value?b1:b2, winner=b1.value<b2.value?b2:b1;
+    loser.alive=false;
+    const dx=winner.x-loser.x, dy=winner.y-loser.y, d=detSqrt(dx*dx+dy*dy)||1;
+    winner.dx=(dx/d)*C.SPEED; winner.dy=(dy/d)*C.SPEED;
+    randomizeBounce(winner,state.rng);
+    events.push({ type:'collision', winner, loser, prize:cp });
+  }
+  return false;
+}
+
+// ===== BROADPHASE (v13) =====
+// The plain pass tries every pair (i, j), i < j, in order: O(n^2). From BROADPHASE_MIN_BALLS
+// balls on, tick() only tries the pairs whose balls share or touch a cell of a uniform grid,
+// in that same (i, j) order. Cells are a hair wider than a contact (2*BALL_R), so rounding in
+// x/cell can never put two touching balls two cells apart. Balls only move inside the pass
+// when special balls are pushed apart; the remaining pairs are then re-gridded from the new
+// positions. So every pair the plain pass would resolve is resolved, in the same order, and
+// the outcome is bit-identical to it at any ball count.
+const BROADPHASE_MIN_BALLS = 24;
+
+// Pairs encoded as i*n+j, ascending, after pair `after` (-1 for all)
+function _broadphasePairs(balls, C, after) {
+  const n = balls.length, cell = C.BALL_R * 2 * (1 + 1e-9);
+  const grid = new Map();
+  const cx = new Int32Array(n), cy = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    if (!balls[i].alive) continue;
+    cx[i] = Math.floor(balls[i].x / cell); cy[i] = Math.floor(balls[i].y / cell);
+    const key = cx[i] * 65536 + cy[i];
+    const list = grid.get(key);
+    if (list) list.push(i); else grid.set(key, [i]);
+  }
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    if (!balls[i].alive) continue;
+    for (let gx = cx[i] - 1; gx <= cx[i] + 1; gx++) {
+      for (let gy = cy[i] - 1; gy <= cy[i] + 1; gy++) {
+        const list = grid.get(gx * 65536 + gy);
+        if (!list) continue;
+        for (const j of list) if (j > i && i * n + j > after) pairs.push(i * n + j);
+      }
+    }
+  }
+  // far outside cells can share a key; a pair is still only tried once
+  return Float64Array.from(pairs).sort().filter((p, k, all) => k === 0 || p !== all[k - 1]);
 }
 
 // ===== TICK =====
@@ -371,22 +666,23 @@ function createInitialState(serverSeed, numBalls, betPerBall=5) {
 function tick(state, bumperTarget) {
   if (state.finished) return [];
   const events = [];
+  const C = state.ruleset.config, B = state.ruleset.bumper;
 
   state.tickCount++;
   if (state.spawnCooldown > 0) state.spawnCooldown--;
 
   // Apply bumper input first
   if (bumperTarget) {
-    state.bumper.targetX = clamp(bumperTarget.x, BUMPER.MIN_X, BUMPER.MAX_X);
-    state.bumper.targetY = clamp(bumperTarget.y, BUMPER.MIN_Y, BUMPER.MAX_Y);
+    state.bumper.targetX = clamp(bumperTarget.x, B.MIN_X, B.MAX_X);
+    state.bumper.targetY = clamp(bumperTarget.y, B.MIN_Y, B.MAX_Y);
   }
-  moveBumper(state.bumper);
+  moveBumper(state.bumper, B);
 
   // UVS: fresh PRNG per tick, combinedSeed encodes tick + bumper position
   const combinedSeed = _tickCombinedSeed(
-    state.serverSeed, state.bumper.x, state.bumper.y, state.tickCount
+    state.serverSeed, state.clientSeed, state.nonce, state.bumper.x, state.bumper.y, state.tickCount
   );
-  state.rng = new UVS_PRNG(combinedSeed);
+  state.rng = new UVS_PRNG_V13(combinedSeed);
 
   // Log input for replay
   state.inputLog.push({
@@ -395,14 +691,14 @@ function tick(state, bumperTarget) {
   });
 
   // Spawn
-  if (state.tickCount % CONFIG.SPAWN_INTERVAL === 0 &&
-      state.balls.length < CONFIG.MAX_ON_FIELD &&
+  if (state.tickCount % C.SPAWN_INTERVAL === 0 &&
+      state.balls.length < C.MAX_ON_FIELD &&
       state.spawnCooldown <= 0 &&
       state.ballsSpawned < state.numBalls) {
-    const ball = createBall(state.rng, state.nextBallId++);
+    const ball = createBall(state.rng, state.nextBallId++, C);
     state.balls.push(ball);
     state.ballsSpawned++;
-    state.spawnCooldown = CONFIG.SPAWN_COOLDOWN;
+    state.spawnCooldown = C.SPAWN_COOLDOWN;
     events.push({ type:'spawn', ball });
   }
 
@@ -411,13 +707,13 @@ function tick(state, bumperTarget) {
     if (!b.alive) continue;
     b.ticksSinceCountdown++;
     b.x=fpRound(b.x+b.dx); b.y=fpRound(b.y+b.dy);
-    const R=CONFIG.BALL_R, F=CONFIG.FIELD;
+    const R=C.BALL_R, F=C.FIELD;
     let hitWall=false;
     if (b.x-R<0) { b.x=R; b.dx=-b.dx; hitWall=true; }
     if (b.x+R>F) { b.x=F-R; b.dx=-b.dx; hitWall=true; }
     if (b.y-R<0) { b.y=R; b.dy=-b.dy; hitWall=true; }
     if (b.y+R>F) { b.y=F-R; b.dy=-b.dy; hitWall=true; }
-    if (b.type==='normal' && b.ticksSinceCountdown>=CONFIG.COUNTDOWN && b.value>0) {
+    if (b.type==='normal' && b.ticksSinceCountdown>=C.COUNTDOWN && b.value>0) {
       b.value--; b.ticksSinceCountdown=0;
       if (b.value<=0) { b.alive=false; b.diedFromTimeout=true; events.push({type:'timeout',ball:b}); }
     }
@@ -426,16 +722,16 @@ function tick(state, bumperTarget) {
 
   // Bumper collision
   for (const b of state.balls) {
-    if (b.alive && collideBallBumper(b, state.bumper, state.rng))
+    if (b.alive && collideBallBumper(b, state.bumper, state.rng, C, B))
       events.push({ type:'bumperHit', ball:b });
   }
 
   // Center recharge
   for (const b of state.balls) {
-    if (b.alive && isInCenter(b)) {
-      const dx=b.x-CONFIG.CENTER_X, dy=b.y-CONFIG.CENTER_Y;
-      const d=Math.sqrt(dx*dx+dy*dy);
-      if (d>0) { b.dx=(dx/d)*CONFIG.SPEED; b.dy=(dy/d)*CONFIG.SPEED; randomizeBounce(b,state.rng); }
+    if (b.alive && isInCenter(b, C)) {
+      const dx=b.x-C.CENTER_X, dy=b.y-C.CENTER_Y;
+      const d=detSqrt(dx*dx+dy*dy);
+      if (d>0) { b.dx=(dx/d)*C.SPEED; b.dy=(dy/d)*C.SPEED; randomizeBounce(b,state.rng); }
       if (b.type==='normal' && b.value<9) {
         b.value=9; b.ticksSinceCountdown=0;
         events.push({ type:'recharge', ball:b });
@@ -446,22 +742,22 @@ function tick(state, bumperTarget) {
   // Goals
   for (const ball of state.balls) {
     if (!ball.alive) continue;
-    if (isGoal(ball)) {
+    if (isGoal(ball, C)) {
       const bs=state.betPerBall/5;
       const prize=moneyRound(ball.value*ball.multiplier*state.progressive*bs);
       state.totalWin=moneyRound(state.totalWin+prize);
       if (ball.type==='golden') state.timeoutCount=0;
-      if (state.progressive<CONFIG.PROGRESSIVE_CAP) state.progressive++;
-      events.push({ type:'goal', ball, prize, side:isInLeftGoal(ball)?'left':'right' });
+      if (state.progressive<C.PROGRESSIVE_CAP) state.progressive++;
+      events.push({ type:'goal', ball, prize, side:isInLeftGoal(ball, C)?'left':'right' });
       ball.alive=false;
       if (ball.type==='explosive') {
         state.timeoutCount=0;
         events.push({ type:'explosion', ball, x:ball.x, y:ball.y });
         for (const o of state.balls) {
-          if (o.alive && o.id!==ball.id && isInUpperHalf(o)) {
+          if (o.alive && o.id!==ball.id && isInUpperHalf(o, C)) {
             const ep=moneyRound(o.value*o.multiplier*state.progressive*bs);
             state.totalWin=moneyRound(state.totalWin+ep);
-            if (state.progressive<CONFIG.PROGRESSIVE_CAP) state.progressive++;
+            if (state.progressive<C.PROGRESSIVE_CAP) state.progressive++;
             events.push({ type:'exploded', ball:o, prize:ep });
             o.alive=false;
           }
@@ -470,38 +766,16 @@ function tick(state, bumperTarget) {
     }
   }
 
-  // Ball-ball collisions
-  for (let i=0;i<state.balls.length;i++) {
-    for (let j=i+1;j<state.balls.length;j++) {
-      const b1=state.balls[i], b2=state.balls[j];
-      if (!b1.alive||!b2.alive) continue;
-      if (dist(b1.x,b1.y,b2.x,b2.y)<CONFIG.BALL_R*2) {
-        const s1=b1.type!=='normal', s2=b2.type!=='normal';
-        if (s1&&s2) {
-          const dx=b2.x-b1.x, dy=b2.y-b1.y, d=Math.sqrt(dx*dx+dy*dy)||1;
-          const nx=dx/d, ny=dy/d, ov=CONFIG.BALL_R*2-d;
-          if (ov>0) { b1.x-=nx*ov*0.5; b1.y-=ny*ov*0.5; b2.x+=nx*ov*0.5; b2.y+=ny*ov*0.5; }
-          b1.dx=-nx*CONFIG.SPEED; b1.dy=-ny*CONFIG.SPEED;
-          b2.dx=nx*CONFIG.SPEED; b2.dy=ny*CONFIG.SPEED;
-          randomizeBounce(b1,state.rng); randomizeBounce(b2,state.rng);
-          continue;
-        }
-        if (s1) { b2.alive=false; const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp); events.push({type:'collision',winner:b1,loser:b2,prize:cp}); continue; }
-        if (s2) { b1.alive=false; const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp); events.push({type:'collision',winner:b2,loser:b1,prize:cp}); continue; }
-        if (b1.value===b2.value) {
-          const prize=moneyRound(b1.value*2*(state.betPerBall/5));
-          state.totalWin=moneyRound(state.totalWin+prize);
-          events.push({ type:'double', b1, b2, prize });
-          if (state.rng.nextDouble()<0.5) b2.alive=false; else b1.alive=false;
-        } else {
-          const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp);
-          const loser=b1.value<b2.value?b1:b2, winner=b1.value<b2.value?b2:b1;
-          loser.alive=false;
-          const dx=winner.x-loser.x, dy=winner.y-loser.y, d=Math.sqrt(dx*dx+dy*dy)||1;
-          winner.dx=(dx/d)*CONFIG.SPEED; winner.dy=(dy/d)*CONFIG.SPEED;
-          randomizeBounce(winner,state.rng);
-          events.push({ type:'collision', winner, loser, prize:cp });
-        }
+  // Ball-ball collisions, pair by pair in (i, j) order (see BALL-BALL)
+  const n=state.balls.length;
+  if (n<BROADPHASE_MIN_BALLS) {
+    for (let i=0;i<n;i++) for (let j=i+1;j<n;j++) collideBalls(state, state.balls[i], state.balls[j], events, C);
+  } else {
+    let pairs=_broadphasePairs(state.balls, C, -1);
+    for (let k=0;k<pairs.length;k++) {
+      const p=pairs[k];
+      if (collideBalls(state, state.balls[Math.floor(p/n)], state.balls[p%n], events, C)) {
+        pairs=_broadphasePairs(state.balls, C, p); k=-1;
       }
     }
   }
@@ -510,7 +784,7 @@ function tick(state, bumperTarget) {
   for (const b of state.balls) {
     if (!b.alive && b.diedFromTimeout) {
       state.timeoutCount++;
-      if (state.timeoutCount>=CONFIG.TIMEOUT_LIMIT) {
+      if (state.timeoutCount>=C.TIMEOUT_LIMIT) {
         state.progressive=1; state.timeoutCount=0;
         events.push({ type:'progressiveReset' });
       }
@@ -526,7 +800,7 @@ function tick(state, bumperTarget) {
       if (b.alive) {
         const prize=moneyRound(b.value*b.multiplier*state.progressive*(state.betPerBall/5));
         state.totalWin=moneyRound(state.totalWin+prize);
-        if (state.progressive<CONFIG.PROGRESSIVE_CAP) state.progressive++;
+        if (state.progressive<C.PROGRESSIVE_CAP) state.progressive++;
         events.push({ type:'autoCollect', ball:b, prize });
         b.alive=false;
       }
@@ -540,23 +814,31 @@ function tick(state, bumperTarget) {
     events.push({ type:'gameEnd', totalWin:state.totalWin });
   }
 
+  if (state.hashChain) advanceHashChain(state);
   return events;
 }
 
 // ===== REPLAY =====
 
-function replay(serverSeed, numBalls, inputLog, betPerBall=5) {
-  const state = createInitialState(serverSeed, numBalls, betPerBall);
-  let inputIdx=0, safety=0;
-  const maxTicks = numBalls * CONFIG.MAX_TICKS_PER_BALL;
-  while (!state.finished && safety<maxTicks) {
+function replay(serverSeed, numBalls, inputLog, betPerBall=5, options={}) {
+  return replayFrom(createInitialState(serverSeed, numBalls, betPerBall, options), inputLog);
+}
+
+// Runs a game on from wherever state is (tick 0, or a restored snapshot) to the end.
+// Entries at or before state.tickCount are skipped, so the full inputLog can be passed.
+// step is the tick function; the registry passes a frozen engine's tick wrapped with advanceHashChain().
+function replayFrom(state, inputLog, step=tick) {
+  let inputIdx=0;
+  while (inputIdx<inputLog.length && inputLog[inputIdx].tick<=state.tickCount) inputIdx++;
+  const maxTicks = state.numBalls * CONFIG.MAX_TICKS_PER_BALL;
+  while (!state.finished && state.tickCount<maxTicks) {
     let target=null;
     if (inputIdx<inputLog.length && inputLog[inputIdx].tick===state.tickCount+1) {
       target=inputLog[inputIdx].target; inputIdx++;
     } else if (state.tickCount>0) {
       target={ x:state.bumper.targetX, y:state.bumper.targetY };
     }
-    tick(state,target); safety++;
+    step(state,target);
   }
   return state;
 }
@@ -569,24 +851,148 @@ function finishGame(state) {
   while (!state.finished && safety<100000) { tick(state,target); safety++; }
 }
 
+// ===== STATE HASH =====
+
+// Fingerprint of everything tick() carries to the next tick, for divergence forensics.
+// Numbers go through JSON (shortest round-trip form), so even a one-ulp float drift shows.
+// The per-ball fields both stateHash() and the hash chain commit to, in a fixed order
+function _ballTuples(balls) {
+  return balls.map(b => [
+    b.id, b.x, b.y, b.dx, b.dy, b.value, b.ticksSinceCountdown, b.multiplier, b.type, b.alive ? 1 : 0
+  ]);
+}
+
+function stateHash(state) {
+  return sha256Hex(JSON.stringify([
+    state.tickCount, state.bumper.x, state.bumper.y, state.bumper.targetX, state.bumper.targetY,
+    _ballTuples(state.balls), state.ballsSpawned, state.spawnCooldown, state.progressive, state.timeoutCount,
+    state.totalWin, state.nextBallId
+  ]));
+}
+
+// ===== HASH CHAIN =====
+
+// Rolling commitment to the whole path of a game, one link per tick:
+//   head(0) = uvsHeader.sessionId
+//   head(n) = SHA-256(head(n-1) + ":" + JSON([tick, bumper x/y, balls, totalWin, progressive]))
+// Equal heads at tick n mean both runs went through the same states on every tick up to n, so
+// a replay is confirmed tick by tick, not only by its final totalWin. The chain lives on
+// state.hashChain = { head, every }; every `every` ticks and on the last tick the head is also
+// stamped on that tick's inputLog entry as `hash` — the checkpoints stored with the inputLog.
+// It reads the state and never feeds back into it, so the same chain can be kept over any
+// engine version with this state shape: tick() advances it here, the registry does it for
+// frozen engines.
+const HASH_CHAIN_EVERY = 600;
+
+function _chainLink(prev, state) {
+  return sha256Hex(prev + ':' + JSON.stringify([
+    state.tickCount, state.bumper.x, state.bumper.y, _ballTuples(state.balls), state.totalWin, state.progressive
+  ]));
+}
+
+function startHashChain(state, every=HASH_CHAIN_EVERY) {
+  if (!Number.isInteger(every) || every < 1) throw new Error(`Invalid hash chain interval: ${every}`);
+  state.hashChain = { head: state.uvsHeader.sessionId, every };
+  return state;
+}
+
+// Call once after every tick (tick() does when state.hashChain is set)
+function advanceHashChain(state) {
+  const chain = state.hashChain;
+  chain.head = _chainLink(chain.head, state);
+  const entry = state.inputLog[state.inputLog.length - 1];
+  if ((state.tickCount % chain.every === 0 || state.finished) && entry && entry.tick === state.tickCount) {
+    entry.hash = chain.head;
+  }
+  return chain.head;
+}
+
+// The stamped entries of an inputLog: [{ tick, target, hash }]
+function hashCheckpoints(inputLog) {
+  return inputLog.filter(e => typeof e.hash === 'string');
+}
+
+// ===== SNAPSHOTS =====
+
+// serializeState(state) → canonical JSON string (sorted keys) of
+//   { type: 'paddla-snapshot', snapshotVersion, engineVersion, state, hash }
+// where hash = SHA-256 of the same object without hash. state is everything tick() carries
+// from one tick to the next, plus the session header and (unless options.inputLog === false)
+// the inputLog so far. The per-tick PRNG is left out: tick() derives a fresh one every tick.
+// The snapshot holds serverSeed, so it is exactly as secret as the seed.
+// restoreState(snapshot) checks the stamp and returns a state that plays on bit-for-bit like
+// the original; tick it with the engine of snapshot.engineVersion (the registry's getEngine).
+const SNAPSHOT_TYPE = 'paddla-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+// JSON has no -0, but atan2() tells it from 0: numbers that can be -0 travel as "-0"
+function _canonicalJSON(v) {
+  if (Array.isArray(v)) return '[' + v.map(_canonicalJSON).join(',') + ']';
+  if (v && typeof v === 'object') {
+    return '{' + Object.keys(v).filter(k => v[k] !== undefined).sort()
+      .map(k => JSON.stringify(k) + ':' + _canonicalJSON(v[k])).join(',') + '}';
+  }
+  if (Object.is(v, -0)) return '"-0"';
+  return JSON.stringify(v);
+}
+
+function _negZero(obj) {
+  for (const k of Object.keys(obj)) if (obj[k] === '-0') obj[k] = -0;
+  return obj;
+}
+
+function serializeState(state, options={}) {
+  const saved = { ...state, rng: undefined };  // undefined keys are dropped by _canonicalJSON
+  if (options.inputLog === false) saved.inputLog = [];
+  const body = {
+    type: SNAPSHOT_TYPE,
+    snapshotVersion: SNAPSHOT_VERSION,
+    engineVersion: state.engineVersion,
+    state: saved
+  };
+  return _canonicalJSON({ ...body, hash: sha256Hex(_canonicalJSON(body)) });
+}
+
+function restoreState(snapshot) {
+  const { hash, ...body } = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  if (body.type !== SNAPSHOT_TYPE) throw new Error('Not a PADDLA snapshot');
+  if (body.snapshotVersion !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${body.snapshotVersion} (known: ${SNAPSHOT_VERSION})`);
+  }
+  if (hash !== sha256Hex(_canonicalJSON(body))) throw new Error('Snapshot hash mismatch');
+  const state = JSON.parse(JSON.stringify(body.state));
+  _negZero(state.bumper);
+  state.balls.forEach(_negZero);
+  state.rng = null;
+  return state;
+}
+
 // ===== EXPORT =====
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     ENGINE_VERSION,
     CONFIG, BUMPER,
-    UVS_PRNG,
-    createInitialState, tick, replay, finishGame,
+    DEFAULT_RULESET, resolveRuleset, rulesetHash,
+    UVS_PRNG, UVS_PRNG_V13,
+    createInitialState, tick, replay, replayFrom, finishGame, stateHash,
+    HASH_CHAIN_EVERY, startHashChain, advanceHashChain, hashCheckpoints,
+    serializeState, restoreState,
     clamp, fpRound, moneyRound, dist, bytesToHex,
+    detSqrt, detSin, detCos, detAtan2,
     sha256Hex, sha512Hex
   };
 } else if (typeof window !== 'undefined') {
   Object.assign(window, {
     ENGINE_VERSION,
     CONFIG, BUMPER,
-    UVS_PRNG,
-    createInitialState, tick,
+    DEFAULT_RULESET, resolveRuleset, rulesetHash,
+    UVS_PRNG, UVS_PRNG_V13,
+    createInitialState, tick, replayFrom, stateHash,
+    HASH_CHAIN_EVERY, startHashChain, advanceHashChain, hashCheckpoints,
+    serializeState, restoreState,
     sha256Hex, sha512Hex, sha256Pure: _sha256Bytes,
-    fpRound, moneyRound, dist, clamp, bytesToHex
+    fpRound, moneyRound, dist, clamp, bytesToHex,
+    detSqrt, detSin, detCos, detAtan2
   });
 }
@@ -0,0 +1,595 @@
+// PADDLA Engine v13 — FROZEN copy (UVS v3, wire format unchanged since v1)
+// Do not edit: stored v13 records must replay bit-for-bit forever. Physics changes go to core.js
+// under a new ENGINE_VERSION, and that version gets its own frozen copy in this directory.
+// combinedSeed per tick = SHA-512(serverSeed + ":" + clientSeed:nonce:bumperX:bumperY + ":" + tick)
+// v11: v10's derivation and physics, with the rules read from state.ruleset (a ruleset).
+// v12: v11 with sqrt/sin/cos/atan2 from its own deterministic kernel instead of Math.
+// v13: v12's outcomes, with ball-ball pairs from a grid broadphase and up to 200 balls on the field.
+// Only the wire-stable crypto (UVS_PRNG_V13, SHA-256, SHA-512) is taken from core.js.
+
+(function (root) {
+  const core = typeof module !== 'undefined' && module.exports ? require('../core.js') : root;
+  const { UVS_PRNG_V13, sha256Hex, sha512Hex } = core;
+
+  const VERSION = 13;
+
+  function tickCombinedSeed(state) {
+    const clientSeed = `${state.clientSeed}:${state.nonce}:${state.bumper.x.toFixed(4)}:${state.bumper.y.toFixed(4)}`;
+    return sha512Hex(`${state.serverSeed}:${clientSeed}:${state.tickCount}`);
+  }
+
+  // ===== DETERMINISTIC MATH (v12) =====
+  // ECMAScript leaves Math.sqrt/sin/cos/atan2 (and **) "implementation-approximated": V8,
+  // JavaScriptCore and SpiderMonkey may return different last bits for the same argument, and
+  // one bit is enough for a browser and the verifier to play different games. + - * / are
+  // IEEE-754 correctly rounded everywhere, as are Math.round/abs/min/max, so the physics only
+  // uses the functions below, built from those alone in a fixed order of operations.
+  // Trig: fdlibm's kernels (k_sin.c, k_cos.c, s_atan.c, e_atan2.c) with a Cody-Waite
+  // reduction by pi/2. engine/math-vectors.json pins their exact outputs.
+
+  // sqrt: scale into [0.25, 1) by powers of 4 (exact), linear guess, fixed Newton steps
+  function detSqrt(x) {
+    if (!(x > 0)) return x === 0 ? x : NaN;
+    if (x === Infinity) return x;
+    let m = x, s = 1;
+    while (m >= 1) { m *= 0.25; s *= 2; }
+    while (m < 0.25) { m *= 4; s *= 0.5; }
+    let y = 0.41731 + 0.59016 * m;
+    for (let i = 0; i < 4; i++) y = 0.5 * (y + m / y);
+    return y * s;
+  }
+
+  const _DM_INV_PIO2 = 6.36619772367581382433e-01;
+  const _DM_PIO2_1 = 1.57079632673412561417e+00;   // first 33 bits of pi/2: n*_DM_PIO2_1 is exact for |n| < 2^20
+  const _DM_PIO2_1T = 6.07710050650619224932e-11;  // pi/2 - _DM_PIO2_1
+  const _DM_PI = 3.14159265358979311600e+00;
+  const _DM_PI_LO = 1.2246467991473532e-16;
+  const _DM_PIO2 = 1.57079632679489655800e+00;
+
+  // |r| <= ~pi/4
+  function _dmKernelSin(r) {
+    const z = r * r, v = z * r;
+    const p = 8.33333333332248946124e-03 + z * (-1.98412698298579493134e-04 + z * (2.75573137070700676789e-06 +
+      z * (-2.50507602534068634195e-08 + z * 1.58969099521155010221e-10)));
+    return r + v * (-1.66666666666666324348e-01 + z * p);
+  }
+
+  function _dmKernelCos(r) {
+    const z = r * r;
+    const p = z * (4.16666666666666019037e-02 + z * (-1.38888888888741095749e-03 + z * (2.48015872894767294178e-05 +
+      z * (-2.75573143513906633035e-07 + z * (2.08757232129817482790e-09 + z * -1.13596475577881948265e-11)))));
+    const hz = 0.5 * z, w = 1 - hz;
+    return w + (((1 - w) - hz) + z * p);
+  }
+
+  // x = n*pi/2 + r; returns [n mod 4, r]
+  function _dmReduce(x) {
+    const n = Math.round(x * _DM_INV_PIO2);
+    if (Math.abs(n) >= 0x80000) throw new RangeError(`Angle out of range: ${x}`);
+    return [n & 3, (x - n * _DM_PIO2_1) - n * _DM_PIO2_1T];
+  }
+
+  function detSin(x) {
+    if (!isFinite(x)) return NaN;
+    const [q, r] = _dmReduce(x);
+    if (q === 0) return _dmKernelSin(r);
+    if (q === 1) return _dmKernelCos(r);
+    if (q === 2) return -_dmKernelSin(r);
+    return -_dmKernelCos(r);
+  }
+
+  function detCos(x) {
+    if (!isFinite(x)) return NaN;
+    const [q, r] = _dmReduce(x);
+    if (q === 0) return _dmKernelCos(r);
+    if (q === 1) return -_dmKernelSin(r);
+    if (q === 2) return -_dmKernelCos(r);
+    return _dmKernelSin(r);
+  }
+
+  const _DM_ATAN_HI = [4.63647609000806093515e-01, 7.85398163397448278999e-01, 9.82793723247329054082e-01, 1.57079632679489655800e+00];
+  const _DM_ATAN_LO = [2.26987774529616870924e-17, 3.06161699786838301793e-17, 1.39033110312309984516e-17, 6.12323399573676603587e-17];
+  const _DM_AT = [
+    3.33333333333329318027e-01, -1.99999999998764832476e-01, 1.42857142725034663711e-01,
+    -1.11111104054623557880e-01, 9.09088713343650656196e-02, -7.69187620504482999495e-02,
+    6.66107313738753120669e-02, -5.83357013379057348645e-02, 4.97687799461593236017e-02,
+    -3.65315727442169155270e-02, 1.62858201153657823623e-02
+  ];
+
+  // atan of a finite a >= 0
+  function _dmAtan(a) {
+    if (a >= 7.378697629483821e+19) return _DM_ATAN_HI[3] + _DM_ATAN_LO[3];  // 2^66
+    let id = -1, x = a;
+    if (a < 0.4375) {
+      if (a < 7.450580596923828e-9) return a;  // 2^-27
+    } else if (a < 1.1875) {
+      if (a < 0.6875) { id = 0; x = (2 * a - 1) / (2 + a); } else { id = 1; x = (a - 1) / (a + 1); }
+    } else if (a < 2.4375) { id = 2; x = (a - 1.5) / (1 + 1.5 * a); } else { id = 3; x = -1 / a; }
+    const z = x * x, w = z * z, T = _DM_AT;
+    const s1 = z * (T[0] + w * (T[2] + w * (T[4] + w * (T[6] + w * (T[8] + w * T[10])))));
+    const s2 = w * (T[1] + w * (T[3] + w * (T[5] + w * (T[7] + w * T[9]))));
+    if (id < 0) return x - x * (s1 + s2);
+    return _DM_ATAN_HI[id] - ((x * (s1 + s2) - _DM_ATAN_LO[id]) - x);
+  }
+
+  // Finite arguments; signed zeros as in Math.atan2
+  function detAtan2(y, x) {
+    if (!isFinite(y) || !isFinite(x)) return NaN;
+    const yNeg = y < 0 || Object.is(y, -0), xNeg = x < 0 || Object.is(x, -0);
+    if (y === 0) return xNeg ? (yNeg ? -_DM_PI : _DM_PI) : y;
+    if (x === 0) return yNeg ? -_DM_PIO2 : _DM_PIO2;
+    const a = Math.abs(y / x);
+    let z;
+    if (a > 1.152921504606847e+18) z = _DM_PIO2 + 0.5 * _DM_PI_LO;  // 2^60
+    else if (xNeg && a < 8.673617379884035e-19) z = 0;                // 2^-60
+    else z = _dmAtan(a);
+    if (!xNeg) return yNeg ? -z : z;
+    return yNeg ? (z - _DM_PI_LO) - _DM_PI : _DM_PI - (z - _DM_PI_LO);
+  }
+
+  // ===== UTILITIES =====
+
+  const FP_ROUND = 1e10;
+  function fpRound(v) { return Math.round(v * FP_ROUND) / FP_ROUND; }
+  function moneyRound(v) { return Math.round(v * 100) / 100; }
+  function dist(ax,ay,bx,by) { const dx=bx-ax, dy=by-ay; return detSqrt(dx*dx+dy*dy); }
+  function clamp(v,min,max) { return Math.max(min,Math.min(max,v)); }
+
+  // ===== CONFIG =====
+
+  const CONFIG = Object.freeze({
+    FIELD:9, BALL_R:0.2, SPEED:0.05, GOAL_R:1.02,
+    CENTER_R:0.225, CENTER_X:4.5, CENTER_Y:4.5, COUNTDOWN:45,
+    GOLDEN_CHANCE:0.01, EXPLOSIVE_CHANCE:1/75,
+    SPAWN_COOLDOWN:60, SPAWN_INTERVAL:60, MAX_ON_FIELD:10,
+    TIMEOUT_LIMIT:5, PROGRESSIVE_CAP:5, BET_PER_BALL:5, MAX_TICKS_PER_BALL:600
+  });
+
+  const BUMPER = Object.freeze({
+    RADIUS:0.4, MIN_Y:0.4, MAX_Y:3.5, MIN_X:1.5, MAX_X:7.5,
+    MAX_SPEED:0.15, START_X:4.5, START_Y:2.0
+  });
+
+  // ===== RULESETS =====
+
+  // A ruleset is { config, bumper } with the keys of CONFIG and BUMPER below that shape a game;
+  // BET_PER_BALL and MAX_TICKS_PER_BALL are economy and replay limits, not rules. Any subset
+  // may be given: resolveRuleset() fills in the rest from DEFAULT_RULESET (the constants
+  // above), checks it and returns the full ruleset put on state.ruleset. rulesetHash() is the
+  // SHA-256 of its canonical JSON (sorted keys), as carried by the header and trail records.
+  const RULE_CONFIG_KEYS = [
+    'FIELD', 'BALL_R', 'SPEED', 'GOAL_R', 'CENTER_R', 'CENTER_X', 'CENTER_Y', 'COUNTDOWN',
+    'GOLDEN_CHANCE', 'EXPLOSIVE_CHANCE', 'SPAWN_COOLDOWN', 'SPAWN_INTERVAL', 'MAX_ON_FIELD',
+    'TIMEOUT_LIMIT', 'PROGRESSIVE_CAP'
+  ];
+  const RULE_BUMPER_KEYS = Object.keys(BUMPER);
+  const RULE_INTEGERS = ['COUNTDOWN', 'SPAWN_COOLDOWN', 'SPAWN_INTERVAL', 'MAX_ON_FIELD', 'TIMEOUT_LIMIT', 'PROGRESSIVE_CAP'];
+  const MAX_ON_FIELD_LIMIT = 200;  // v13: "ball rush" fields, kept affordable by the BROADPHASE
+
+  function _freezeRuleset(config, bumper) {
+    return Object.freeze({ config: Object.freeze(config), bumper: Object.freeze(bumper) });
+  }
+
+  const DEFAULT_RULESET = _freezeRuleset(
+    Object.fromEntries(RULE_CONFIG_KEYS.map(k => [k, CONFIG[k]])),
+    { ...BUMPER }
+  );
+
+  function _rulePart(value, keys, field) {
+    if (value === undefined) return {};
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Invalid ruleset: ${field} must be an object`);
+    }
+    for (const k of Object.keys(value)) {
+      if (!keys.includes(k)) throw new Error(`Invalid ruleset: unknown rule ${field}.${k}`);
+      if (typeof value[k] !== 'number' || !Number.isFinite(value[k])) {
+        throw new Error(`Invalid ruleset: ${field}.${k} must be a finite number`);
+      }
+    }
+    return value;
+  }
+
+  function resolveRuleset(ruleset) {
+    if (ruleset === undefined || ruleset === null) return DEFAULT_RULESET;
+    if (typeof ruleset !== 'object' || Array.isArray(ruleset)) throw new Error('Invalid ruleset: must be an object');
+    for (const k of Object.keys(ruleset)) {
+      if (k !== 'config' && k !== 'bumper') throw new Error(`Invalid ruleset: unknown section ${k}`);
+    }
+    const c = { ...DEFAULT_RULESET.config, ..._rulePart(ruleset.config, RULE_CONFIG_KEYS, 'config') };
+    const b = { ...DEFAULT_RULESET.bumper, ..._rulePart(ruleset.bumper, RULE_BUMPER_KEYS, 'bumper') };
+    const check = (ok, rule) => { if (!ok) throw new Error(`Invalid ruleset: ${rule}`); };
+    for (const k of RULE_INTEGERS) check(Number.isInteger(c[k]) && c[k] >= (k === 'SPAWN_COOLDOWN' ? 0 : 1), `config.${k} must be a positive integer`);
+    check(c.MAX_ON_FIELD <= MAX_ON_FIELD_LIMIT, `config.MAX_ON_FIELD must be at most ${MAX_ON_FIELD_LIMIT}`);
+    check(c.FIELD > 2, 'config.FIELD must be greater than 2');
+    check(c.BALL_R > 0 && c.BALL_R < 1, 'config.BALL_R must be between 0 and 1');
+    check(c.SPEED > 0 && c.SPEED < c.BALL_R, 'config.SPEED must be positive and below config.BALL_R');
+    check(c.GOAL_R > 0 && c.GOAL_R < c.FIELD / 2, 'config.GOAL_R must be positive and below half the field');
+    check(c.CENTER_R >= 0 && c.CENTER_X > 0 && c.CENTER_X < c.FIELD && c.CENTER_Y > 0 && c.CENTER_Y < c.FIELD,
+      'the center zone must lie inside the field');
+    check(c.GOLDEN_CHANCE >= 0 && c.EXPLOSIVE_CHANCE >= 0 && c.GOLDEN_CHANCE + c.EXPLOSIVE_CHANCE <= 1,
+      'config.GOLDEN_CHANCE and config.EXPLOSIVE_CHANCE must be chances adding up to at most 1');
+    check(b.RADIUS > 0 && b.MAX_SPEED > 0, 'bumper.RADIUS and bumper.MAX_SPEED must be positive');
+    check(b.MIN_X >= 0 && b.MIN_X <= b.MAX_X && b.MAX_X <= c.FIELD, 'bumper.MIN_X..MAX_X must be a range inside the field');
+    check(b.MIN_Y >= 0 && b.MIN_Y <= b.MAX_Y && b.MAX_Y <= c.FIELD, 'bumper.MIN_Y..MAX_Y must be a range inside the field');
+    check(b.START_X >= b.MIN_X && b.START_X <= b.MAX_X && b.START_Y >= b.MIN_Y && b.START_Y <= b.MAX_Y,
+      'bumper.START_X/START_Y must lie inside the bumper range');
+    return _freezeRuleset(c, b);
+  }
+
+  function canonicalJSON(v) {
+    if (Array.isArray(v)) return '[' + v.map(canonicalJSON).join(',') + ']';
+    if (v && typeof v === 'object') {
+      return '{' + Object.keys(v).sort().map(k => JSON.stringify(k) + ':' + canonicalJSON(v[k])).join(',') + '}';
+    }
+    return JSON.stringify(v);
+  }
+
+  function rulesetHash(ruleset) {
+    return sha256Hex(canonicalJSON(resolveRuleset(ruleset)));
+  }
+
+  // ===== HELPERS =====
+  // C and B are the game's ruleset (state.ruleset.config and .bumper)
+
+  function isInLeftGoal(b, C)  { return dist(b.x,b.y,0,0) < C.GOAL_R; }
+  function isInRightGoal(b, C) { return dist(b.x,b.y,C.FIELD,0) < C.GOAL_R; }
+  function isGoal(b, C)        { return isInLeftGoal(b, C) || isInRightGoal(b, C); }
+  function isInCenter(b, C)    { return dist(b.x,b.y,C.CENTER_X,C.CENTER_Y) < C.CENTER_R+C.BALL_R; }
+  function isInUpperHalf(b, C) { return b.y < C.FIELD/2; }
+
+  function createBumper(B) {
+    return { x:B.START_X, y:B.START_Y, targetX:B.START_X, targetY:B.START_Y };
+  }
+
+  function moveBumper(bumper, B) {
+    const dx=bumper.targetX-bumper.x, dy=bumper.targetY-bumper.y;
+    const d=detSqrt(dx*dx+dy*dy);
+    if (d > B.MAX_SPEED) {
+      bumper.x=fpRound(bumper.x+(dx/d)*B.MAX_SPEED);
+      bumper.y=fpRound(bumper.y+(dy/d)*B.MAX_SPEED);
+    } else { bumper.x=bumper.targetX; bumper.y=bumper.targetY; }
+  }
+
+  // ===== BALL CREATION =====
+
+  function createBall(rng, id, C) {
+    const x = 0.5 + rng.nextDouble() * (C.FIELD - 1);
+    const y = C.FIELD - 0.3;
+    const angle = (220 + rng.nextDouble() * 100) * Math.PI / 180;
+    const typeRoll = rng.nextDouble();
+    let type='normal', multiplier=1;
+    if (typeRoll < C.GOLDEN_CHANCE) { type='golden'; multiplier=3; }
+    else if (typeRoll < C.GOLDEN_CHANCE+C.EXPLOSIVE_CHANCE) { type='explosive'; }
+    return {
+      id, x, y,
+      dx: detCos(angle)*C.SPEED,
+      dy: detSin(angle)*C.SPEED,
+      value:9, ticksSinceCountdown:0, alive:true, type, multiplier
+    };
+  }
+
+  function randomizeBounce(ball, rng) {
+    const variation = (rng.nextDouble() - 0.5) * 0.1 * Math.PI;
+    const angle = detAtan2(ball.dy, ball.dx) + variation;
+    const speed = detSqrt(ball.dx*ball.dx + ball.dy*ball.dy);
+    ball.dx = fpRound(detCos(angle) * speed);
+    ball.dy = fpRound(detSin(angle) * speed);
+  }
+
+  function collideBallBumper(ball, bumper, rng, C, B) {
+    const d = dist(ball.x,ball.y,bumper.x,bumper.y);
+    const minDist = C.BALL_R+B.RADIUS;
+    if (d < minDist && d > 0) {
+      const nx=(ball.x-bumper.x)/d, ny=(ball.y-bumper.y)/d;
+      const dot=ball.dx*nx+ball.dy*ny;
+      ball.dx=fpRound(ball.dx-2*dot*nx); ball.dy=fpRound(ball.dy-2*dot*ny);
+      ball.x=fpRound(bumper.x+nx*minDist); ball.y=fpRound(bumper.y+ny*minDist);
+      randomizeBounce(ball, rng);
+      return true;
+    }
+    return false;
+  }
+
+  // ===== GAME STATE =====
+
+  // options: { clientSeed, nonce, ruleset }. A non-object 4th argument (old callers passed the total bet) is ignored.
+  function createInitialState(serverSeed, numBalls, betPerBall=5, options={}) {
+    const opts = (options && typeof options === 'object') ? options : {};
+    const ruleset = resolveRuleset(opts.ruleset);
+    const clientSeed = String(opts.clientSeed ?? 'uvs-paddla');
+    const nonce = Number(opts.nonce) || 0;
+    const serverSeedHash = sha256Hex(serverSeed);
+    const sessionId = sha256Hex(`${serverSeedHash}:${clientSeed}:${nonce}`);
+    return {
+      uvsHeader: {
+        type: 'uvs-header',
+        uvsVersion: 3,
+        sessionId,
+        serverSeedHash,
+        clientSeed,
+        minNonce: nonce,
+        params: { numBalls, betPerBall, engineVersion: VERSION, rulesetHash: rulesetHash(ruleset) },
+        extensions: ['physics-arcade@1.0'],
+        timestamp: new Date().toISOString()
+      },
+      engineVersion: VERSION,
+      serverSeed,
+      clientSeed,
+      nonce,
+      ruleset,
+      rng: null,
+      balls: [],
+      bumper: createBumper(ruleset.bumper),
+      tickCount: 0,
+      ballsSpawned: 0,
+      numBalls,
+      betPerBall,
+      spawnCooldown: 0,
+      progressive: 1,
+      timeoutCount: 0,
+      totalWin: 0,
+      finished: false,
+      nextBallId: 1,
+      inputLog: []
+    };
+  }
+
+  // ===== BALL-BALL =====
+
+  // Resolves one pair; true when it moved the balls (two special balls pushed apart)
+  function collideBalls(state, b1, b2, events, C) {
+    if (!b1.alive||!b2.alive) return false;
+    if (dist(b1.x,b1.y,b2.x,b2.y)>=C.BALL_R*2) return false;
+    const s1=b1.type!=='normal', s2=b2.type!=='normal';
+    if (s1&&s2) {
+      const dx=b2.x-b1.x, dy=b2.y-b1.y, d=detSqrt(dx*dx+dy*dy)||1;
+      const nx=dx/d, ny=dy/d, ov=C.BALL_R*2-d;
+      if (ov>0) { b1.x-=nx*ov*0.5; b1.y-=ny*ov*0.5; b2.x+=nx*ov*0.5; b2.y+=ny*ov*0.5; }
+      b1.dx=-nx*C.SPEED; b1.dy=-ny*C.SPEED;
+      b2.dx=nx*C.SPEED; b2.dy=ny*C.SPEED;
+      randomizeBounce(b1,state.rng); randomizeBounce(b2,state.rng);
+      return ov>0;
+    }
+    if (s1) { b2.alive=false; const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp); events.push({type:'collision',winner:b1,loser:b2,prize:cp}); return false; }
+    if (s2) { b1.alive=false; const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp); events.push({type:'collision',winner:b2,loser:b1,prize:cp}); return false; }
+    if (b1.value===b2.value) {
+      const prize=moneyRound(b1.value*2*(state.betPerBall/5));
+      state.totalWin=moneyRound(state.totalWin+prize);
+      events.push({ type:'double', b1, b2, prize });
+      if (state.rng.nextDouble()<0.5) b2.alive=false; else b1.alive=false;
+    } else {
+      const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp);
+      const loser=b1.value<b2.value?b1:b2, winner=b1.value<b2.value?b2:b1;
+      loser.alive=false;
+      const dx=winner.x-loser.x, dy=winner.y-loser.y, d=detSqrt(dx*dx+dy*dy)||1;
+      winner.dx=(dx/d)*C.SPEED; winner.dy=(dy/d)*C.SPEED;
+      randomizeBounce(winner,state.rng);
+      events.push({ type:'collision', winner, loser, prize:cp });
+    }
+    return false;
+  }
+
+  // ===== BROADPHASE (v13) =====
+  // The plain pass tries every pair (i, j), i < j, in order: O(n^2). From BROADPHASE_MIN_BALLS
+  // balls on, tick() only tries the pairs whose balls share or touch a cell of a uniform grid,
+  // in that same (i, j) order. Cells are a hair wider than a contact (2*BALL_R), so rounding in
+  // x/cell can never put two touching balls two cells apart. Balls only move inside the pass
+  // when special balls are pushed apart; the remaining pairs are then re-gridded from the new
+  // positions. So every pair the plain pass would resolve is resolved, in the same order, and
+  // the outcome is bit-identical to it at any ball count.
+  const BROADPHASE_MIN_BALLS = 24;
+
+  // Pairs encoded as i*n+j, ascending, after pair `after` (-1 for all)
+  function _broadphasePairs(balls, C, after) {
+    const n = balls.length, cell = C.BALL_R * 2 * (1 + 1e-9);
+    const grid = new Map();
+    const cx = new Int32Array(n), cy = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+      if (!balls[i].alive) continue;
+      cx[i] = Math.floor(balls[i].x / cell); cy[i] = Math.floor(balls[i].y / cell);
+      const key = cx[i] * 65536 + cy[i];
+      const list = grid.get(key);
+      if (list) list.push(i); else grid.set(key, [i]);
+    }
+    const pairs = [];
+    for (let i = 0; i < n; i++) {
+      if (!balls[i].alive) continue;
+      for (let gx = cx[i] - 1; gx <= cx[i] + 1; gx++) {
+        for (let gy = cy[i] - 1; gy <= cy[i] + 1; gy++) {
+          const list = grid.get(gx * 65536 + gy);
+          if (!list) continue;
+          for (const j of list) if (j > i && i * n + j > after) pairs.push(i * n + j);
+        }
+      }
+    }
+    // far outside cells can share a key; a pair is still only tried once
+    return Float64Array.from(pairs).sort().filter((p, k, all) => k === 0 || p !== all[k - 1]);
+  }
+
+  // ===== TICK =====
+
+  function tick(state, bumperTarget) {
+    if (state.finished) return [];
+    const events = [];
+    const C = state.ruleset.config, B = state.ruleset.bumper;
+
+    state.tickCount++;
+    if (state.spawnCooldown > 0) state.spawnCooldown--;
+
+    if (bumperTarget) {
+      state.bumper.targetX = clamp(bumperTarget.x, B.MIN_X, B.MAX_X);
+      state.bumper.targetY = clamp(bumperTarget.y, B.MIN_Y, B.MAX_Y);
+    }
+    moveBumper(state.bumper, B);
+
+    state.rng = new UVS_PRNG_V13(tickCombinedSeed(state));
+
+    state.inputLog.push({
+      tick: state.tickCount,
+      target: { x: state.bumper.targetX, y: state.bumper.targetY }
+    });
+
+    // Spawn
+    if (state.tickCount % C.SPAWN_INTERVAL === 0 &&
+        state.balls.length < C.MAX_ON_FIELD &&
+        state.spawnCooldown <= 0 &&
+        state.ballsSpawned < state.numBalls) {
+      const ball = createBall(state.rng, state.nextBallId++, C);
+      state.balls.push(ball);
+      state.ballsSpawned++;
+      state.spawnCooldown = C.SPAWN_COOLDOWN;
+      events.push({ type:'spawn', ball });
+    }
+
+    // Update balls
+    for (const b of state.balls) {
+      if (!b.alive) continue;
+      b.ticksSinceCountdown++;
+      b.x=fpRound(b.x+b.dx); b.y=fpRound(b.y+b.dy);
+      const R=C.BALL_R, F=C.FIELD;
+      let hitWall=false;
+      if (b.x-R<0) { b.x=R; b.dx=-b.dx; hitWall=true; }
+      if (b.x+R>F) { b.x=F-R; b.dx=-b.dx; hitWall=true; }
+      if (b.y-R<0) { b.y=R; b.dy=-b.dy; hitWall=true; }
+      if (b.y+R>F) { b.y=F-R; b.dy=-b.dy; hitWall=true; }
+      if (b.type==='normal' && b.ticksSinceCountdown>=C.COUNTDOWN && b.value>0) {
+        b.value--; b.ticksSinceCountdown=0;
+        if (b.value<=0) { b.alive=false; b.diedFromTimeout=true; events.push({type:'timeout',ball:b}); }
+      }
+      if (b.alive && hitWall) randomizeBounce(b, state.rng);
+    }
+
+    // Bumper collision
+    for (const b of state.balls) {
+      if (b.alive && collideBallBumper(b, state.bumper, state.rng, C, B))
+        events.push({ type:'bumperHit', ball:b });
+    }
+
+    // Center recharge
+    for (const b of state.balls) {
+      if (b.alive && isInCenter(b, C)) {
+        const dx=b.x-C.CENTER_X, dy=b.y-C.CENTER_Y;
+        const d=detSqrt(dx*dx+dy*dy);
+        if (d>0) { b.dx=(dx/d)*C.SPEED; b.dy=(dy/d)*C.SPEED; randomizeBounce(b,state.rng); }
+        if (b.type==='normal' && b.value<9) {
+          b.value=9; b.ticksSinceCountdown=0;
+          events.push({ type:'recharge', ball:b });
+        }
+      }
+    }
+
+    // Goals
+    for (const ball of state.balls) {
+      if (!ball.alive) continue;
+      if (isGoal(ball, C)) {
+        const bs=state.betPerBall/5;
+        const prize=moneyRound(ball.value*ball.multiplier*state.progressive*bs);
+        state.totalWin=moneyRound(state.totalWin+prize);
+        if (ball.type==='golden') state.timeoutCount=0;
+        if (state.progressive<C.PROGRESSIVE_CAP) state.progressive++;
+        events.push({ type:'goal', ball, prize, side:isInLeftGoal(ball, C)?'left':'right' });
+        ball.alive=false;
+        if (ball.type==='explosive') {
+          state.timeoutCount=0;
+          events.push({ type:'explosion', ball, x:ball.x, y:ball.y });
+          for (const o of state.balls) {
+            if (o.alive && o.id!==ball.id && isInUpperHalf(o, C)) {
+              const ep=moneyRound(o.value*o.multiplier*state.progressive*bs);
+              state.totalWin=moneyRound(state.totalWin+ep);
+              if (state.progressive<C.PROGRESSIVE_CAP) state.progressive++;
+              events.push({ type:'exploded', ball:o, prize:ep });
+              o.alive=false;
+            }
+          }
+        }
+      }
+    }
+
+    // Ball-ball collisions, pair by pair in (i, j) order (see BALL-BALL)
+    const n=state.balls.length;
+    if (n<BROADPHASE_MIN_BALLS) {
+      for (let i=0;i<n;i++) for (let j=i+1;j<n;j++) collideBalls(state, state.balls[i], state.balls[j], events, C);
+    } else {
+      let pairs=_broadphasePairs(state.balls, C, -1);
+      for (let k=0;k<pairs.length;k++) {
+        const p=pairs[k];
+        if (collideBalls(state, state.balls[Math.floor(p/n)], state.balls[p%n], events, C)) {
+          pairs=_broadphasePairs(state.balls, C, p); k=-1;
+        }
+      }
+    }
+
+    // Timeouts
+    for (const b of state.balls) {
+      if (!b.alive && b.diedFromTimeout) {
+        state.timeoutCount++;
+        if (state.timeoutCount>=C.TIMEOUT_LIMIT) {
+          state.progressive=1; state.timeoutCount=0;
+          events.push({ type:'progressiveReset' });
+        }
+        b.diedFromTimeout=false;
+      }
+    }
+
+    state.balls = state.balls.filter(b=>b.alive);
+
+    // Auto-collect special balls
+    if (state.balls.length>0 && !state.balls.some(b=>b.type==='normal')) {
+      for (const b of state.balls) {
+        if (b.alive) {
+          const prize=moneyRound(b.value*b.multiplier*state.progressive*(state.betPerBall/5));
+          state.totalWin=moneyRound(state.totalWin+prize);
+          if (state.progressive<C.PROGRESSIVE_CAP) state.progressive++;
+          events.push({ type:'autoCollect', ball:b, prize });
+          b.alive=false;
+        }
+      }
+      state.balls=[];
+    }
+
+    // End condition
+    if (state.ballsSpawned>=state.numBalls && state.balls.length===0) {
+      state.finished=true;
+      events.push({ type:'gameEnd', totalWin:state.totalWin });
+    }
+
+    return events;
+  }
+
+  // ===== REPLAY =====
+
+  function replay(serverSeed, numBalls, inputLog, betPerBall=5, options={}) {
+    const state = createInitialState(serverSeed, numBalls, betPerBall, options);
+    let inputIdx=0, safety=0;
+    const maxTicks = numBalls * CONFIG.MAX_TICKS_PER_BALL;
+    while (!state.finished && safety<maxTicks) {
+      let target=null;
+      if (inputIdx<inputLog.length && inputLog[inputIdx].tick===state.tickCount+1) {
+        target=inputLog[inputIdx].target; inputIdx++;
+      } else if (state.tickCount>0) {
+        target={ x:state.bumper.targetX, y:state.bumper.targetY };
+      }
+      tick(state,target); safety++;
+    }
+    return state;
+  }
+
+  function finishGame(state) {
+    const target={ x:state.bumper.targetX, y:state.bumper.targetY };
+    let safety=0;
+    while (!state.finished && safety<100000) { tick(state,target); safety++; }
+  }
+
+  const engine = Object.freeze({
+    version: VERSION, CONFIG, BUMPER,
+    DEFAULT_RULESET, resolveRuleset, rulesetHash,
+    detSqrt, detSin, detCos, detAtan2,
+    tickCombinedSeed, createInitialState, tick, replay, finishGame
+  });
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = engine;
+  } else if (root) {
+    (root.PADDLA_ENGINES = root.PADDLA_ENGINES || {})[VERSION] = engine;
+  }
+})(typeof window !== 'undefined' ? window : null);
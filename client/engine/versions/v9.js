@@ -0,0 +1,346 @@
+// PADDLA Engine v9 — FROZEN copy (UVS v3, wire format unchanged since v1)
+// Do not edit: stored v9 records must replay bit-for-bit forever. Physics changes go to core.js
+// under a new ENGINE_VERSION, and that version gets its own frozen copy in this directory.
+// combinedSeed per tick = SHA-512(serverSeed + ":" + bumperX:bumperY + ":" + tick)
+// Only the wire-stable crypto (UVS_PRNG, SHA-256, SHA-512) is taken from core.js.
+
+(function (root) {
+  const core = typeof module !== 'undefined' && module.exports ? require('../core.js') : root;
+  const { UVS_PRNG, sha256Hex, sha512Hex } = core;
+
+  const VERSION = 9;
+
+  function tickCombinedSeed(state) {
+    const clientSeed = `${state.bumper.x.toFixed(4)}:${state.bumper.y.toFixed(4)}`;
+    return sha512Hex(`${state.serverSeed}:${clientSeed}:${state.tickCount}`);
+  }
+
+  // ===== UTILITIES =====
+
+  const FP_ROUND = 1e10;
+  function fpRound(v) { return Math.round(v * FP_ROUND) / FP_ROUND; }
+  function moneyRound(v) { return Math.round(v * 100) / 100; }
+  function dist(ax,ay,bx,by) { return Math.sqrt((bx-ax)**2+(by-ay)**2); }
+  function clamp(v,min,max) { return Math.max(min,Math.min(max,v)); }
+
+  // ===== CONFIG =====
+
+  const CONFIG = Object.freeze({
+    FIELD:9, BALL_R:0.2, SPEED:0.05, GOAL_R:1.02,
+    CENTER_R:0.225, CENTER_X:4.5, CENTER_Y:4.5, COUNTDOWN:45,
+    GOLDEN_CHANCE:0.01, EXPLOSIVE_CHANCE:1/75,
+    SPAWN_COOLDOWN:60, SPAWN_INTERVAL:60, MAX_ON_FIELD:10,
+    TIMEOUT_LIMIT:5, PROGRESSIVE_CAP:5, BET_PER_BALL:5, MAX_TICKS_PER_BALL:600
+  });
+
+  const BUMPER = Object.freeze({
+    RADIUS:0.4, MIN_Y:0.4, MAX_Y:3.5, MIN_X:1.5, MAX_X:7.5,
+    MAX_SPEED:0.15, START_X:4.5, START_Y:2.0
+  });
+
+  // ===== HELPERS =====
+
+  function isInLeftGoal(b)  { return dist(b.x,b.y,0,0) < CONFIG.GOAL_R; }
+  function isInRightGoal(b) { return dist(b.x,b.y,CONFIG.FIELD,0) < CONFIG.GOAL_R; }
+  function isGoal(b)        { return isInLeftGoal(b) || isInRightGoal(b); }
+  function isInCenter(b)    { return dist(b.x,b.y,CONFIG.CENTER_X,CONFIG.CENTER_Y) < CONFIG.CENTER_R+CONFIG.BALL_R; }
+  function isInUpperHalf(b) { return b.y < CONFIG.FIELD/2; }
+
+  function createBumper() {
+    return { x:BUMPER.START_X, y:BUMPER.START_Y, targetX:BUMPER.START_X, targetY:BUMPER.START_Y };
+  }
+
+  function moveBumper(bumper) {
+    const dx=bumper.targetX-bumper.x, dy=bumper.targetY-bumper.y;
+    const d=Math.sqrt(dx*dx+dy*dy);
+    if (d > BUMPER.MAX_SPEED) {
+      bumper.x=fpRound(bumper.x+(dx/d)*BUMPER.MAX_SPEED);
+      bumper.y=fpRound(bumper.y+(dy/d)*BUMPER.MAX_SPEED);
+    } else { bumper.x=bumper.targetX; bumper.y=bumper.targetY; }
+  }
+
+  // ===== BALL CREATION =====
+
+  function createBall(rng, id) {
+    const x = 0.5 + rng.nextDouble() * 8;
+    const y = CONFIG.FIELD - 0.3;
+    const angle = (220 + rng.nextDouble() * 100) * Math.PI / 180;
+    const typeRoll = rng.nextDouble();
+    let type='normal', multiplier=1;
+    if (typeRoll < CONFIG.GOLDEN_CHANCE) { type='golden'; multiplier=3; }
+    else if (typeRoll < CONFIG.GOLDEN_CHANCE+CONFIG.EXPLOSIVE_CHANCE) { type='explosive'; }
+    return {
+      id, x, y,
+      dx: Math.cos(angle)*CONFIG.SPEED,
+      dy: Math.sin(angle)*CONFIG.SPEED,
+      value:9, ticksSinceCountdown:0, alive:true, type, multiplier
+    };
+  }
+
+  function randomizeBounce(ball, rng) {
+    const variation = (rng.nextDouble() - 0.5) * 0.1 * Math.PI;
+    const angle = Math.atan2(ball.dy, ball.dx) + variation;
+    const speed = Math.sqrt(ball.dx**2 + ball.dy**2);
+    ball.dx = fpRound(Math.cos(angle) * speed);
+    ball.dy = fpRound(Math.sin(angle) * speed);
+  }
+
+  function collideBallBumper(ball, bumper, rng) {
+    const d = dist(ball.x,ball.y,bumper.x,bumper.y);
+    const minDist = CONFIG.BALL_R+BUMPER.RADIUS;
+    if (d < minDist && d > 0) {
+      const nx=(ball.x-bumper.x)/d, ny=(ball.y-bumper.y)/d;
+      const dot=ball.dx*nx+ball.dy*ny;
+      ball.dx=fpRound(ball.dx-2*dot*nx); ball.dy=fpRound(ball.dy-2*dot*ny);
+      ball.x=fpRound(bumper.x+nx*minDist); ball.y=fpRound(bumper.y+ny*minDist);
+      randomizeBounce(ball, rng);
+      return true;
+    }
+    return false;
+  }
+
+  // ===== GAME STATE =====
+
+  // options are accepted for interface parity with later engines; v9 has no player clientSeed.
+  function createInitialState(serverSeed, numBalls, betPerBall=5) {
+    const serverSeedHash = sha256Hex(serverSeed);
+    const sessionId = sha256Hex(`${serverSeedHash}:uvs-paddla:1`);
+    return {
+      uvsHeader: {
+        type: 'uvs-header',
+        uvsVersion: 3,
+        sessionId,
+        serverSeedHash,
+        clientSeed: 'uvs-paddla',
+        minNonce: 1,
+        params: { numBalls, betPerBall, engineVersion: VERSION },
+        extensions: ['physics-arcade@1.0'],
+        timestamp: new Date().toISOString()
+      },
+      engineVersion: VERSION,
+      serverSeed,
+      clientSeed: 'uvs-paddla',
+      nonce: 1,
+      rng: null,
+      balls: [],
+      bumper: createBumper(),
+      tickCount: 0,
+      ballsSpawned: 0,
+      numBalls,
+      betPerBall,
+      spawnCooldown: 0,
+      progressive: 1,
+      timeoutCount: 0,
+      totalWin: 0,
+      finished: false,
+      nextBallId: 1,
+      inputLog: []
+    };
+  }
+
+  // ===== TICK =====
+
+  function tick(state, bumperTarget) {
+    if (state.finished) return [];
+    const events = [];
+
+    state.tickCount++;
+    if (state.spawnCooldown > 0) state.spawnCooldown--;
+
+    if (bumperTarget) {
+      state.bumper.targetX = clamp(bumperTarget.x, BUMPER.MIN_X, BUMPER.MAX_X);
+      state.bumper.targetY = clamp(bumperTarget.y, BUMPER.MIN_Y, BUMPER.MAX_Y);
+    }
+    moveBumper(state.bumper);
+
+    state.rng = new UVS_PRNG(tickCombinedSeed(state));
+
+    state.inputLog.push({
+      tick: state.tickCount,
+      target: { x: state.bumper.targetX, y: state.bumper.targetY }
+    });
+
+    // Spawn
+    if (state.tickCount % CONFIG.SPAWN_INTERVAL === 0 &&
+        state.balls.length < CONFIG.MAX_ON_FIELD &&
+        state.spawnCooldown <= 0 &&
+        state.ballsSpawned < state.numBalls) {
+      const ball = createBall(state.rng, state.nextBallId++);
+      state.balls.push(ball);
+      state.ballsSpawned++;
+      state.spawnCooldown = CONFIG.SPAWN_COOLDOWN;
+      events.push({ type:'spawn', ball });
+    }
+
+    // Update balls
+    for (const b of state.balls) {
+      if (!b.alive) continue;
+      b.ticksSinceCountdown++;
+      b.x=fpRound(b.x+b.dx); b.y=fpRound(b.y+b.dy);
+      const R=CONFIG.BALL_R, F=CONFIG.FIELD;
+      let hitWall=false;
+      if (b.x-R<0) { b.x=R; b.dx=-b.dx; hitWall=true; }
+      if (b.x+R>F) { b.x=F-R; b.dx=-b.dx; hitWall=true; }
+      if (b.y-R<0) { b.y=R; b.dy=-b.dy; hitWall=true; }
+      if (b.y+R>F) { b.y=F-R; b.dy=-b.dy; hitWall=true; }
+      if (b.type==='normal' && b.ticksSinceCountdown>=CONFIG.COUNTDOWN && b.value>0) {
+        b.value--; b.ticksSinceCountdown=0;
+        if (b.value<=0) { b.alive=false; b.diedFromTimeout=true; events.push({type:'timeout',ball:b}); }
+      }
+      if (b.alive && hitWall) randomizeBounce(b, state.rng);
+    }
+
+    // Bumper collision
+    for (const b of state.balls) {
+      if (b.alive && collideBallBumper(b, state.bumper, state.rng))
+        events.push({ type:'bumperHit', ball:b });
+    }
+
+    // Center recharge
+    for (const b of state.balls) {
+      if (b.alive && isInCenter(b)) {
+        const dx=b.x-CONFIG.CENTER_X, dy=b.y-CONFIG.CENTER_Y;
+        const d=Math.sqrt(dx*dx+dy*dy);
+        if (d>0) { b.dx=(dx/d)*CONFIG.SPEED; b.dy=(dy/d)*CONFIG.SPEED; randomizeBounce(b,state.rng); }
+        if (b.type==='normal' && b.value<9) {
+          b.value=9; b.ticksSinceCountdown=0;
+          events.push({ type:'recharge', ball:b });
+        }
+      }
+    }
+
+    // Goals
+    for (const ball of state.balls) {
+      if (!ball.alive) continue;
+      if (isGoal(ball)) {
+        const bs=state.betPerBall/5;
+        const prize=moneyRound(ball.value*ball.multiplier*state.progressive*bs);
+        state.totalWin=moneyRound(state.totalWin+prize);
+        if (ball.type==='golden') state.timeoutCount=0;
+        if (state.progressive<CONFIG.PROGRESSIVE_CAP) state.progressive++;
+        events.push({ type:'goal', ball, prize, side:isInLeftGoal(ball)?'left':'right' });
+        ball.alive=false;
+        if (ball.type==='explosive') {
+          state.timeoutCount=0;
+          events.push({ type:'explosion', ball, x:ball.x, y:ball.y });
+          for (const o of state.balls) {
+            if (o.alive && o.id!==ball.id && isInUpperHalf(o)) {
+              const ep=moneyRound(o.value*o.multiplier*state.progressive*bs);
+              state.totalWin=moneyRound(state.totalWin+ep);
+              if (state.progressive<CONFIG.PROGRESSIVE_CAP) state.progressive++;
+              events.push({ type:'exploded', ball:o, prize:ep });
+              o.alive=false;
+            }
+          }
+        }
+      }
+    }
+
+    // Ball-ball collisions
+    for (let i=0;i<state.balls.length;i++) {
+      for (let j=i+1;j<state.balls.length;j++) {
+        const b1=state.balls[i], b2=state.balls[j];
+        if (!b1.alive||!b2.alive) continue;
+        if (dist(b1.x,b1.y,b2.x,b2.y)<CONFIG.BALL_R*2) {
+          const s1=b1.type!=='normal', s2=b2.type!=='normal';
+          if (s1&&s2) {
+            const dx=b2.x-b1.x, dy=b2.y-b1.y, d=Math.sqrt(dx*dx+dy*dy)||1;
+            const nx=dx/d, ny=dy/d, ov=CONFIG.BALL_R*2-d;
+            if (ov>0) { b1.x-=nx*ov*0.5; b1.y-=ny*ov*0.5; b2.x+=nx*ov*0.5; b2.y+=ny*ov*0.5; }
+            b1.dx=-nx*CONFIG.SPEED; b1.dy=-ny*CONFIG.SPEED;
+            b2.dx=nx*CONFIG.SPEED; b2.dy=ny*CONFIG.SPEED;
+            randomizeBounce(b1,state.rng); randomizeBounce(b2,state.rng);
+            continue;
+          }
+          if (s1) { b2.alive=false; const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp); events.push({type:'collision',winner:b1,loser:b2,prize:cp}); continue; }
+          if (s2) { b1.alive=false; const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp); events.push({type:'collision',winner:b2,loser:b1,prize:cp}); continue; }
+          if (b1.value===b2.value) {
+            const prize=moneyRound(b1.value*2*(state.betPerBall/5));
+            state.totalWin=moneyRound(state.totalWin+prize);
+            events.push({ type:'double', b1, b2, prize });
+            if (state.rng.nextDouble()<0.5) b2.alive=false; else b1.alive=false;
+          } else {
+            const cp=moneyRound(state.betPerBall/5); state.totalWin=moneyRound(state.totalWin+cp);
+            const loser=b1.value<b2.value?b1:b2, winner=b1.value<b2.value?b2:b1;
+            loser.alive=false;
+            const dx=winner.x-loser.x, dy=winner.y-loser.y, d=Math.sqrt(dx*dx+dy*dy)||1;
+            winner.dx=(dx/d)*CONFIG.SPEED; winner.dy=(dy/d)*CONFIG.SPEED;
+            randomizeBounce(winner,state.rng);
+            events.push({ type:'collision', winner, loser, prize:cp });
+          }
+        }
+      }
+    }
+
+    // Timeouts
+    for (const b of state.balls) {
+      if (!b.alive && b.diedFromTimeout) {
+        state.timeoutCount++;
+        if (state.timeoutCount>=CONFIG.TIMEOUT_LIMIT) {
+          state.progressive=1; state.timeoutCount=0;
+          events.push({ type:'progressiveReset' });
+        }
+        b.diedFromTimeout=false;
+      }
+    }
+
+    state.balls = state.balls.filter(b=>b.alive);
+
+    // Auto-collect special balls
+    if (state.balls.length>0 && !state.balls.some(b=>b.type==='normal')) {
+      for (const b of state.balls) {
+        if (b.alive) {
+          const prize=moneyRound(b.value*b.multiplier*state.progressive*(state.betPerBall/5));
+          state.totalWin=moneyRound(state.totalWin+prize);
+          if (state.progressive<CONFIG.PROGRESSIVE_CAP) state.progressive++;
+          events.push({ type:'autoCollect', ball:b, prize });
+          b.alive=false;
+        }
+      }
+      state.balls=[];
+    }
+
+    // End condition
+    if (state.ballsSpawned>=state.numBalls && state.balls.length===0) {
+      state.finished=true;
+      events.push({ type:'gameEnd', totalWin:state.totalWin });
+    }
+
+    return events;
+  }
+
+  // ===== REPLAY =====
+
+  function replay(serverSeed, numBalls, inputLog, betPerBall=5, options={}) {
+    const state = createInitialState(serverSeed, numBalls, betPerBall, options);
+    let inputIdx=0, safety=0;
+    const maxTicks = numBalls * CONFIG.MAX_TICKS_PER_BALL;
+    while (!state.finished && safety<maxTicks) {
+      let target=null;
+      if (inputIdx<inputLog.length && inputLog[inputIdx].tick===state.tickCount+1) {
+        target=inputLog[inputIdx].target; inputIdx++;
+      } else if (state.tickCount>0) {
+        target={ x:state.bumper.targetX, y:state.bumper.targetY };
+      }
+      tick(state,target); safety++;
+    }
+    return state;
+  }
+
+  function finishGame(state) {
+    const target={ x:state.bumper.targetX, y:state.bumper.targetY };
+    let safety=0;
+    while (!state.finished && safety<100000) { tick(state,target); safety++; }
+  }
+
+  const engine = Object.freeze({
+    version: VERSION, CONFIG, BUMPER,
+    tickCombinedSeed, createInitialState, tick, replay, finishGame
+  });
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = engine;
+  } else if (root) {
+    (root.PADDLA_ENGINES = root.PADDLA_ENGINES || {})[VERSION] = engine;
+  }
+})(typeof window !== 'undefined' ? window : null);
@@ -0,0 +1,67 @@
+// PADDLA Engine registry — every released engine, keyed by ENGINE_VERSION
+// Stored records (trail, receipts, audits) replay through the engine that produced them,
+// never through whatever core.js happens to be today. Releasing a new ENGINE_VERSION means
+// adding its frozen copy under engine/versions/ and listing it below.
+// Browser: load core.js, then engine/versions/*.js, then this file.
+
+(function (root) {
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const core = isNode ? require('./core.js') : root;
+  const ENGINES = isNode
+    ? { 9: require('./versions/v9.js'), 10: require('./versions/v10.js'), 11: require('./versions/v11.js'),
+        12: require('./versions/v12.js'), 13: require('./versions/v13.js') }
+    : (root.PADDLA_ENGINES || {});
+
+  const CURRENT_VERSION = core.ENGINE_VERSION;
+
+  // Trail records written before v10 carry no version or the old server label '0.6';
+  // both were produced by the v9 derivation.
+  function recordEngineVersion(record) {
+    const v = record && record.engineVersion;
+    if (v === undefined || v === null || v === '0.6') return 9;
+    return Number(v);
+  }
+
+  function listVersions() {
+    return Object.keys(ENGINES).map(Number).sort((a, b) => a - b);
+  }
+
+  function getEngine(version) {
+    const engine = ENGINES[Number(version)];
+    if (!engine) {
+      throw new Error(`Unknown engine version: ${version} (known: ${listVersions().join(', ')})`);
+    }
+    return engine;
+  }
+
+  // Replay a stored record with its own engine. inputLog may be dense or delta-encoded:
+  // replay() re-applies the last target on ticks that have no entry. A record's ruleset
+  // (v11 on) goes to the engine; engines from before rulesets refuse one.
+  // options.hashChain: true or a checkpoint interval keeps core's per-tick hash chain on the
+  // way (frozen engines predate it, so core advances it after each of their ticks); the
+  // returned state then carries hashChain.head and the checkpoints stamped on its inputLog.
+  function replayRecord(record, options = {}) {
+    const engine = getEngine(recordEngineVersion(record));
+    if (record.ruleset && !engine.resolveRuleset) {
+      throw new Error(`Engine v${engine.version} has no rulesets`);
+    }
+    const args = [record.serverSeed, record.numBalls, record.inputLog || [], record.betPerBall || 5,
+      { clientSeed: record.clientSeed, nonce: record.nonce, ruleset: record.ruleset }];
+    if (!options.hashChain) return engine.replay(...args);
+    const state = engine.createInitialState(args[0], args[1], args[3], args[4]);
+    core.startHashChain(state, options.hashChain === true ? core.HASH_CHAIN_EVERY : options.hashChain);
+    return core.replayFrom(state, args[2], (s, target) => {
+      const events = engine.tick(s, target);
+      core.advanceHashChain(s);
+      return events;
+    });
+  }
+
+  const registry = { CURRENT_VERSION, listVersions, getEngine, recordEngineVersion, replayRecord };
+
+  if (isNode) {
+    module.exports = registry;
+  } else if (root) {
+    Object.assign(root, registry);
+  }
+})(typeof window !== 'undefined' ? window : null);
@@ -50,6 +50,7 @@ export default [
         CONFIG:"readonly", BUMPER:"readonly",
         UVS_PRNG:"readonly",
         createInitialState:"readonly", tick:"readonly",
+        getEngine:"readonly", recordEngineVersion:"readonly", replayRecord:"readonly",
         sha256Hex:"readonly", sha512Hex:"readonly", sha256Pure:"readonly",
         fpRound:"readonly", moneyRound:"readonly",
         dist:"readonly", clamp:"readonly", bytesToHex:"readonly",
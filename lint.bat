@@ -1,4 +1,6 @@
 cd /d C:\Users\const\ClaudeLab\PADDLA
 copy engine\core.js client\engine\core.js
+copy engine\registry.js client\engine\registry.js
+xcopy /y engine\versions client\engine\versions\
 copy client\index.html index.html
 npx eslint engine/core.js client/index.html
@@ -0,0 +1,119 @@
+// PADDLA Server configuration
+// Everything environment-dependent lives here; values come from process.env
+// (Render dashboard in production, your shell or .env locally).
+
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = process.env.PADDLA_DATA_DIR || path.join(__dirname, 'data');
+
+module.exports = {
+  port: process.env.PORT || 3000,
+  dataDir: DATA_DIR,
+
+  // Server seeds per pre-committed hash chain; one is used per hourly rotation (2160 = 90 days)
+  seedChainLength: parseInt(process.env.SEED_CHAIN_LENGTH, 10) || 2160,
+
+  // Audit trail storage: firestore | file | memory | auto
+  // auto = Firestore when credentials are present, otherwise the local JSONL file.
+  trail: {
+    backend: process.env.TRAIL_BACKEND || 'auto',
+    file: process.env.TRAIL_FILE || path.join(DATA_DIR, 'trail.jsonl')
+  },
+
+  // Merkle batches over the trail (see trail-batches.js): sealed every intervalMs, covering
+  // records at least graceMs old. Same store as the trail.
+  batches: {
+    backend: process.env.TRAIL_BACKEND || 'auto',
+    file: process.env.TRAIL_BATCH_FILE || path.join(DATA_DIR, 'trail-batches.jsonl'),
+    collection: 'paddla_trail_batches',
+    intervalMs: parseInt(process.env.TRAIL_BATCH_INTERVAL_MS, 10) || 60 * 60 * 1000,
+    graceMs: 60 * 1000
+  },
+
+  // Retired hourly seeds, revealed at /seeds/history (same store as the trail)
+  seedHistory: {
+    backend: process.env.TRAIL_BACKEND || 'auto',
+    file: process.env.SEED_HISTORY_FILE || path.join(DATA_DIR, 'seed-history.jsonl'),
+    collection: 'paddla_seed_history'
+  },
+
+  // Divergence reports written when /game/:id/finish detects a mismatch (same store as the trail)
+  mismatches: {
+    backend: process.env.TRAIL_BACKEND || 'auto',
+    file: process.env.MISMATCH_FILE || path.join(DATA_DIR, 'mismatches.jsonl'),
+    collection: 'paddla_mismatches'
+  },
+
+  // In-flight games, commitments and nonces, so a restart or deploy does not void them.
+  // Same backends as the trail.
+  sessions: {
+    backend: process.env.SESSION_BACKEND || 'auto',
+    file: process.env.SESSION_FILE || path.join(DATA_DIR, 'sessions.jsonl')
+  },
+
+  // Wallet ledger (double-entry, append-only). Same backends as the trail.
+  ledger: {
+    backend: process.env.LEDGER_BACKEND || 'auto',
+    file: process.env.LEDGER_FILE || path.join(DATA_DIR, 'ledger.jsonl'),
+    startingBalance: parseFloat(process.env.STARTING_BALANCE) || 1000,
+    // Sweeps that may fail to settle an abandoned wallet game before it is voided and refunded
+    settleAttempts: parseInt(process.env.SETTLE_ATTEMPTS, 10) || 3
+  },
+
+  // Local registrar (see registrar.js). REGISTRAR_URL is what the clients call: unset means
+  // this server's own /registrar; set it to use an external registrar instead.
+  registrar: {
+    url: process.env.REGISTRAR_URL || '/registrar',
+    simMaxBalls: parseInt(process.env.REGISTRAR_SIM_MAX_BALLS, 10) || 10000
+  },
+  registrarTrail: {
+    backend: process.env.TRAIL_BACKEND || 'auto',
+    file: process.env.REGISTRAR_TRAIL_FILE || path.join(DATA_DIR, 'registrar-trail.jsonl'),
+    collection: 'paddla_registrar_trail'
+  },
+  registrarBatches: {
+    backend: process.env.TRAIL_BACKEND || 'auto',
+    file: process.env.REGISTRAR_BATCH_FILE || path.join(DATA_DIR, 'registrar-batches.jsonl'),
+    collection: 'paddla_registrar_batches',
+    intervalMs: parseInt(process.env.TRAIL_BATCH_INTERVAL_MS, 10) || 60 * 60 * 1000,
+    graceMs: 60 * 1000
+  },
+
+  // Replay verification runs in a worker_threads pool (see verify-pool.js)
+  verify: {
+    workers: parseInt(process.env.VERIFY_WORKERS, 10) || Math.max(1, os.cpus().length - 1),
+    maxQueue: parseInt(process.env.VERIFY_QUEUE, 10) || 64,
+    timeoutMs: parseInt(process.env.VERIFY_TIMEOUT_MS, 10) || 60000
+  },
+
+  // Background simulation jobs (see sim-jobs.js): concurrent workers, waiting jobs, and the
+  // balls each user may simulate per UTC day
+  sim: {
+    workers: parseInt(process.env.SIM_WORKERS, 10) || 1,
+    maxQueue: parseInt(process.env.SIM_QUEUE, 10) || 16,
+    quotaBalls: parseInt(process.env.SIM_QUOTA_BALLS, 10) || 20000
+  },
+
+  // Ed25519 key that signs finish receipts (see receipts.js): RECEIPT_PRIVATE_KEY holds a
+  // PKCS#8 PEM; otherwise the key file is used, and generated on first start
+  receipts: {
+    privateKey: process.env.RECEIPT_PRIVATE_KEY || null,
+    keyFile: process.env.RECEIPT_KEY_FILE || path.join(DATA_DIR, 'receipt-key.pem')
+  },
+
+  // Game variants (see rulesets.js): RULESETS_FILE is a JSON object of name → ruleset;
+  // 'classic' (the default rules) is always offered. DEFAULT_RULESET is played when a game names none.
+  rulesets: {
+    file: process.env.RULESETS_FILE || null,
+    defaultName: process.env.DEFAULT_RULESET || 'classic'
+  },
+
+  // How long a computed /leaderboard board is served before the trails are scanned again
+  leaderboard: {
+    ttlMs: parseInt(process.env.LEADERBOARD_TTL_MS, 10) || 60 * 1000
+  },
+
+  // Bearer token for /admin/* endpoints; unset = admin endpoints disabled
+  adminToken: process.env.ADMIN_TOKEN || null
+};
@@ -1,7 +1,8 @@
-// PADDLA Server Engine v0.6
-// Wrapper around core.js for server-side usage
+// PADDLA Server Engine
+// Wrapper around core.js (live engine) + registry.js (frozen engines by version) for server-side usage
 
 const path = require('path');
 const core = require(path.join(__dirname, '../engine/core.js'));
+const registry = require(path.join(__dirname, '../engine/registry.js'));
 
-module.exports = core;
+module.exports = { ...core, ...registry };
@@ -0,0 +1,37 @@
+// PADDLA Firestore connection (firebase-admin), shared by every Firestore-backed store.
+// Fault-tolerant init: env var on Render, local file in dev, null if neither.
+
+let db;  // undefined = not tried yet, null = unavailable
+
+function getFirestore() {
+  if (db !== undefined) return db;
+  db = null;
+  try {
+    const admin = require('firebase-admin');
+    let sa = null;
+    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+      sa = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    } else {
+      // Local dev fallback (path not used on Render)
+      try { sa = require('C:\\Users\\const\\Downloads\\Code\\holepuncher-constr-firebase-adminsdk-fbsvc-a5c94b33ee.json'); } catch (e) { sa = null; }
+    }
+    if (!sa) {
+      console.warn('[FIRESTORE] No Firebase credentials (set FIREBASE_SERVICE_ACCOUNT).');
+      return db;
+    }
+    if (!admin.apps.length) {
+      admin.initializeApp({ credential: admin.credential.cert(sa) });
+    }
+    db = admin.firestore();
+  } catch (e) {
+    console.warn('[FIRESTORE] Init failed (' + e.message + ').');
+  }
+  return db;
+}
+
+// Firebase Auth on the same app, for verifying client ID tokens; null when Firebase is unavailable
+function getAuth() {
+  return getFirestore() ? require('firebase-admin').auth() : null;
+}
+
+module.exports = { getFirestore, getAuth };
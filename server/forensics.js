@@ -0,0 +1,171 @@
+/**
+ * PADDLA Divergence Forensics
+ *
+ * When /game/:id/finish sees client and server totals disagree, the client may upload
+ * evidence of what it simulated:
+ *   tickHashes: [{ tick, hash }]   — stateHash(state) after those ticks (any subset, ascending)
+ *   events:     [{ tick, type, ... }] or [{ tick, events: [...] }] — what tick() returned
+ * The server replays the game one tick at a time, finds the first tick where its state or
+ * events differ from the client's, and reports both sides at that tick:
+ * ball positions, the raw RNG draws (uint32) and the events.
+ *
+ * kind tells the usual causes apart:
+ *   reported-total — the client's own evidence matches the replay; only the final claim differs
+ *   float-drift    — same events and balls, positions differ by less than FLOAT_EPSILON
+ *   divergence     — the simulations really split (tampered inputLog, engine mismatch, ...)
+ *   no-evidence    — nothing uploaded, only the totals are known
+ */
+
+const { getEngine, stateHash } = require('./engine');
+
+const FLOAT_EPSILON = 1e-9;
+const MAX_EVIDENCE = 200000;  // entries accepted per upload
+
+function ballIds(ev) {
+  return [ev.ball, ev.winner, ev.loser, ev.b1, ev.b2]
+    .filter(Boolean)
+    .map(b => (typeof b === 'object' ? b.id : b));
+}
+
+// Comparable form of an event: type, balls involved, prize
+function eventKey(ev) {
+  const prize = ev.prize !== undefined ? ev.prize : ev.totalWin;
+  return `${ev.type}:${ballIds(ev).join(',')}:${prize !== undefined ? prize : ''}`;
+}
+
+// Ball positions carried by events (spawn, goal, ...) — lets event uploads detect float drift
+function eventBalls(events) {
+  const out = {};
+  for (const ev of events) {
+    for (const key of ['ball', 'winner', 'loser', 'b1', 'b2']) {
+      const b = ev[key];
+      if (b && typeof b === 'object' && Number.isFinite(b.x) && Number.isFinite(b.y)) out[b.id] = { x: b.x, y: b.y };
+    }
+  }
+  return out;
+}
+
+// Accepts flat [{tick, type}] or grouped [{tick, events}] and returns Map(tick → events)
+function groupEvents(list) {
+  const byTick = new Map();
+  for (const item of list) {
+    const flat = Array.isArray(item.events) ? item.events.map(ev => ({ ...ev, tick: item.tick })) : [item];
+    for (const ev of flat) {
+      if (!byTick.has(ev.tick)) byTick.set(ev.tick, []);
+      byTick.get(ev.tick).push(ev);
+    }
+  }
+  return byTick;
+}
+
+function snapshotBalls(state) {
+  return state.balls.map(b => ({
+    id: b.id, type: b.type, x: b.x, y: b.y, dx: b.dx, dy: b.dy,
+    value: b.value, multiplier: b.multiplier, alive: b.alive
+  }));
+}
+
+function validEvidence(evidence) {
+  const { tickHashes, events } = evidence || {};
+  const hashes = Array.isArray(tickHashes)
+    ? tickHashes.filter(h => h && Number.isInteger(h.tick) && typeof h.hash === 'string').slice(0, MAX_EVIDENCE)
+    : null;
+  const evs = Array.isArray(events)
+    ? events.filter(e => e && Number.isInteger(e.tick)).slice(0, MAX_EVIDENCE)
+    : null;
+  return { hashes: hashes && hashes.length ? hashes : null, events: evs && evs.length ? evs : null };
+}
+
+// game: the server's game object; inputLog: what the client uploaded (reveal) or the stream log
+function diagnose(game, inputLog, clientTotalWin, evidence) {
+  const { hashes, events } = validEvidence(evidence);
+  const engine = getEngine(game.engineVersion);
+  const report = {
+    engineVersion: game.engineVersion,
+    clientTotalWin,
+    serverTotalWin: null,
+    evidence: hashes ? 'tickHashes' : events ? 'events' : 'none',
+    kind: 'no-evidence',
+    divergenceTick: null,
+    lastMatchingTick: null,
+    input: null,
+    server: null,
+    client: null
+  };
+
+  const hashByTick = hashes ? new Map(hashes.map(h => [h.tick, h.hash])) : null;
+  const clientEvents = events ? groupEvents(events) : null;
+  const lastEvidenceTick = hashes ? hashes[hashes.length - 1].tick
+    : events ? [...clientEvents.keys()].reduce((m, t) => Math.max(m, t), 0) : 0;
+
+  const state = engine.createInitialState(game.serverSeed, game.numBalls, game.betPerBall || 5,
+    { clientSeed: String(game.clientSeed), nonce: game.nonce, ruleset: game.ruleset });
+  const maxTicks = game.numBalls * engine.CONFIG.MAX_TICKS_PER_BALL;
+  let inputIdx = 0;
+
+  while (!state.finished && state.tickCount < maxTicks) {
+    let target = null;
+    if (inputIdx < inputLog.length && inputLog[inputIdx].tick === state.tickCount + 1) {
+      target = inputLog[inputIdx].target; inputIdx++;
+    } else if (state.tickCount > 0) {
+      target = { x: state.bumper.targetX, y: state.bumper.targetY };
+    }
+    const serverEvents = engine.tick(state, target);
+    const t = state.tickCount;
+    if (report.divergenceTick !== null || t > lastEvidenceTick) continue;
+
+    let diverged = false;
+    let clientSide = null;
+    if (hashByTick && hashByTick.has(t)) {
+      const serverHash = stateHash(state);
+      diverged = hashByTick.get(t) !== serverHash;
+      clientSide = { stateHash: hashByTick.get(t), events: clientEvents ? clientEvents.get(t) || [] : undefined };
+      if (!diverged) report.lastMatchingTick = t;
+    } else if (clientEvents) {
+      const theirs = clientEvents.get(t) || [];
+      const ours = serverEvents.map(eventKey).sort();
+      const keys = theirs.map(eventKey).sort();
+      diverged = ours.join('|') !== keys.join('|');
+      clientSide = { events: theirs };
+      if (!diverged) {
+        // Same events, but positions carried by them may still drift
+        const mine = eventBalls(serverEvents), their = eventBalls(theirs);
+        for (const id of Object.keys(their)) {
+          if (mine[id] && (mine[id].x !== their[id].x || mine[id].y !== their[id].y)) diverged = true;
+        }
+        if (!diverged) report.lastMatchingTick = t;
+      }
+    }
+
+    if (diverged) {
+      report.divergenceTick = t;
+      report.input = target;
+      report.server = {
+        stateHash: stateHash(state),
+        bumper: { ...state.bumper },
+        balls: snapshotBalls(state),
+        rngDraws: state.rng.consumed(),
+        events: JSON.parse(JSON.stringify(serverEvents))
+      };
+      report.client = clientSide;
+      report.kind = classify(serverEvents, clientSide);
+    }
+  }
+
+  report.serverTotalWin = state.totalWin;
+  if (report.evidence !== 'none' && report.divergenceTick === null) report.kind = 'reported-total';
+  return report;
+}
+
+function classify(serverEvents, clientSide) {
+  if (!clientSide.events) return 'divergence';  // a hash cannot say by how much
+  const ours = serverEvents.map(eventKey).sort().join('|');
+  const theirs = clientSide.events.map(eventKey).sort().join('|');
+  if (ours !== theirs) return 'divergence';
+  const mine = eventBalls(serverEvents), their = eventBalls(clientSide.events);
+  const drift = Object.keys(their).every(id => !mine[id] ||
+    (Math.abs(mine[id].x - their[id].x) < FLOAT_EPSILON && Math.abs(mine[id].y - their[id].y) < FLOAT_EPSILON));
+  return drift ? 'float-drift' : 'divergence';
+}
+
+module.exports = { diagnose, eventKey, FLOAT_EPSILON };
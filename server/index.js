@@ -1,55 +1,88 @@
 // PADDLA Server v0.8 - UVS 2.0 (Move Batch, G=ALL) with persistent public audit trail
 // 1. GET /commitment → client records BEFORE sending clientSeed
-// 2. POST /game/start {clientSeed} → gameId
-// 3. Client plays locally, randomness = f(seed, bumper position)
-// 4. POST /game/finish {inputLog, totalWin} → server replays → verifies → reveals seed → persists to Firestore
+// 2. POST /game/start {clientSeed, protocol} → gameId
+// 3a. protocol 'reveal' (legacy): client plays locally, randomness = f(seed, bumper position)
+// 3b. protocol 'stream': seed stays secret, client POSTs /game/:id/ticks batches, server runs tick() live
+// 4. POST /game/finish {inputLog, totalWin} → server replays → verifies → reveals seed → persists to the trail store
 // 5. GET /trail, /trail/:id → anyone can fetch & replay verified games (post-factum integrity)
 
 const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
 const path = require('path');
-const { createInitialState, tick, replay, finishGame, CONFIG } = require('./engine');
-
-// ===== AUDIT TRAIL (Firestore) — UVS 2.0 persistence layer =====
-// Fault-tolerant init: env var on Render, local file in dev, disabled if neither.
-// If Firebase is unavailable, server keeps running in RAM-only mode (no crash).
-let trailDb = null;
-let trailEnabled = false;
-(function initTrail() {
-  try {
-    const admin = require('firebase-admin');
-    let sa = null;
-    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-      sa = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-    } else {
-      // Local dev fallback (path not used on Render)
-      try { sa = require('C:\\Users\\const\\Downloads\\Code\\holepuncher-constr-firebase-adminsdk-fbsvc-a5c94b33ee.json'); } catch (e) { sa = null; }
-    }
-    if (!sa) {
-      console.warn('[TRAIL] Disabled: no Firebase credentials (set FIREBASE_SERVICE_ACCOUNT). Server runs in RAM-only mode.');
-      return;
-    }
-    if (!admin.apps.length) {
-      admin.initializeApp({ credential: admin.credential.cert(sa) });
-    }
-    trailDb = admin.firestore();
-    trailEnabled = true;
-    console.log('[TRAIL] Enabled: writing verified games to Firestore collection paddla_games.');
-  } catch (e) {
-    console.warn('[TRAIL] Disabled: init failed (' + e.message + '). Server runs in RAM-only mode.');
-  }
-})();
+const {
+  ENGINE_VERSION, getEngine, listVersions, recordEngineVersion,
+  startHashChain, advanceHashChain, hashCheckpoints, serializeState
+} = require('./engine');
+const config = require('./config');
+const { createTrailStore } = require('./trail-store');
+const { createBatchStore, TrailBatcher, batchRoutes } = require('./trail-batches');
+const { FORMATS, exportLines } = require('./trail-export');
+const { createSessionStore } = require('./session-store');
+const { SeedChain } = require('./seed-chain');
+const { createSeedHistoryStore } = require('./seed-history');
+const { PlayerSeeds } = require('./player-seeds');
+const { Ledger, createLedgerStore, toCents } = require('./ledger');
+const { VerifyPool } = require('./verify-pool');
+const { createRegistrar } = require('./registrar');
+const { ReceiptSigner } = require('./receipts');
+const { Rulesets } = require('./rulesets');
+const { SimJobs } = require('./sim-jobs');
+const { STRATEGY_NAMES } = require('./simulator');
+const { Leaderboard, WINDOWS: LEADERBOARD_WINDOWS, METRICS: LEADERBOARD_METRICS, DEFAULT_MIN_BET } = require('./leaderboard');
+const { getFirestore, getAuth } = require('./firestore');
+const validate = require('./validation');
+const { ApiError, CODES, asyncRoute } = validate;
+
+// ===== AUDIT TRAIL — UVS 2.0 persistence layer =====
+// Backend chosen by config (TRAIL_BACKEND): Firestore, local append-only JSONL, or memory.
+// In 'auto' mode a missing Firebase account falls back to the local file, so the full
+// audit flow also runs on a laptop or in CI.
+const trail = createTrailStore(config.trail);
+const mismatches = createTrailStore(config.mismatches);
+console.log(`[TRAIL] Backend: ${trail.backend}${trail.file ? ' (' + trail.file + ')' : ''}`);
+
+// Hourly Merkle batches over the trail: /trail/roots publishes the roots, /trail/:id/proof
+// proves a record was sealed, so a record edited or dropped afterwards is detectable
+const batcher = new TrailBatcher(trail, createBatchStore(config.batches), config.batches);
+
+// Ed25519 key that signs a receipt for every verified finish; the public half is at /pubkey
+const signer = ReceiptSigner.load(config.receipts);
+
+// ===== SESSION STORE — state that must survive a restart or deploy =====
+// In-flight games, both commitment generations and nonces. Loaded before the server listens.
+const sessions = createSessionStore(config.sessions);
+const playerSeeds = new PlayerSeeds(sessions);
+
+// ===== WALLET — server-side balances, derived from a double-entry ledger =====
+// Games started with a playerId are paid for here: the bet is debited at /game/start and
+// the verified totalWin credited at settlement. Client-reported results never touch it.
+const ledger = new Ledger(createLedgerStore(config.ledger), { startingBalance: config.ledger.startingBalance });
+
+// ===== VERIFY POOL — replays run on worker threads =====
+// A long game takes seconds to replay; inline it would stall every other request.
+// When the queue is full, /game/:id/finish answers 503 with Retry-After.
+const verifyPool = new VerifyPool({
+  size: config.verify.workers,
+  maxQueue: config.verify.maxQueue,
+  timeoutMs: config.verify.timeoutMs
+});
 
 // Delta-encode inputLog: keep only ticks where bumper target changed.
 // Replay re-applies last target on skipped ticks, so result is identical (verified).
-function compressInputLog(inputLog) {
+// checkpoints: the replay's hash chain stamps [{ tick, target, hash }] (see core.js), kept at
+// their ticks whatever the target; hashes an uploaded log carries itself are dropped.
+function compressInputLog(inputLog, checkpoints = []) {
   const out = [];
   let last = null;
+  let c = 0;
+  const keep = e => { out.push(e); last = e.target.x + ',' + e.target.y; };
   for (const e of inputLog) {
-    const k = e.target.x + ',' + e.target.y;
-    if (k !== last) { out.push(e); last = k; }
+    while (c < checkpoints.length && checkpoints[c].tick < e.tick) keep(checkpoints[c++]);
+    if (c < checkpoints.length && checkpoints[c].tick === e.tick) { keep(checkpoints[c++]); continue; }
+    if (e.target.x + ',' + e.target.y !== last) keep({ tick: e.tick, target: e.target });
   }
+  while (c < checkpoints.length) keep(checkpoints[c++]);
   return out;
 }
 
@@ -57,6 +90,13 @@ const app = express();
 app.use(cors());
 app.use(express.json({ limit: '2mb' }));
 
+// Client configuration: which registrar the pages talk to (see registrar.js)
+app.get('/config.js', (req, res) => {
+  res.type('application/javascript');
+  // apiUrl '' = this server; pages hosted elsewhere load no config and skip server-only features
+  res.send(`window.PADDLA_CONFIG = ${JSON.stringify({ registrarUrl: config.registrar.url, apiUrl: '' })};\n`);
+});
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '../client')));
 app.use('/engine', express.static(path.join(__dirname, '../engine')));
@@ -64,38 +104,258 @@ app.use('/engine', express.static(path.join(__dirname, '../engine')));
 // ===== COMMITMENT MANAGEMENT =====
 // Server seed rotates periodically. Commitment is SHA256(serverSeed).
 // Client must fetch commitment BEFORE starting a game.
+// Seeds come from a pre-committed hash chain (see seed-chain.js): each hour's seed is derived
+// from the next link of the chain, and every link ever used walks back to one published anchor.
+
+const ROTATION_MS = 60 * 60 * 1000;
 
-let serverSeed = crypto.randomBytes(32).toString('hex');
-let commitment = crypto.createHash('sha256').update(serverSeed).digest('hex');
-let commitmentTimestamp = Date.now();
+let seedChain = null;
+let serverSeed = null;
+let seedLink = null;            // chain link serverSeed was derived from
+let commitment = null;
+let commitmentTimestamp = null;
 let previousServerSeed = null;  // Keep previous for games started before rotation
+let previousSeedLink = null;
 let previousCommitment = null;
+let previousTimestamp = null;   // when the previous seed became the commitment
+let retiring = [];              // retired seeds not published yet, oldest first
+let publishing = false;
+
+// Seeds that left the grace window, revealed at /seeds/history once their games are over
+const seedHistory = createSeedHistoryStore(config.seedHistory);
+
+// Both generations are persisted: losing the seed behind an outstanding commitment
+// would make every game started on it unverifiable.
+function saveCommitments() {
+  sessions.set('commitment', 'state', {
+    serverSeed, seedLink, commitment, commitmentTimestamp,
+    previousServerSeed, previousSeedLink, previousCommitment, previousTimestamp, retiring,
+    chain: seedChain.toJSON()
+  });
+}
+
+// A game still open on a seed could be predicted from it (reveal games) or from its link
+// (stream games' own seeds)
+function seedInUse(hash) {
+  return Object.values(games).some(g => !g.finished && (g.commitment === hash || g.seedCommitment === hash));
+}
+
+// Publishes retired seeds in order, each once no open game is left on it. Games are dropped
+// GAME_TTL after they start, so no seed waits longer than that after retiring.
+async function publishRetired() {
+  if (publishing) return;
+  publishing = true;
+  try {
+    while (retiring.length > 0) {
+      const entry = retiring[0];
+      if (seedInUse(entry.commitment) && Date.now() - entry.retiredAt < GAME_TTL) break;
+      await retireSeed(entry);
+      retiring.shift();
+      saveCommitments();
+      console.log(`[SEEDS] Revealed retired seed for ${entry.commitment.substring(0, 16)}...`);
+    }
+  } catch (e) {
+    console.error(`[SEEDS] History save failed for ${retiring[0].commitment}: ${e.message}`);
+  } finally {
+    publishing = false;
+  }
+}
+
+// No new game can start on a seed once it is neither current nor previous: once its games are
+// over (publishRetired), publish it with the games played on it — verified ones from the trail, plus any still in memory.
+async function retireSeed(entry) {
+  const ids = new Set(Object.keys(games).filter(id =>
+    games[id].commitment === entry.commitment || games[id].seedCommitment === entry.commitment));
+  for await (const record of trail.scan({ commitment: entry.commitment })) ids.add(record.gameId);
+  for await (const record of trail.scan({ seedCommitment: entry.commitment })) ids.add(record.gameId);
+  await seedHistory.save({ ...entry, gameIds: [...ids] });
+}
 
 function rotateSeed() {
+  if (!seedChain || seedChain.exhausted) {
+    seedChain = SeedChain.generate(config.seedChainLength);
+    console.log(`[SEEDS] New chain of ${seedChain.length} seeds. Anchor: ${seedChain.anchor}`);
+  }
+  if (previousServerSeed) {
+    retiring.push({
+      commitment: previousCommitment,
+      serverSeed: previousServerSeed,
+      link: previousSeedLink,  // SHA256(link + ':server') === serverSeed; walks back to the anchor
+      activeFrom: previousTimestamp,
+      activeUntil: commitmentTimestamp,
+      retiredAt: Date.now()
+    });
+  }
   previousServerSeed = serverSeed;
+  previousSeedLink = seedLink;
   previousCommitment = commitment;
-  serverSeed = crypto.randomBytes(32).toString('hex');
+  previousTimestamp = commitmentTimestamp;
+  seedLink = seedChain.next();
+  serverSeed = SeedChain.serverSeedOf(seedLink);
   commitment = crypto.createHash('sha256').update(serverSeed).digest('hex');
   commitmentTimestamp = Date.now();
+  saveCommitments();
   console.log(`[${new Date().toISOString()}] Seed rotated. New commitment: ${commitment.substring(0, 16)}...`);
 }
 
-// Rotate every hour
-setInterval(rotateSeed, 60 * 60 * 1000);
+function restoreCommitments() {
+  const saved = sessions.get('commitment', 'state');
+  if (!saved) {
+    rotateSeed();
+    return;
+  }
+  ({ serverSeed, commitment, commitmentTimestamp, previousServerSeed, previousCommitment } = saved);
+  previousTimestamp = saved.previousTimestamp || null;  // absent in state saved before the history
+  retiring = saved.retiring || [];  // state saved before it published seeds at retirement
+  // State saved before links were derived played on the links themselves
+  seedLink = saved.seedLink || null;
+  previousSeedLink = saved.previousSeedLink || null;
+  // State saved before seed chains existed has none; the next rotation starts one
+  seedChain = saved.chain ? new SeedChain(saved.chain) : null;
+  console.log(`[SESSION] Restored commitment ${commitment.substring(0, 16)}...`);
+  // Stream games derive their seeds from the current link: rotate to one that has it
+  if (!seedLink) rotateSeed();
+}
+
+// Rotate every hour, counted from the (possibly restored) commitment timestamp
+function scheduleRotation() {
+  const due = commitmentTimestamp + ROTATION_MS - Date.now();
+  setTimeout(() => {
+    rotateSeed();
+    publishRetired();
+    scheduleRotation();
+  }, Math.max(0, due));
+}
+
+// ===== PROTOCOLS =====
+// reveal — legacy UVS 2.0: serverSeed is returned by /game/start, the client simulates locally
+//          and the server replays the uploaded inputLog at finish.
+// stream — UVS 2.1: serverSeed stays secret until finish. The client streams bumper targets in
+//          tick batches to /game/:id/ticks, the server runs tick() live and returns the events,
+//          so no outcome can be precomputed for a candidate bumper position.
+const PROTOCOLS = { reveal: 'UVS-2.0', stream: 'UVS-2.1' };
+const MAX_TICK_BATCH = 600;  // 10 s of play at 60 ticks/s per request
+
+// Game variants offered by /game/start (see rulesets.js), checked by the live engine at startup
+const rulesets = new Rulesets(getEngine(ENGINE_VERSION), config.rulesets);
 
 // ===== GAME STORAGE =====
+const GAME_TTL = 60 * 60 * 1000;
 const games = {};
 
+// Persist a game to the session store. A stream game's live engine state is not
+// serializable, so its inputLog is stored instead and replayed on restore. Each save adds
+// only the entries since the previous one, as chunk 'gameInput' id:n, so a long game writes
+// its log once in total rather than once per tick batch; the game itself stays small.
+function saveGame(id) {
+  const live = games[id];
+  const { state, settling, inputSaved = 0, ...game } = live;
+  // Wallet games never expire in the store: an open bet must survive until it is settled
+  const ttl = game.playerId !== undefined ? null : Math.max(1, game.createdAt + GAME_TTL - Date.now());
+  if (state && !game.finished) {
+    game.tick = state.tickCount;
+    if (state.inputLog.length > inputSaved) {
+      const chunk = compressInputLog(state.inputLog.slice(inputSaved));
+      sessions.set('gameInput', id + ':' + (game.inputChunks || 0), chunk, ttl);
+      game.inputChunks = live.inputChunks = (game.inputChunks || 0) + 1;
+      live.inputSaved = state.inputLog.length;
+    }
+  } else if (game.inputChunks) {
+    dropInput(id, game.inputChunks);  // finished: nothing left to resume
+    game.inputChunks = live.inputChunks = 0;
+  }
+  sessions.set('game', id, game, ttl);
+}
+
+function dropInput(id, chunks) {
+  for (let n = 0; n < chunks; n++) sessions.delete('gameInput', id + ':' + n);
+}
+
+function dropGame(id) {
+  if (games[id]) dropInput(id, games[id].inputChunks || 0);
+  delete games[id];
+  sessions.delete('game', id);
+}
+
+// A stream game's live state carries the per-tick hash chain a replay would build (frozen
+// engines predate it, so it is advanced after each of their ticks, as in replayRecord()).
+// A game played to the end therefore settles from this state without being replayed.
+function createStreamState(game) {
+  const state = getEngine(game.engineVersion).createInitialState(game.serverSeed, game.numBalls, game.betPerBall,
+    { clientSeed: String(game.clientSeed), nonce: game.nonce, ruleset: game.ruleset });
+  return startHashChain(state);
+}
+
+function tickStream(engine, state, target) {
+  const events = engine.tick(state, target);
+  advanceHashChain(state);
+  return events;
+}
+
+// Re-run the stored inputLog up to the last acknowledged tick. Skipped ticks keep the
+// previous target, as in replay(), so this rebuilds the exact pre-restart state.
+function resumeStreamState(game, inputLog, lastTick) {
+  const engine = getEngine(game.engineVersion);
+  const state = createStreamState(game);
+  let idx = 0;
+  while (state.tickCount < lastTick && !state.finished) {
+    let target = null;
+    if (idx < inputLog.length && inputLog[idx].tick === state.tickCount + 1) {
+      target = inputLog[idx].target; idx++;
+    }
+    tickStream(engine, state, target);
+  }
+  return state;
+}
+
+function restoreGames() {
+  for (const [id, saved] of sessions.entries('game')) {
+    const { tick: lastTick, inputLog: whole, ...game } = saved;
+    // Games saved before the log was chunked carry it whole; the next save rewrites it as chunk 0
+    const inputLog = whole || [];
+    for (let n = 0; n < (game.inputChunks || 0); n++) inputLog.push(...(sessions.get('gameInput', id + ':' + n) || []));
+    game.state = game.protocol === 'stream' && !game.finished
+      ? resumeStreamState(game, inputLog, lastTick || 0)
+      : null;
+    if (game.state && !whole) game.inputSaved = game.state.inputLog.length;
+    games[id] = game;
+  }
+  const count = Object.keys(games).length;
+  if (count > 0) console.log(`[SESSION] Restored ${count} in-flight games`);
+}
+
+// Per-player nonce (engine v10): counts games per clientSeed under one commitment, so a
+// player who reuses the same clientSeed still gets a fresh outcome stream every game.
+// Kept for two rotations — long enough to cover both live commitment generations.
+function nextNonce(useCommitment, clientSeed) {
+  const key = useCommitment + ':' + clientSeed;
+  const nonce = (sessions.get('nonce', key) || 0) + 1;
+  sessions.set('nonce', key, nonce, 2 * ROTATION_MS);
+  return nonce;
+}
+
 // Cleanup old games (every 10 minutes)
 setInterval(() => {
   const now = Date.now();
   let cleaned = 0;
   for (const [id, game] of Object.entries(games)) {
-    if (now - game.createdAt > 60 * 60 * 1000) {
-      delete games[id];
+    if (game.settling) continue;  // verify job in flight
+    if (now - game.createdAt > GAME_TTL) {
+      // An abandoned wallet game is played out and paid, never refunded — otherwise
+      // walking away from a bad-looking stream would be a free option. Dropped once settled;
+      // only a game that keeps failing to settle (e.g. a replay past the verify timeout) is voided.
+      if (!game.finished && game.playerId !== undefined) {
+        settleGame(id, null, undefined)
+          .then(() => dropGame(id))
+          .catch(e => settleFailed(id, e));
+        continue;
+      }
+      dropGame(id);
       cleaned++;
     }
   }
+  sessions.sweep();
+  publishRetired();
   if (cleaned > 0) {
     console.log(`[${new Date().toISOString()}] Cleaned ${cleaned} old games`);
   }
@@ -109,157 +369,530 @@ app.get('/commitment', (req, res) => {
   res.json({ 
     commitment,
     timestamp: commitmentTimestamp,
-    expiresIn: 60 * 60 * 1000 - (Date.now() - commitmentTimestamp)  // ms until rotation
+    expiresIn: ROTATION_MS - (Date.now() - commitmentTimestamp),  // ms until rotation
+    chainAnchor: seedChain ? seedChain.anchor : null,
+    chainIndex: seedChain ? seedChain.index - 1 : null
+  });
+});
+
+// GET /seeds/chain - Public anchor of the current seed chain and every link revealed so far.
+// The links of the current and previous seeds, and of retired seeds not published yet, stay
+// hidden: games may still be running on them, and a link yields its seed and every earlier link. Check with SHA256(revealed[0]) === anchor
+// and SHA256(revealed[i]) === revealed[i-1]; each revealed link's seed is SHA256(link + ':server').
+app.get('/seeds/chain', (req, res) => {
+  if (!seedChain) {
+    throw new ApiError(404, CODES.NO_SEED_CHAIN, 'No seed chain yet');
+  }
+  res.json({
+    anchor: seedChain.anchor,
+    length: seedChain.length,
+    used: seedChain.index,
+    commitment,
+    revealed: seedChain.revealed(seedChain.index - 2 - retiring.length)
   });
 });
 
+// GET /seeds/history - Retired hourly seeds, newest first (?limit=&cursor=): commitment,
+// serverSeed, the window it was current, when it was retired and the games played on it.
+// GET /seeds/history/:commitment - One of them, for a player who recorded that commitment.
+// Verify with SHA256(serverSeed) === commitment; the seeds also walk back to /seeds/chain's anchor.
+app.get('/seeds/history', asyncRoute(async (req, res) => {
+  const { limit, cursor } = validate.paging(req.query, { numericCursor: true });
+  const page = await seedHistory.list({ limit, cursor });
+  res.json({ count: page.items.length, items: page.items, nextCursor: page.nextCursor });
+}));
+
+app.get('/seeds/history/:commitment', asyncRoute(async (req, res) => {
+  const hash = validate.commitmentHash(req.params.commitment, 'commitment');
+  // Still live: retired at the rotation that drops it from the previous commitment, and
+  // revealed once its games are over — GAME_TTL later at the latest
+  const pending = retiring.find(e => e.commitment === hash);
+  if (hash === commitment || hash === previousCommitment || pending) {
+    const retiresAt = pending ? pending.retiredAt : commitmentTimestamp + (hash === commitment ? 2 : 1) * ROTATION_MS;
+    throw new ApiError(404, CODES.SEED_NOT_REVEALED, 'Seed is still in use', 'commitment', { revealsAt: retiresAt + GAME_TTL });
+  }
+  const entry = await seedHistory.get(hash);
+  if (!entry) throw new ApiError(404, CODES.NOT_FOUND, 'No retired seed with that commitment', 'commitment');
+  res.json(entry);
+}));
+
+// GET /rulesets - the game variants /game/start accepts, with their full rules and hashes
+app.get('/rulesets', (req, res) => {
+  res.json({ engineVersion: ENGINE_VERSION, rulesets: rulesets.list() });
+});
+
 // POST /game/start - Start new game (STEP 2)
 // Client sends clientSeed AFTER recording commitment
 // Server does NOT reveal gameSeed - client cannot predict randomness!
-app.post('/game/start', (req, res) => {
-  const { clientSeed, numBalls, betPerBall: clientBetPerBall, recordedCommitment } = req.body;
-  const betPerBall = (clientBetPerBall && [1,5,10,25,50,100].includes(clientBetPerBall)) ? clientBetPerBall : 5;
+// With playerId (stream only): seeds come from the player's own pair, see /player/:playerId/seeds.
+// ruleset: name of one of GET /rulesets; the server's default when absent.
+// With Firebase a playerId must come with that user's ID token (Authorization: Bearer).
+app.post('/game/start', asyncRoute(async (req, res) => {
+  const body = validate.body(req);
+  const { playerId } = body;
+  const numBalls = validate.numBalls(body.numBalls);
+  const betPerBall = validate.betPerBall(body.betPerBall);
+  const protocol = validate.protocol(body.protocol, PROTOCOLS);
+  const variant = rulesets.get(validate.rulesetName(body.ruleset, rulesets.names()));
+  const recordedCommitment = validate.commitmentHash(body.recordedCommitment);
+  // A pair game plays on the pair's client seed; one sent alongside is ignored
+  let clientSeed = playerId === undefined ? validate.clientSeed(body.clientSeed) : null;
   
-  if (!clientSeed || !numBalls || numBalls < 1 || numBalls > 1000) {
-    return res.status(400).json({ error: 'Invalid parameters' });
+  if (playerId !== undefined) {
+    await requirePlayer(req, playerId);
+    // The reveal protocol hands out the seed at start, which would expose the whole pair
+    if (protocol !== 'stream') {
+      throw new ApiError(400, CODES.PROTOCOL_MISMATCH, 'Per-player seeds require the stream protocol', 'protocol');
+    }
+    if (recordedCommitment && recordedCommitment !== playerSeeds.active(playerId).serverSeedHash) {
+      throw new ApiError(400, CODES.INVALID_COMMITMENT, 'Invalid commitment - please refresh and try again', 'recordedCommitment');
+    }
   }
   
   // Verify client recorded the commitment (optional but recommended)
   let useSeed = serverSeed;
   let useCommitment = commitment;
+  let useLink = seedLink;
+  let nonce;
   
-  if (recordedCommitment) {
+  const betTotal = numBalls * betPerBall;
+  let account = null, nickname = null;
+  if (playerId !== undefined) {
+    // With Firebase the playerId is the signed-in uid: its games go on the board under its nickname
+    if (getAuth()) nickname = await userNickname(playerId);
+    account = Ledger.playerAccount(PlayerSeeds.playerHash(playerId));
+    ledger.ensureAccount(account);
+    if (ledger.balance(account) < toCents(betTotal)) {
+      throw new ApiError(402, CODES.INSUFFICIENT_BALANCE, 'Insufficient balance', null,
+        { balance: ledger.balance(account) / 100, bet: betTotal });
+    }
+    const pair = playerSeeds.take(playerId);
+    useSeed = pair.serverSeed;
+    useCommitment = pair.commitment;
+    clientSeed = pair.clientSeed;
+    nonce = pair.nonce;
+  } else if (recordedCommitment) {
     if (recordedCommitment === commitment) {
       useSeed = serverSeed;
       useCommitment = commitment;
-    } else if (recordedCommitment === previousCommitment && previousServerSeed) {
-      // Allow games started with previous commitment (within grace period)
+      useLink = seedLink;
+    } else if (recordedCommitment === previousCommitment && previousServerSeed && previousSeedLink) {
+      // Allow games started with previous commitment (within grace period). A previous seed
+      // without a link predates derived seeds: the current commitment is that seed itself.
       useSeed = previousServerSeed;
       useCommitment = previousCommitment;
+      useLink = previousSeedLink;
     } else {
-      return res.status(400).json({ error: 'Invalid commitment - please refresh and try again' });
+      throw new ApiError(400, CODES.INVALID_COMMITMENT, 'Invalid commitment - please refresh and try again', 'recordedCommitment');
     }
   }
   
   const gameId = crypto.randomUUID();
-
+  if (nonce === undefined) nonce = nextNonce(useCommitment, clientSeed);
+  // A stream game reveals its seed at finish, while reveal games still hand out the hour's
+  // seed: it plays on its own seed derived from the hour's link instead (see seed-chain.js)
+  let seedCommitment;
+  if (protocol === 'stream' && playerId === undefined) {
+    seedCommitment = useCommitment;
+    useSeed = SeedChain.streamSeedOf(useLink, clientSeed, nonce);
+    useCommitment = crypto.createHash('sha256').update(useSeed).digest('hex');
+  }
   games[gameId] = {
+    playerId,
+    nickname,
     clientSeed,
+    nonce,
+    engineVersion: ENGINE_VERSION,
     serverSeed: useSeed,
     commitment: useCommitment,
+    seedCommitment,  // stream games without a pair: the hour's commitment their seed derives from
     numBalls,
     betPerBall,
+    ruleset: variant.ruleset,
+    rulesetName: variant.name,
+    rulesetHash: variant.hash,
+    protocol,
+    // stream: the authoritative engine state lives on the server for the whole game
+    state: null,
     createdAt: Date.now(),
     finished: false,
     verified: false
   };
+  if (protocol === 'stream') games[gameId].state = createStreamState(games[gameId]);
+  if (account) ledger.bet(account, gameId, betTotal);
+  saveGame(gameId);
   
-  console.log(`[${new Date().toISOString()}] Game started: ${gameId.substring(0, 8)}... (${numBalls} balls)`);
+  console.log(`[${new Date().toISOString()}] Game started: ${gameId.substring(0, 8)}... (${numBalls} balls, ${protocol})`);
   
-  // UVS v1-v3 (wire-identical): server reveals serverSeed — client uses SHA-512(serverSeed:bumperX:bumperY:tick) per tick
+  if (protocol === 'stream') {
+    // serverSeed is NOT revealed until /game/:id/finish
+    return res.json({
+      gameId,
+      commitment: useCommitment,
+      seedCommitment,
+      protocol,
+      engineVersion: ENGINE_VERSION,
+      clientSeed,
+      nonce,
+      ruleset: variant.ruleset,
+      rulesetName: variant.name,
+      rulesetHash: variant.hash,
+      maxTickBatch: MAX_TICK_BATCH
+    });
+  }
+
+  // UVS v1-v3 (wire-identical): server reveals serverSeed — client uses
+  // SHA-512(serverSeed:clientSeed:nonce:bumperX:bumperY:tick) per tick (engine v10+)
   res.json({
     gameId,
     commitment: useCommitment,
+    protocol,
+    engineVersion: ENGINE_VERSION,
+    nonce,
+    ruleset: variant.ruleset,  // pass as createInitialState's ruleset option to play the same game
+    rulesetName: variant.name,
+    rulesetHash: variant.hash,
     serverSeed: useSeed   // UVS v1-v3 (wire-identical): client derives combinedSeed per tick via SHA-512
   });
+}));
+
+// Events reference live ball objects that keep moving; freeze them at emit time.
+function snapshotEvents(events) {
+  return JSON.parse(JSON.stringify(events));
+}
+
+function publicState(state) {
+  return {
+    tick: state.tickCount,
+    finished: state.finished,
+    totalWin: state.totalWin,
+    progressive: state.progressive,
+    timeoutCount: state.timeoutCount,
+    ballsSpawned: state.ballsSpawned,
+    bumper: { ...state.bumper },
+    balls: state.balls.map(b => ({ ...b }))
+  };
+}
+
+function requireGame(id) {
+  const game = games[id];
+  if (!game) throw new ApiError(404, CODES.GAME_NOT_FOUND, 'Game not found', 'id');
+  return game;
+}
+
+function requireOpenGame(id) {
+  const game = requireGame(id);
+  if (game.finished) throw new ApiError(400, CODES.GAME_FINISHED, 'Game already finished', 'id');
+  if (game.settling) throw new ApiError(409, CODES.GAME_SETTLING, 'Game is being verified', 'id', { poll: `/game/${id}/verdict` });
+  return game;
+}
+
+// POST /game/:id/ticks - Stream a batch of bumper targets (protocol 'stream' only)
+// Body: { fromTick, targets: [{x,y} | null, ...] } — targets[i] drives tick fromTick+i.
+// fromTick must continue exactly where the previous batch stopped, so a retried or
+// reordered batch is rejected instead of being applied twice.
+app.post('/game/:id/ticks', (req, res) => {
+  const game = requireOpenGame(req.params.id);
+  if (game.protocol !== 'stream') {
+    throw new ApiError(400, CODES.PROTOCOL_MISMATCH, 'Game does not use the stream protocol');
+  }
+  const body = validate.body(req);
+  const state = game.state;
+  const fromTick = validate.requireInteger(body.fromTick, 'fromTick', 1, Number.MAX_SAFE_INTEGER);
+  if (fromTick !== state.tickCount + 1) {
+    throw new ApiError(409, CODES.TICK_OUT_OF_ORDER, 'Tick out of order', 'fromTick', { expectedTick: state.tickCount + 1 });
+  }
+  const targets = validate.tickTargets(body.targets, MAX_TICK_BATCH);
+
+  const engine = getEngine(game.engineVersion);
+  const ticks = [];
+  for (const t of targets) {
+    if (state.finished) break;
+    const events = tickStream(engine, state, t);  // null keeps the current target, as in replay()
+    if (events.length) ticks.push({ tick: state.tickCount, events: snapshotEvents(events) });
+  }
+  saveGame(req.params.id);
+
+  res.json({ ...publicState(state), ticks });
 });
 
 // POST /game/:id/finish - Finish game and verify (STEP 3)
 // Client sends inputLog and their calculated totalWin
 // Server replays with same gameSeed + inputLog → if match, reveals seed
-app.post('/game/:id/finish', (req, res) => {
+// ?async=1 (or body.async: true): answers 202 at once; poll GET /game/:id/verdict for the result.
+app.post('/game/:id/finish', asyncRoute(async (req, res) => {
   const { id } = req.params;
-  const { inputLog, clientTotalWin } = req.body;
-  
-  const game = games[id];
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
+  const game = requireOpenGame(id);
+  const body = validate.body(req);
+  const maxTicks = game.numBalls * getEngine(game.engineVersion).CONFIG.MAX_TICKS_PER_BALL;
+  const clientTotalWin = validate.optionalFinite(body.clientTotalWin, 'clientTotalWin');
+  // stream games are settled from the server's own log; an uploaded one is ignored
+  const inputLog = game.protocol === 'stream' ? null : validate.inputLog(body.inputLog, maxTicks);
+  // tickHashes / events: optional evidence, only used to diagnose a mismatch (see forensics.js)
+  const evidence = validate.evidence(body, maxTicks);
+  const asyncMode = req.query.async === '1' || body.async === true;
+
+  // Refuse up front rather than accept a game the pool cannot take
+  if (verifyPool.queued >= verifyPool.maxQueue) throw busyError();
+
+  const settling = settleGame(id, inputLog, clientTotalWin, evidence);
+  // Keep game in RAM briefly for debugging, then delete (audit trail persists in the trail store)
+  settling.then(() => setTimeout(() => dropGame(id), 5 * 60 * 1000), () => {});
+
+  if (asyncMode) {
+    settling.catch(() => {});  // kept on game.settleError for /verdict
+    return res.status(202).json({ status: 'pending', gameId: id, poll: `/game/${id}/verdict`, retryAfter: verifyPool.retryAfter() });
   }
-  if (game.finished) {
-    return res.status(400).json({ error: 'Game already finished' });
+  await settling;
+  res.json(finishResponse(game, id));
+}));
+
+// GET /game/:id/verdict - Result of an async finish: 202 while verifying, then the finish response
+app.get('/game/:id/verdict', (req, res) => {
+  const { id } = req.params;
+  const game = requireGame(id);
+  if (game.finished) return res.json(finishResponse(game, id));
+  if (game.settling) {
+    res.set('Retry-After', String(verifyPool.retryAfter()));
+    return res.status(202).json({ status: 'pending', gameId: id });
   }
-  if (!Array.isArray(inputLog)) {
-    return res.status(400).json({ error: 'Invalid input log' });
+  if (game.settleError) {
+    const { status, code, message } = game.settleError;
+    throw new ApiError(status, code, message, null, { retry: `/game/${id}/finish` });
   }
-  
-  // Replay game with server's serverSeed + client's inputLog (UVS v3 — wire-identical since v1)
-  const replayState = replay(game.serverSeed, game.numBalls, inputLog, game.betPerBall || 5);
-  const serverTotalWin = replayState.totalWin;
-  
+  throw new ApiError(409, CODES.NOT_FINISHING, 'Game has not been finished', 'id');
+});
+
+function busyError() {
+  const retryAfter = verifyPool.retryAfter();
+  const err = new ApiError(503, CODES.BUSY, 'Verification queue is full - retry later', null, { retryAfter });
+  err.headers = { 'Retry-After': String(retryAfter) };
+  return err;
+}
+
+// Pool rejections as API errors; a failed settle leaves the game open, so finish can be retried
+function verifyError(err) {
+  if (err.code === 'POOL_FULL') return busyError();
+  if (err.code === 'JOB_TIMEOUT') {
+    return new ApiError(503, CODES.VERIFY_TIMEOUT, `Verification exceeded ${verifyPool.timeoutMs} ms`);
+  }
+  console.error(`[VERIFY] ${err.code || 'ERROR'}: ${err.message}`);
+  return new ApiError(500, CODES.INTERNAL, 'Verification failed');
+}
+
+// Runs a job on the verify pool with pool failures mapped to API errors
+async function runVerifyJob(type, payload) {
+  if (verifyPool.queued >= verifyPool.maxQueue) throw busyError();
+  try {
+    return await verifyPool.run(type, payload);
+  } catch (err) {
+    throw verifyError(err);
+  }
+}
+
+function finishResponse(game, id) {
+  if (game.verified) {
+    const pairSeed = game.playerId !== undefined;
+    // Reveal server seed for client verification
+    return {
+      verified: true,
+      totalWin: game.serverTotalWin,
+      balance: pairSeed ? ledger.balance(Ledger.playerAccount(PlayerSeeds.playerHash(game.playerId))) / 100 : undefined,
+      verification: {
+        serverSeed: pairSeed ? null : game.serverSeed,  // pair seeds: revealed by /player/:playerId/seeds/rotate
+        gameSeedHex: game.gameSeedHex,
+        clientSeed: game.clientSeed,
+        nonce: game.nonce,
+        engineVersion: game.engineVersion,
+        rulesetHash: game.rulesetHash,
+        commitment: game.commitment,
+        seedCommitment: game.seedCommitment,
+        gameId: id
+      },
+      hashChain: game.hashChain,  // the client's own chain must end on the same head
+      receipt: game.receipt ? game.receipt.receipt : undefined,     // check against /pubkey
+      signature: game.receipt ? game.receipt.signature : undefined
+    };
+  }
+  const report = game.mismatch;
+  return {
+    verified: false,
+    serverTotalWin: game.serverTotalWin,
+    clientTotalWin: game.clientTotalWin,
+    error: 'Result mismatch - game not verified',
+    forensics: { kind: report.kind, divergenceTick: report.divergenceTick, lastMatchingTick: report.lastMatchingTick }
+  };
+}
+
+function replayJob(game, inputLog) {
+  return {
+    engineVersion: game.engineVersion,
+    serverSeed: game.serverSeed,
+    numBalls: game.numBalls,
+    betPerBall: game.betPerBall || 5,
+    clientSeed: String(game.clientSeed),
+    nonce: game.nonce,
+    ruleset: game.ruleset,
+    inputLog,
+    hashChain: true
+  };
+}
+
+// A failed sweep settle is retried on the next sweep, up to config.ledger.settleAttempts times;
+// then the game is voided and its bet refunded, so the bet cannot stay open forever
+function settleFailed(id, err) {
+  const game = games[id];
+  game.settleAttempts = (game.settleAttempts || 0) + 1;
+  if (game.settleAttempts < config.ledger.settleAttempts) {
+    saveGame(id);
+    console.error(`[SETTLE] Game ${id} failed (attempt ${game.settleAttempts}), retrying next sweep: ${err.message}`);
+    return;
+  }
+  ledger.refund(Ledger.playerAccount(PlayerSeeds.playerHash(game.playerId)), id, game.numBalls * (game.betPerBall || 5));
+  console.warn(`[SETTLE] Game ${id} voided after ${game.settleAttempts} failed attempts, bet refunded: ${err.message}`);
+  dropGame(id);
+}
+
+// Computes the authoritative result on the verify pool, persists verified games to the trail
+// and pays wallet games. Used by /game/:id/finish and by cleanup for abandoned wallet games
+// (inputLog = null). While it runs the game is 'settling' and accepts no ticks or finish.
+async function settleGame(id, inputLog, clientTotalWin, evidence = {}) {
+  const game = games[id];
+  game.settling = true;
+  game.settleError = null;
+  let serverTotalWin, verified, report, hashChain;
+  try {
+    if (game.protocol === 'stream') {
+      // Server-authoritative: the outcome is whatever the live state reached. Unplayed balls
+      // are run out with the last streamed target on the pool, from a snapshot of that state —
+      // what a replay of the streamed log and the client's finishGame() both do.
+      const { state } = game;
+      inputLog = compressInputLog(state.inputLog);
+      const { head, every } = state.hashChain;
+      ({ totalWin: serverTotalWin, hashChain } = state.finished
+        ? { totalWin: state.totalWin, hashChain: { head, every, checkpoints: [] } }
+        : await verifyPool.run('runOut', { snapshot: serializeState(state, { inputLog: false }) }));
+      hashChain.checkpoints = hashCheckpoints(state.inputLog).concat(hashChain.checkpoints);
+      verified = true;
+    } else {
+      // Replay with the engine version the game was started on (UVS v3 — wire-identical since v1)
+      ({ totalWin: serverTotalWin, hashChain } = await verifyPool.run('replay', replayJob(game, inputLog)));
+      verified = (clientTotalWin === serverTotalWin);
+    }
+    if (!verified) {
+      // Mismatch - possible cheating attempt or bug. Find where the two simulations split and
+      // keep the report: a float-determinism bug and a tampered inputLog look identical otherwise.
+      const { serverSeed, clientSeed, nonce, numBalls, betPerBall, engineVersion, ruleset } = game;
+      report = await verifyPool.run('diagnose', {
+        game: { serverSeed, clientSeed, nonce, numBalls, betPerBall, engineVersion, ruleset },
+        inputLog, clientTotalWin, evidence
+      });
+    }
+  } catch (err) {
+    const apiError = verifyError(err);
+    game.settleError = { status: apiError.status, code: apiError.code, message: apiError.message };
+    throw apiError;
+  } finally {
+    game.settling = false;
+  }
+
   game.finished = true;
   game.serverTotalWin = serverTotalWin;
   game.clientTotalWin = clientTotalWin;
-  
-  // Verify
-  const verified = (clientTotalWin === serverTotalWin);
   game.verified = verified;
+  game.hashChain = verified ? { head: hashChain.head, every: hashChain.every } : undefined;
+  const pairSeed = game.playerId !== undefined;
+  // Verified games keep the replay's hash chain checkpoints; a mismatch stores the log as uploaded
+  const compactInputLog = compressInputLog(inputLog, verified ? hashChain.checkpoints : []);
+  const settledAt = Date.now();
+  if (verified) {
+    game.receipt = signer.sign({
+      source: 'game',
+      gameId: id,
+      commitment: game.commitment,
+      serverSeed: pairSeed ? null : game.serverSeed,
+      numBalls: game.numBalls,
+      betPerBall: game.betPerBall || 5,
+      inputLog: compactInputLog,
+      totalWin: serverTotalWin,
+      engineVersion: game.engineVersion,
+      rulesetHash: game.rulesetHash ?? null,
+      ts: settledAt
+    });
+  }
+  if (verified && pairSeed) {
+    ledger.payout(Ledger.playerAccount(PlayerSeeds.playerHash(game.playerId)), id, serverTotalWin);
+  }
+  saveGame(id);
   
   console.log(`[${new Date().toISOString()}] Game ${id.substring(0, 8)}... finished. ` +
     `Client: ${clientTotalWin}, Server: ${serverTotalWin}, Verified: ${verified}`);
   
-  if (verified) {
-    // ===== UVS 2.0: persist verified game to public audit trail (Firestore) =====
-    // serverSeed is already revealed at this point — storing it is safe and required
-    // for post-factum replay. Each record is self-contained (survives seed rotation).
-    const compactInputLog = compressInputLog(inputLog);
-    const trailRecord = {
+  if (!verified) {
+    game.mismatch = { kind: report.kind, divergenceTick: report.divergenceTick, lastMatchingTick: report.lastMatchingTick };
+    console.warn(`[MISMATCH] Game ${id}: client=${clientTotalWin}, server=${serverTotalWin}, ` +
+      `${report.kind}${report.divergenceTick !== null ? ' at tick ' + report.divergenceTick : ''}`);
+    mismatches.save({
       gameId: id,
-      protocol: 'UVS-2.0',
-      G: 'ALL',                       // Move Batch granularity
-      gameMode: 'Move',
-      commitment: game.commitment,    // SHA-256(serverSeed), published before play
+      protocol: PROTOCOLS[game.protocol],
+      commitment: game.commitment,
+      serverSeed: game.serverSeed,    // reveal protocol only, already public
       clientSeed: game.clientSeed,
-      serverSeed: game.serverSeed,    // revealed — verifier checks SHA-256(serverSeed)===commitment
-      engineVersion: '0.6',
+      nonce: game.nonce,
       numBalls: game.numBalls,
       betPerBall: game.betPerBall || 5,
-      totalWin: serverTotalWin,
-      inputLog: compactInputLog,      // delta-encoded; replay reproduces full session
+      ruleset: game.ruleset,
+      inputLog: compactInputLog,
       inputLogEncoding: 'delta',
+      ...report,
       ts: Date.now()
-    };
-    if (trailEnabled && trailDb) {
-      trailDb.collection('paddla_games').doc(id).set(trailRecord)
-        .then(() => console.log(`[TRAIL] Saved game ${id.substring(0,8)}... (${compactInputLog.length} input pts)`))
-        .catch(e => console.error(`[TRAIL] Save failed for ${id}: ${e.message}`));
-    }
-
-    // Reveal server seed for client verification
-    res.json({
-      verified: true,
-      totalWin: serverTotalWin,
-      verification: {
-        serverSeed: game.serverSeed,
-        gameSeedHex: game.gameSeedHex,
-        clientSeed: game.clientSeed,
-        commitment: game.commitment,
-        gameId: id
-      }
-    });
-  } else {
-    // Mismatch - possible cheating attempt or bug
-    console.warn(`[MISMATCH] Game ${id}: client=${clientTotalWin}, server=${serverTotalWin}`);
-    res.json({
-      verified: false,
-      serverTotalWin,
-      clientTotalWin,
-      error: 'Result mismatch - game not verified'
-    });
+    }).catch(e => console.error(`[MISMATCH] Save failed for ${id}: ${e.message}`));
+    return { verified, serverTotalWin };
   }
-  
-  // Keep game in RAM briefly for debugging, then delete (audit trail persists in Firestore)
-  setTimeout(() => delete games[id], 5 * 60 * 1000);
-});
+
+  // ===== UVS 2.0: persist verified game to public audit trail =====
+  // serverSeed is already revealed at this point — storing it is safe and required
+  // for post-factum replay. Each record is self-contained (survives seed rotation).
+  // Per-player pairs are the exception: their seed stays hidden until the player rotates,
+  // and /trail/:id fills it in once revealed.
+  const trailRecord = {
+    gameId: id,
+    protocol: PROTOCOLS[game.protocol],
+    G: 'ALL',                       // Move Batch granularity
+    gameMode: 'Move',
+    commitment: game.commitment,    // SHA-256(serverSeed), published before play
+    seedCommitment: game.seedCommitment || null,  // stream: the hour's commitment, serverSeed derives from its link
+    clientSeed: game.clientSeed,
+    nonce: game.nonce,
+    serverSeed: pairSeed ? null : game.serverSeed,  // revealed — verifier checks SHA-256(serverSeed)===commitment
+    player: pairSeed ? PlayerSeeds.playerHash(game.playerId) : null,  // public alias of the player's seed pair
+    nickname: game.nickname || null,  // the leaderboard's name for the player (Firebase users)
+    engineVersion: game.engineVersion,  // picks the per-tick seed derivation on replay (<=9: no clientSeed)
+    ruleset: game.ruleset,          // v11+: the full rules the game ran under; replay passes them back
+    rulesetName: game.rulesetName,
+    rulesetHash: game.rulesetHash,  // SHA-256 of the canonical ruleset, as in the session header
+    numBalls: game.numBalls,
+    betPerBall: game.betPerBall || 5,
+    totalWin: serverTotalWin,
+    inputLog: compactInputLog,      // delta-encoded; replay reproduces full session
+    inputLogEncoding: 'delta',
+    hashChain: game.hashChain,      // { head, every }: per-tick state hash chain, checkpoints in inputLog
+    ts: settledAt                   // same as the receipt's
+  };
+  trail.save(trailRecord)
+    .then(() => console.log(`[TRAIL] Saved game ${id.substring(0,8)}... (${compactInputLog.length} input pts)`))
+    .catch(e => console.error(`[TRAIL] Save failed for ${id}: ${e.message}`));
+  return { verified, serverTotalWin };
+}
 
 // GET /game/:id/status - Check game status (for debugging)
 app.get('/game/:id/status', (req, res) => {
-  const game = games[req.params.id];
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
-  }
+  const game = requireGame(req.params.id);
   res.json({
     gameId: req.params.id,
     numBalls: game.numBalls,
+    protocol: game.protocol,
+    tick: game.state ? game.state.tickCount : undefined,
     finished: game.finished,
     verified: game.verified,
     createdAt: game.createdAt
@@ -268,40 +901,444 @@ app.get('/game/:id/status', (req, res) => {
 
 // ===== UVS 2.0: public audit trail read endpoints =====
 // Anyone can fetch verified game records and replay them locally.
-// GET /trail        -> latest N records (metadata, no heavy inputLog)
+// GET /trail        -> latest N records (metadata, no heavy inputLog); ?cursor= for the next page
+//                      filters: from, to (ms), numBalls, betPerBall, minWin, maxWin, commitment, seedCommitment,
+//                      protocol, rulesetHash, engineVersion. Follow nextCursor until null to walk the whole trail.
 // GET /trail/:id    -> full record incl. delta-encoded inputLog for replay
-app.get('/trail', async (req, res) => {
-  if (!trailEnabled || !trailDb) {
-    return res.status(503).json({ error: 'Audit trail not available' });
+// GET /trail/export -> every matching record, streamed as NDJSON or CSV (trail-export.js)
+// GET /trail/roots, /trail/:id/proof -> Merkle batch roots and inclusion proofs (trail-batches.js)
+app.use('/trail', batchRoutes(batcher));
+
+// Per-player records are stored without their seed; it is filled in once the player rotates
+function publicRecord(record) {
+  if (record.serverSeed) return record;
+  const revealed = playerSeeds.revealedSeed(record.commitment);
+  return { ...record, serverSeed: revealed || null, seedRevealed: !!revealed };
+}
+
+app.get('/trail', asyncRoute(async (req, res) => {
+  const { limit, cursor } = validate.paging(req.query);
+  const filter = validate.trailFilter(req.query, { protocols: PROTOCOLS, engineVersions: listVersions() });
+  const [page, total] = await Promise.all([trail.list({ limit, cursor, filter }), trail.count(filter)]);
+  const items = page.items.map(r => ({
+    gameId: r.gameId, protocol: r.protocol, G: r.G,
+    commitment: r.commitment, engineVersion: recordEngineVersion(r), numBalls: r.numBalls,
+    betPerBall: r.betPerBall, rulesetName: r.rulesetName, rulesetHash: r.rulesetHash,
+    totalWin: r.totalWin, ts: r.ts
+  }));
+  res.json({
+    count: items.length,
+    items,
+    nextCursor: page.nextCursor,
+    totalEstimate: total.count,  // all records matching the filter, not just the ones after cursor
+    totalExact: total.exact
+  });
+}));
+
+// ?format=ndjson|csv plus the /trail filters. Written page by page as the store yields records,
+// waiting for the client to drain; a failure midway cuts the response before the checksum line.
+app.get('/trail/export', asyncRoute(async (req, res) => {
+  const format = req.query.format === undefined ? 'ndjson' : req.query.format;
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    throw new ApiError(400, CODES.OUT_OF_RANGE, 'format must be ndjson or csv', 'format', { allowed: Object.keys(FORMATS) });
   }
+  const filter = validate.trailFilter(req.query, { protocols: PROTOCOLS, engineVersions: listVersions() });
+  res.set({
+    'Content-Type': FORMATS[format],
+    'Content-Disposition': `attachment; filename="paddla-trail.${format}"`,
+    'Cache-Control': 'no-store'
+  });
+  let closed = false;
+  res.on('close', () => { closed = true; });
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
-    const snap = await trailDb.collection('paddla_games').orderBy('ts', 'desc').limit(limit).get();
-    const items = snap.docs.map(d => {
-      const r = d.data();
-      return {
-        gameId: r.gameId, protocol: r.protocol, G: r.G,
-        commitment: r.commitment, numBalls: r.numBalls,
-        betPerBall: r.betPerBall, totalWin: r.totalWin, ts: r.ts
-      };
-    });
-    res.json({ count: items.length, items });
+    for await (const line of exportLines(trail, { format, filter, map: publicRecord })) {
+      if (closed) return;
+      if (!res.write(line)) await drained(res);
+    }
+    res.end();
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      throw e;
+    }
+    console.error(`[TRAIL] Export failed: ${e.message}`);
+    res.destroy(e);
   }
-});
+}));
+
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
 
-app.get('/trail/:id', async (req, res) => {
-  if (!trailEnabled || !trailDb) {
-    return res.status(503).json({ error: 'Audit trail not available' });
+app.get('/trail/:id', asyncRoute(async (req, res) => {
+  const record = await trail.get(req.params.id);
+  if (!record) throw new ApiError(404, CODES.RECORD_NOT_FOUND, 'Record not found', 'id');
+  res.json(publicRecord(record));
+}));
+
+// ===== THIRD-PARTY VERIFICATION =====
+// POST /verify - Replays any self-contained game record (from /trail/:id, a receipt, another
+// operator...) with the engine version it was produced by and returns a verdict.
+// Body: { commitment, serverSeed, clientSeed?, nonce?, engineVersion?, numBalls, betPerBall?,
+//         ruleset?, rulesetHash?, inputLog (dense or delta-encoded), totalWin, hashChain? }
+// v11+ records replay under their ruleset (the default rules when absent), and a rulesetHash
+// must be that ruleset's hash (checks.ruleset).
+// With hashChain { head, every } the replay's own chain must reach every checkpoint hash
+// stamped on the inputLog and end on head (checks.hashChain).
+app.post('/verify', asyncRoute(async (req, res) => {
+  const record = validate.body(req);
+  const recordCommitment = validate.commitmentHash(record.commitment, 'commitment');
+  if (!recordCommitment) throw new ApiError(400, CODES.REQUIRED, 'commitment is required', 'commitment');
+  const recordSeed = validate.serverSeed(record.serverSeed);
+  const version = validate.engineVersion(recordEngineVersion(record), listVersions());
+  const numBalls = validate.numBalls(record.numBalls);
+  const betPerBall = validate.betPerBall(record.betPerBall);
+  const clientSeed = validate.storedClientSeed(record.clientSeed);
+  const nonce = record.nonce === undefined || record.nonce === null
+    ? undefined
+    : validate.requireInteger(record.nonce, 'nonce', 0, Number.MAX_SAFE_INTEGER);
+  const engine = getEngine(version);
+  const maxTicks = numBalls * engine.CONFIG.MAX_TICKS_PER_BALL;
+  const inputLog = validate.inputLog(record.inputLog, maxTicks);
+  const claimedTotalWin = validate.finite(record.totalWin, 'totalWin');
+  const chain = validate.hashChain(record.hashChain, maxTicks);
+  const ruleset = validate.recordRuleset(record.ruleset, engine);
+  const claimedRulesetHash = validate.commitmentHash(record.rulesetHash, 'rulesetHash');
+  if (claimedRulesetHash && !engine.rulesetHash) {
+    throw new ApiError(400, CODES.INVALID_RULESET, `Engine v${version} has no rulesets`, 'rulesetHash');
+  }
+  const rulesetOk = claimedRulesetHash ? engine.rulesetHash(ruleset) === claimedRulesetHash : undefined;
+
+  const commitmentOk = crypto.createHash('sha256').update(recordSeed).digest('hex') === recordCommitment;
+  const replayed = await runVerifyJob('replay', {
+    engineVersion: version, serverSeed: recordSeed, numBalls, betPerBall, clientSeed, nonce, ruleset, inputLog,
+    hashChain: chain ? chain.every : false
+  });
+  const totalWinOk = replayed.totalWin === claimedTotalWin;
+  let hashChainOk;
+  if (chain) {
+    const replayedHashes = new Map(replayed.hashChain.checkpoints.map(e => [e.tick, e.hash]));
+    hashChainOk = replayed.hashChain.head === chain.head &&
+      inputLog.every(e => e.hash === undefined || replayedHashes.get(e.tick) === e.hash);
   }
+
+  res.json({
+    verified: commitmentOk && totalWinOk && hashChainOk !== false && rulesetOk !== false,
+    gameId: record.gameId ?? null,
+    engineVersion: version,
+    checks: {
+      commitment: commitmentOk,   // SHA-256(serverSeed) === commitment
+      totalWin: totalWinOk,       // replay reproduces the claimed totalWin
+      hashChain: hashChainOk,     // replay matches tick by tick (records with a hashChain only)
+      ruleset: rulesetOk          // rulesetHash names the rules replayed (records with a rulesetHash only)
+    },
+    claimedTotalWin,
+    replayedTotalWin: replayed.totalWin,
+    ticks: replayed.ticks
+  });
+}));
+
+// ===== PLAYER IDENTITY =====
+// With Firebase, a request names its player with an ID token (Authorization: Bearer). What is
+// stored and published is PlayerSeeds.playerHash(uid), never the uid.
+
+// uid of the request's ID token; null when it sends none
+async function bearerUid(req) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  if (!match) return null;
   try {
-    const doc = await trailDb.collection('paddla_games').doc(req.params.id).get();
-    if (!doc.exists) return res.status(404).json({ error: 'Record not found' });
-    res.json(doc.data());
+    return (await getAuth().verifyIdToken(match[1])).uid;
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    throw new ApiError(401, CODES.UNAUTHORIZED, 'Invalid or expired ID token');
+  }
+}
+
+// Who played a registrar game, for the leaderboard. Firebase: the token's user under their
+// paddla_users nickname; no token = anonymous. Without Firebase there are no accounts: the
+// body's nickname belongs to the first secret playerId that claims it, and no one else's.
+async function registrarPlayer(req, body) {
+  if (!getAuth()) {
+    if (body.nickname === undefined || body.nickname === null) return null;
+    const nickname = validate.nickname(body.nickname);
+    if (body.playerId === undefined) throw new ApiError(400, CODES.REQUIRED, 'playerId is required with a nickname', 'playerId');
+    const player = PlayerSeeds.playerHash(validatePlayerId(body.playerId, 'playerId'));
+    const owner = sessions.get('nickname', nickname);
+    if (owner && owner !== player) throw new ApiError(409, CODES.NICKNAME_TAKEN, 'Nickname is taken', 'nickname');
+    if (!owner) sessions.set('nickname', nickname, player);
+    return { player, nickname };
   }
+  const uid = await bearerUid(req);
+  if (!uid) return null;
+  return { player: PlayerSeeds.playerHash(uid), nickname: await userNickname(uid) };
+}
+
+// The paddla_users nickname the leaderboard shows for a Firebase user; null without one
+async function userNickname(uid) {
+  const user = await getFirestore().collection('paddla_users').doc(uid).get();
+  return user.exists ? user.data().nickname || null : null;
+}
+
+// ===== LOCAL REGISTRAR =====
+// Stand-in for registrar.uncloned.work (/status, /session/new, /verify/paddla, /trail/:id,
+// /simulate/paddla), so the clients and their WASM seed flow work without the external service.
+const registrarTrail = createTrailStore(config.registrarTrail);
+const registrarBatcher = new TrailBatcher(registrarTrail, createBatchStore(config.registrarBatches), config.registrarBatches);
+app.use('/registrar', createRegistrar({
+  sessions,
+  trail: registrarTrail,
+  batcher: registrarBatcher,
+  signer,
+  runJob: runVerifyJob,
+  simMaxBalls: config.registrar.simMaxBalls,
+  chargeSim: async (req, body, balls) => {
+    const owner = await simOwner(req, body.userId);
+    requireSimQuota(owner, balls);
+    return simJobs.spend(owner, balls);
+  },
+  identify: registrarPlayer
+}));
+
+// ===== LEADERBOARD =====
+// GET /leaderboard?window=daily|weekly|all&metric=rtp|win|profit&betPerBall=&minBet=&limit=
+// Ranks players by their replay-verified games on both trails (this server's and the local
+// registrar's); see leaderboard.js. Defaults: weekly, rtp, minBet 500, top 10.
+const leaderboard = new Leaderboard({ game: trail, registrar: registrarTrail }, config.leaderboard);
+
+app.get('/leaderboard', asyncRoute(async (req, res) => {
+  const query = validate.leaderboardQuery(req.query, {
+    windows: Object.keys(LEADERBOARD_WINDOWS),
+    metrics: LEADERBOARD_METRICS,
+    defaultMinBet: DEFAULT_MIN_BET
+  });
+  res.json(await leaderboard.board(query));
+}));
+
+// ===== SIMULATION JOBS =====
+// POST /sim/jobs {strategy, numGames, ballsPerGame, betPerBall?, ruleset?} -> 202, job queued
+// GET  /sim/jobs                       -> the user's recent jobs, newest first
+// GET  /sim/jobs/:id                   -> status, progress and, once done, the result
+// GET  /sim/jobs/:id/events            -> the same as Server-Sent Events until the job ends
+// POST /sim/jobs/:id/cancel            -> stops a queued or running job
+// GET  /sim/quota                      -> balls used and left today
+// The local registrar's /simulate/paddla runs inline but spends from the same quota.
+// The user is the uid of a Firebase ID token (Authorization: Bearer) when Firebase is configured.
+// Without Firebase it is the userId sent in the body or query, which only separates quotas.
+const simJobs = new SimJobs(sessions, config.sim);
+const MAX_SIM_GAMES = 10000;
+const SIM_RETRY_AFTER = 30;  // seconds, when the queue is full
+
+async function simOwner(req, userId) {
+  if (!getAuth()) {
+    if (userId === undefined) throw new ApiError(400, CODES.REQUIRED, 'userId is required', 'userId');
+    return PlayerSeeds.playerHash(validatePlayerId(userId, 'userId'));
+  }
+  const uid = await bearerUid(req);
+  if (!uid) throw new ApiError(401, CODES.UNAUTHORIZED, 'Sign in required');
+  return PlayerSeeds.playerHash(uid);
+}
+
+function requireSimQuota(owner, balls) {
+  const quota = simJobs.quota(owner);
+  if (balls > quota.remaining) {
+    throw new ApiError(429, CODES.QUOTA_EXCEEDED, 'Daily simulation quota exceeded', null, { balls, quota });
+  }
+}
+
+function requireSimJob(id) {
+  const job = simJobs.get(id);
+  if (!job) throw new ApiError(404, CODES.JOB_NOT_FOUND, 'Simulation job not found', 'id');
+  return job;
+}
+
+app.post('/sim/jobs', asyncRoute(async (req, res) => {
+  const body = validate.body(req);
+  const owner = await simOwner(req, body.userId);
+  const strategy = validate.strategy(body.strategy, STRATEGY_NAMES);
+  const numGames = validate.requireInteger(body.numGames, 'numGames', 1, MAX_SIM_GAMES);
+  const ballsPerGame = validate.requireInteger(body.ballsPerGame, 'ballsPerGame', 1, 1000);
+  const betPerBall = validate.betPerBall(body.betPerBall);
+  const variant = rulesets.get(validate.rulesetName(body.ruleset, rulesets.names()));
+  requireSimQuota(owner, numGames * ballsPerGame);
+  if (simJobs.full) {
+    const err = new ApiError(503, CODES.BUSY, 'Simulation queue is full - retry later', null, { retryAfter: SIM_RETRY_AFTER });
+    err.headers = { 'Retry-After': String(SIM_RETRY_AFTER) };
+    throw err;
+  }
+  const job = simJobs.submit(owner, {
+    strategy, numGames, ballsPerGame, betPerBall, ruleset: variant.ruleset, rulesetName: variant.name
+  });
+  console.log(`[SIM] Job ${job.jobId.substring(0, 8)}... queued (${strategy}, ${numGames} × ${ballsPerGame} balls, ${variant.name})`);
+  res.status(202).json({
+    ...simJobs.view(job),
+    poll: `/sim/jobs/${job.jobId}`,
+    events: `/sim/jobs/${job.jobId}/events`,
+    quota: simJobs.quota(owner)
+  });
+}));
+
+app.get('/sim/jobs', asyncRoute(async (req, res) => {
+  const owner = await simOwner(req, req.query.userId);
+  const items = simJobs.list(owner).map(job => simJobs.view(job));
+  res.json({ count: items.length, items });
+}));
+
+app.get('/sim/quota', asyncRoute(async (req, res) => {
+  res.json(simJobs.quota(await simOwner(req, req.query.userId)));
+}));
+
+app.get('/sim/jobs/:id', (req, res) => {
+  res.json(simJobs.view(requireSimJob(req.params.id)));
+});
+
+// EventSource cannot send headers, so the job id (an unguessable UUID) is the only credential
+app.get('/sim/jobs/:id/events', (req, res) => {
+  const job = requireSimJob(req.params.id);
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const stop = () => { clearInterval(heartbeat); unsubscribe(); };
+  const send = (j) => {
+    const event = SimJobs.isFinal(j.status) ? j.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(simJobs.view(j))}\n\n`);
+    if (SimJobs.isFinal(j.status)) {
+      stop();
+      res.end();
+    }
+  };
+  send(job);
+  if (SimJobs.isFinal(job.status)) return;
+  unsubscribe = simJobs.subscribe(job.jobId, send);
+  req.on('close', stop);
+});
+
+app.post('/sim/jobs/:id/cancel', asyncRoute(async (req, res) => {
+  const job = requireSimJob(req.params.id);
+  const body = validate.body(req);
+  if (await simOwner(req, body.userId) !== job.owner) {
+    throw new ApiError(403, CODES.FORBIDDEN, 'Not your simulation job', 'id');
+  }
+  if (!simJobs.cancel(job)) {
+    throw new ApiError(409, CODES.JOB_FINISHED, `Job already ${job.status}`, 'id');
+  }
+  res.json(simJobs.view(simJobs.get(job.jobId)));
+}));
+
+// ===== PER-PLAYER SEED PAIRS =====
+// GET  /player/:playerId/seeds         -> active pair (server seed hashed) and the next seed's hash
+// POST /player/:playerId/seeds/rotate  {clientSeed?} -> reveals the old server seed, activates the next
+// With Firebase, playerId is the uid of the request's ID token (see requirePlayer).
+function validatePlayerId(playerId, field) {
+  if (!PlayerSeeds.validId(playerId)) {
+    throw new ApiError(400, CODES.INVALID_FORMAT, `${field} must be 8-64 characters of [A-Za-z0-9_-]`, field);
+  }
+  return playerId;
+}
+
+// A playerId opens a wallet and a seed pair. With Firebase only the signed-in user may use
+// their own uid; without it the playerId is a secret the client keeps.
+async function requirePlayer(req, playerId) {
+  validatePlayerId(playerId, 'playerId');
+  if (!getAuth()) return playerId;
+  const uid = await bearerUid(req);
+  if (!uid) throw new ApiError(401, CODES.UNAUTHORIZED, 'Sign in required');
+  if (uid !== playerId) throw new ApiError(403, CODES.FORBIDDEN, 'playerId is not the signed-in user', 'playerId');
+  return playerId;
+}
+
+app.get('/player/:playerId/seeds', asyncRoute(async (req, res) => {
+  const playerId = await requirePlayer(req, req.params.playerId);
+  res.json(playerSeeds.view(playerSeeds.active(playerId)));
+}));
+
+app.post('/player/:playerId/seeds/rotate', asyncRoute(async (req, res) => {
+  const playerId = await requirePlayer(req, req.params.playerId);
+  const body = validate.body(req);
+  const clientSeed = body.clientSeed === undefined ? undefined : validate.clientSeed(body.clientSeed);
+  // Revealing the seed while a game on it is still running would let the player precompute it
+  const running = Object.values(games).some(g => g.playerId === playerId && !g.finished);
+  if (running) {
+    throw new ApiError(409, CODES.GAMES_RUNNING, 'Finish running games before rotating seeds');
+  }
+  const result = playerSeeds.rotate(playerId, clientSeed);
+  console.log(`[SEEDS] Player ${PlayerSeeds.playerHash(playerId)} rotated (${result.previous.nonce} games revealed)`);
+  res.json(result);
+}));
+
+// ===== WALLET =====
+// GET /wallet/:playerId                -> balance (opens the account with the starting balance)
+// GET /wallet/:playerId/transactions   -> ledger entries, newest first; ?limit=&cursor=
+// GET /admin/reconcile                 -> ledger invariants report (Authorization: Bearer ADMIN_TOKEN)
+// With Firebase the wallet endpoints need the player's ID token, as /game/start with a playerId does.
+app.get('/wallet/:playerId', asyncRoute(async (req, res) => {
+  const playerId = await requirePlayer(req, req.params.playerId);
+  const player = PlayerSeeds.playerHash(playerId);
+  const account = Ledger.playerAccount(player);
+  ledger.ensureAccount(account);
+  res.json({ player, balance: ledger.balance(account) / 100 });
+}));
+
+app.get('/wallet/:playerId/transactions', asyncRoute(async (req, res) => {
+  const playerId = await requirePlayer(req, req.params.playerId);
+  const { limit, cursor } = validate.paging(req.query, { numericCursor: true });
+  const page = ledger.history(Ledger.playerAccount(PlayerSeeds.playerHash(playerId)), { limit, cursor });
+  const items = page.items.map(tx => ({ ...tx, amount: tx.amount / 100 }));
+  res.json({ count: items.length, items, nextCursor: page.nextCursor });
+}));
+
+function requireAdmin(req) {
+  if (!config.adminToken) {
+    throw new ApiError(403, CODES.ADMIN_DISABLED, 'Admin endpoints disabled (set ADMIN_TOKEN)');
+  }
+  const expected = Buffer.from('Bearer ' + config.adminToken);
+  const given = Buffer.from(req.get('authorization') || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new ApiError(401, CODES.UNAUTHORIZED, 'Unauthorized');
+  }
+}
+
+app.get('/admin/reconcile', (req, res) => {
+  requireAdmin(req);
+  const report = ledger.reconcile();
+  // Open bets that belong to no running game were lost (e.g. crash before settling)
+  report.lostBets = report.openBets.filter(gameId => !games[gameId]);
+  if (report.lostBets.length) report.ok = false;
+  res.json(report);
+});
+
+// GET /admin/mismatches[/:id] - divergence reports from failed verifications, newest first
+app.get('/admin/mismatches', asyncRoute(async (req, res) => {
+  requireAdmin(req);
+  const { limit, cursor } = validate.paging(req.query);
+  const page = await mismatches.list({ limit, cursor });
+  const items = page.items.map(r => ({
+    gameId: r.gameId, kind: r.kind, divergenceTick: r.divergenceTick, evidence: r.evidence,
+    clientTotalWin: r.clientTotalWin, serverTotalWin: r.serverTotalWin, engineVersion: r.engineVersion, ts: r.ts
+  }));
+  res.json({ count: items.length, items, nextCursor: page.nextCursor });
+}));
+
+// POST /admin/trail/seal - seals pending trail records into batches now instead of on the hour
+app.post('/admin/trail/seal', asyncRoute(async (req, res) => {
+  requireAdmin(req);
+  const [trailBatches, registrarBatches] = await Promise.all([batcher.seal(), registrarBatcher.seal()]);
+  res.json({ trail: trailBatches, registrar: registrarBatches });
+}));
+
+app.get('/admin/mismatches/:id', asyncRoute(async (req, res) => {
+  requireAdmin(req);
+  const record = await mismatches.get(req.params.id);
+  if (!record) throw new ApiError(404, CODES.RECORD_NOT_FOUND, 'Record not found', 'id');
+  res.json(record);
+}));
+
+// GET /pubkey - Ed25519 key that signs finish receipts: { alg, keyId, publicKey (hex), pem }
+app.get('/pubkey', (req, res) => {
+  res.json(signer.publicInfo());
 });
 
 // Health check
@@ -310,7 +1347,10 @@ app.get('/health', (req, res) => {
     status: 'ok',
     version: '0.8',
     protocol: 'UVS 2.0 (Move Batch, G=ALL)',
-    trailEnabled,
+    trailBackend: trail.backend,
+    ledgerBackend: ledger.backend,
+    verifyPool: verifyPool.stats(),
+    simJobs: simJobs.stats(),
     activeGames: Object.keys(games).length,
     commitment: commitment.substring(0, 16) + '...'
   });
@@ -320,15 +1360,78 @@ app.get('/health', (req, res) => {
 app.get('/version', (req, res) => {
   res.json({
     server: '0.8',
-    engine: '0.6',
+    engine: ENGINE_VERSION,
+    engines: listVersions(),   // every version /trail records can be replayed with
     protocol: 'UVS 2.0 (Move Batch, G=ALL)',
-    description: 'Provably fair with persistent public audit trail. Verified games stored in Firestore; anyone can replay via /trail/:id.'
+    description: 'Provably fair with persistent public audit trail. Verified games stored in the trail backend; anyone can replay via /trail/:id.'
   });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`PADDLA Server v0.8 (UVS 2.0 — Move Batch, G=ALL) running on port ${PORT}`);
-  console.log(`Initial commitment: ${commitment.substring(0, 16)}...`);
-  console.log(`Audit trail: ${trailEnabled ? 'ENABLED (Firestore paddla_games)' : 'DISABLED (RAM-only)'}`);
+// ===== ERRORS =====
+// Every failure leaves as { error, code, field }: ApiErrors as thrown, malformed JSON from
+// express.json(), unknown routes, and anything unexpected as a 500 INTERNAL.
+app.use((req, res, next) => {
+  next(new ApiError(404, CODES.NOT_FOUND, `No route for ${req.method} ${req.path}`));
+});
+
+app.use((err, req, res, next) => {
+  if (err instanceof ApiError) {
+    if (err.headers) res.set(err.headers);
+    return res.status(err.status).json(err);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(new ApiError(400, CODES.INVALID_JSON, 'Malformed JSON body'));
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json(new ApiError(413, CODES.TOO_LONG, 'Request body too large'));
+  }
+  console.error(`[ERROR] ${req.method} ${req.path}: ${err.stack || err.message}`);
+  res.status(500).json(new ApiError(500, CODES.INTERNAL, 'Internal server error'));
+});
+
+// ===== STARTUP =====
+// Session state is restored before listening, so no request ever sees a half-loaded server.
+const PORT = config.port;
+
+// Before the trail had its own collection the server wrote verified games to paddla_games.
+// They are copied over once, before the first batch is sealed, so old ids keep replaying.
+async function migrateTrail() {
+  if (!trail.migrateLegacy || sessions.get('migrations', 'trail')) return;
+  const copied = await trail.migrateLegacy();
+  sessions.set('migrations', 'trail', { copied, at: Date.now() });
+  console.log(`[TRAIL] Copied ${copied} verified games from paddla_games`);
+}
+
+async function start() {
+  await sessions.load();
+  await ledger.load();
+  await migrateTrail();
+  restoreCommitments();
+  restoreGames();
+  playerSeeds.restore();
+  publishRetired();  // only once the open games are known
+  const interrupted = simJobs.restore();
+  if (interrupted > 0) console.log(`[SIM] ${interrupted} jobs interrupted by the restart marked failed`);
+  scheduleRotation();
+  batcher.start();
+  registrarBatcher.start();
+  app.listen(PORT, () => {
+    console.log(`PADDLA Server v0.8 (UVS 2.0 — Move Batch, G=ALL) running on port ${PORT}`);
+    console.log(`Initial commitment: ${commitment.substring(0, 16)}...`);
+    console.log(`Audit trail: ${trail.backend}`);
+    console.log(`Sessions: ${sessions.backend}`);
+  });
+}
+
+// Flush pending session and ledger writes on deploy/shutdown
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    Promise.all([verifyPool.close(), simJobs.close()])
+      .then(() => Promise.all([sessions.flush(), ledger.flush()])).finally(() => process.exit(0));
+  });
+}
+
+start().catch(err => {
+  console.error('[STARTUP] Failed:', err);
+  process.exit(1);
 });
@@ -0,0 +1,110 @@
+/**
+ * PADDLA Leaderboard — rankings computed from the verified audit trails only
+ *
+ * Every trail record is a game the server replayed itself, so nothing a client writes can
+ * place it on a board. Records without a player (anonymous games) are left out.
+ *   board({ window, metric, betPerBall, minBet, limit }, now)
+ *     window     daily (24 h) | weekly (7 days) | all
+ *     metric     rtp    — each player's best single game, totalWin / bet, games with bet >= minBet
+ *                win    — each player's biggest single totalWin
+ *                profit — each player's sum of totalWin - bet
+ *     betPerBall only games at that stake (a bet tier); omitted = every stake
+ * bet = numBalls × betPerBall. Ties go to the player who got there first.
+ * Boards are cached for ttlMs: the all-time board scans the whole trail.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const WINDOWS = { daily: 24 * HOUR, weekly: 7 * 24 * HOUR, all: null };
+const METRICS = ['rtp', 'win', 'profit'];
+const DEFAULT_MIN_BET = 500;  // 100 balls at the default stake
+
+function recordBet(record) {
+  return record.numBalls * (record.betPerBall || 5);
+}
+
+// A record's score under a metric, or null when it does not qualify
+function score(metric, record, minBet) {
+  const bet = recordBet(record);
+  if (metric === 'rtp') return bet >= minBet ? record.totalWin / bet * 100 : null;
+  if (metric === 'win') return record.totalWin;
+  return record.totalWin - bet;
+}
+
+class Leaderboard {
+  // trails: { source → trail store }, e.g. { game: trail, registrar: registrarTrail }
+  constructor(trails, { ttlMs = 60 * 1000 } = {}) {
+    this.trails = trails;
+    this.ttlMs = ttlMs;
+    this.cache = new Map();  // key → { at, promise }
+  }
+
+  board(query, now = Date.now()) {
+    const key = JSON.stringify([query.window, query.metric, query.betPerBall, query.minBet]);
+    const hit = this.cache.get(key);
+    if (hit && now - hit.at < this.ttlMs) return hit.promise.then(b => Leaderboard.top(b, query.limit));
+    const promise = this.compute(query, now);
+    this.cache.set(key, { at: now, promise });
+    promise.catch(() => this.cache.delete(key));
+    return promise.then(b => Leaderboard.top(b, query.limit));
+  }
+
+  async compute({ window, metric, betPerBall, minBet = DEFAULT_MIN_BET }, now) {
+    const from = WINDOWS[window] === null ? null : now - WINDOWS[window];
+    const filter = {};
+    if (from !== null) filter.from = from;
+    if (betPerBall !== undefined) filter.betPerBall = betPerBall;
+
+    const players = new Map();  // player → entry
+    for (const [source, trail] of Object.entries(this.trails)) {
+      for await (const record of trail.scan(filter)) {
+        if (!record.player) continue;
+        const value = score(metric, record, minBet);
+        if (value === null) continue;
+        let entry = players.get(record.player);
+        if (!entry) {
+          entry = { player: record.player, nickname: null, named: 0, value: null, games: 0, gameId: null, source: null, ts: 0 };
+          players.set(record.player, entry);
+        }
+        entry.games++;
+        if (record.nickname && record.ts >= entry.named) {  // the name of the player's latest game
+          entry.nickname = record.nickname;
+          entry.named = record.ts;
+        }
+        if (metric === 'profit') {
+          entry.value = (entry.value || 0) + value;
+          entry.ts = Math.max(entry.ts, record.ts);
+        } else if (entry.value === null || value > entry.value || (value === entry.value && record.ts < entry.ts)) {
+          Object.assign(entry, { value, gameId: record.gameId, source, ts: record.ts });
+        }
+      }
+    }
+
+    const entries = [...players.values()]
+      .sort((a, b) => b.value - a.value || a.ts - b.ts)
+      .map((e, i) => ({
+        rank: i + 1,
+        player: e.player,
+        nickname: e.nickname,
+        value: metric === 'rtp' ? Math.round(e.value * 10) / 10 : e.value,
+        games: e.games,
+        ...(metric === 'profit' ? {} : { gameId: e.gameId, source: e.source }),
+        ts: e.ts
+      }));
+    return {
+      window,
+      metric,
+      betPerBall: betPerBall === undefined ? null : betPerBall,
+      minBet: metric === 'rtp' ? minBet : null,
+      from,
+      generatedAt: now,
+      players: entries.length,
+      entries
+    };
+  }
+
+  static top(board, limit) {
+    return { ...board, entries: board.entries.slice(0, limit) };
+  }
+}
+
+module.exports = { Leaderboard, WINDOWS, METRICS, DEFAULT_MIN_BET };
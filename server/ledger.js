@@ -0,0 +1,264 @@
+/**
+ * PADDLA Wallet Ledger — double-entry, append-only
+ *
+ * Every money movement is one immutable transaction whose entries sum to zero:
+ *   grant   house → player   starting balance for a new player
+ *   bet     player → house   debited at /game/start
+ *   payout  house → player   verified totalWin, credited when the game settles
+ *   refund  house → player   the bet back, for a game voided because it could not be settled
+ * Amounts are integer cents. Balances are never stored, only derived from the entries,
+ * so the ledger can always be reconciled against itself.
+ *
+ * Ledger keeps the whole log in memory (posting is synchronous, so a balance check and the
+ * debit that follows cannot interleave) and appends each transaction to a store:
+ *   memory    — RAM only, for tests
+ *   file      — append-only JSONL on local disk
+ *   firestore — collection paddla_ledger, one document per transaction
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getFirestore } = require('./firestore');
+
+const COLLECTION = 'paddla_ledger';
+const HOUSE = 'house';
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+// ===== STORES =====
+
+class MemoryLedgerStore {
+  constructor() {
+    this.backend = 'memory';
+  }
+  async load() { return []; }
+  async append() {}
+}
+
+class FileLedgerStore {
+  constructor(file) {
+    this.backend = 'file';
+    this.file = file;
+  }
+
+  async load() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    if (!fs.existsSync(this.file)) return [];
+    const txs = [];
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        txs.push(JSON.parse(line));
+      } catch (e) {
+        console.warn(`[LEDGER] Skipping corrupt line in ${this.file}: ${e.message}`);
+      }
+    }
+    return txs;
+  }
+
+  append(tx) {
+    return fs.promises.appendFile(this.file, JSON.stringify(tx) + '\n');
+  }
+}
+
+class FirestoreLedgerStore {
+  constructor(db) {
+    this.backend = 'firestore';
+    this.col = db.collection(COLLECTION);
+  }
+
+  async load() {
+    const snap = await this.col.orderBy('seq').get();
+    return snap.docs.map(doc => doc.data());
+  }
+
+  append(tx) {
+    // create() rather than set(): a transaction document is never overwritten
+    return this.col.doc(String(tx.seq).padStart(12, '0')).create(tx);
+  }
+}
+
+// options: { backend: 'firestore'|'file'|'memory'|'auto', file }
+function createLedgerStore(options = {}) {
+  const backend = options.backend || 'auto';
+  if (backend === 'memory') return new MemoryLedgerStore();
+  if (backend === 'file') return new FileLedgerStore(options.file);
+  if (backend === 'firestore' || backend === 'auto') {
+    const db = getFirestore();
+    if (db) return new FirestoreLedgerStore(db);
+    if (backend === 'firestore') throw new Error('LEDGER_BACKEND=firestore but Firestore is unavailable');
+    return new FileLedgerStore(options.file);
+  }
+  throw new Error(`Unknown ledger backend: ${backend}`);
+}
+
+// ===== LEDGER =====
+
+class Ledger {
+  constructor(store, { startingBalance = 1000 } = {}) {
+    this.store = store;
+    this.backend = store.backend;
+    this.startingBalance = toCents(startingBalance);
+    this.txs = [];
+    this.balances = new Map();   // account → cents
+    this.byAccount = new Map();  // account → [tx index]
+    this.writes = Promise.resolve();
+  }
+
+  async load() {
+    const txs = await this.store.load();
+    txs.sort((a, b) => a.seq - b.seq);
+    for (const tx of txs) this.apply(tx);
+  }
+
+  apply(tx) {
+    const index = this.txs.push(tx) - 1;
+    for (const { account, amount } of tx.entries) {
+      this.balances.set(account, (this.balances.get(account) || 0) + amount);
+      if (!this.byAccount.has(account)) this.byAccount.set(account, []);
+      const list = this.byAccount.get(account);
+      if (list[list.length - 1] !== index) list.push(index);
+    }
+  }
+
+  // Records a transaction; entries: [{ account, amount (cents) }] summing to zero.
+  // Applied immediately, persisted in order in the background.
+  post(type, entries, meta = {}) {
+    if (entries.some(e => !Number.isInteger(e.amount))) throw new Error('Ledger amounts must be integer cents');
+    if (entries.reduce((sum, e) => sum + e.amount, 0) !== 0) throw new Error('Unbalanced ledger transaction');
+    const tx = {
+      txId: crypto.randomUUID(),
+      seq: this.txs.length + 1,
+      type,
+      ...meta,
+      entries,
+      ts: Date.now()
+    };
+    this.apply(tx);
+    this.writes = this.writes
+      .then(() => this.store.append(tx))
+      .catch(e => console.error(`[LEDGER] Persist failed for tx ${tx.seq}: ${e.message}`));
+    return tx;
+  }
+
+  flush() {
+    return this.writes;
+  }
+
+  static playerAccount(playerHash) {
+    return 'player:' + playerHash;
+  }
+
+  hasAccount(account) {
+    return this.byAccount.has(account);
+  }
+
+  balance(account) {
+    return this.balances.get(account) || 0;
+  }
+
+  // Opens the account with the starting balance on first use
+  ensureAccount(account) {
+    if (!this.hasAccount(account)) {
+      this.post('grant', [
+        { account: HOUSE, amount: -this.startingBalance },
+        { account, amount: this.startingBalance }
+      ]);
+    }
+  }
+
+  bet(account, gameId, amount) {
+    const cents = toCents(amount);
+    return this.post('bet', [{ account, amount: -cents }, { account: HOUSE, amount: cents }], { gameId });
+  }
+
+  payout(account, gameId, amount) {
+    const cents = toCents(amount);
+    return this.post('payout', [{ account: HOUSE, amount: -cents }, { account, amount: cents }], { gameId });
+  }
+
+  refund(account, gameId, amount) {
+    const cents = toCents(amount);
+    return this.post('refund', [{ account: HOUSE, amount: -cents }, { account, amount: cents }], { gameId });
+  }
+
+  // Newest first; cursor = seq of the last item of the previous page
+  history(account, { limit = 50, cursor = null } = {}) {
+    const indices = this.byAccount.get(account) || [];
+    const items = [];
+    for (let i = indices.length - 1; i >= 0 && items.length < limit + 1; i--) {
+      const tx = this.txs[indices[i]];
+      if (cursor !== null && tx.seq >= cursor) continue;
+      const amount = tx.entries.filter(e => e.account === account).reduce((sum, e) => sum + e.amount, 0);
+      items.push({ txId: tx.txId, seq: tx.seq, type: tx.type, gameId: tx.gameId, amount, ts: tx.ts });
+    }
+    const more = items.length > limit;
+    if (more) items.pop();
+    return { items, nextCursor: more ? items[items.length - 1].seq : null };
+  }
+
+  // Rebuilds every balance from the raw log and checks the ledger's invariants
+  reconcile() {
+    const recomputed = new Map();
+    const unbalanced = [];
+    const bets = new Map();
+    const payouts = new Map();
+    const totals = { grant: 0, bet: 0, payout: 0, refund: 0 };
+    let lastSeq = 0;
+    let seqGaps = 0;
+
+    for (const tx of this.txs) {
+      if (tx.seq !== lastSeq + 1) seqGaps++;
+      lastSeq = tx.seq;
+      let sum = 0;
+      for (const { account, amount } of tx.entries) {
+        sum += amount;
+        recomputed.set(account, (recomputed.get(account) || 0) + amount);
+      }
+      if (sum !== 0) unbalanced.push(tx.seq);
+      const volume = tx.entries.reduce((v, e) => v + Math.max(0, e.amount), 0);
+      if (tx.type in totals) totals[tx.type] += volume;
+      if (tx.type === 'bet') bets.set(tx.gameId, (bets.get(tx.gameId) || 0) + 1);
+      // a refund closes its bet just as a payout does
+      if (tx.type === 'payout' || tx.type === 'refund') payouts.set(tx.gameId, (payouts.get(tx.gameId) || 0) + 1);
+    }
+
+    const balanceMismatches = [];
+    for (const [account, cents] of this.balances) {
+      if (recomputed.get(account) !== cents) balanceMismatches.push({ account, cached: cents, ledger: recomputed.get(account) });
+    }
+    const openBets = [...bets.keys()].filter(gameId => !payouts.has(gameId));
+    const duplicateGames = [...bets].concat([...payouts]).filter(([, n]) => n > 1).map(([gameId]) => gameId);
+    const orphanPayouts = [...payouts.keys()].filter(gameId => !bets.has(gameId));
+    const playerLiability = [...recomputed].filter(([a]) => a !== HOUSE).reduce((sum, [, c]) => sum + c, 0);
+
+    return {
+      ok: unbalanced.length === 0 && balanceMismatches.length === 0 && seqGaps === 0 &&
+        duplicateGames.length === 0 && orphanPayouts.length === 0,
+      transactions: this.txs.length,
+      accounts: recomputed.size,
+      totals,                       // cents moved per transaction type
+      houseBalance: recomputed.get(HOUSE) || 0,
+      playerLiability,              // cents owed to players; equals -houseBalance
+      unbalanced,
+      seqGaps,
+      balanceMismatches,
+      duplicateGames,
+      orphanPayouts,
+      openBets                      // games still running (or lost before settling)
+    };
+  }
+}
+
+module.exports = {
+  HOUSE,
+  toCents,
+  Ledger,
+  MemoryLedgerStore,
+  FileLedgerStore,
+  FirestoreLedgerStore,
+  createLedgerStore
+};
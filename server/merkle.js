@@ -0,0 +1,122 @@
+/**
+ * PADDLA Merkle Batches — hashing rules shared by the server, the CLI and the client
+ *
+ * A batch is a binary Merkle tree over the records it seals, oldest first (ts, gameId):
+ *   leaf = SHA256(0x00 || canonicalJSON(record without serverSeed, seedRevealed))
+ *   node = SHA256(0x01 || left || right)        (raw 32-byte digests)
+ * The prefixes keep a leaf from passing as a node. An odd node at the end of a level is
+ * carried up unchanged, never paired with itself.
+ *
+ * serverSeed is left out because per-player records store it as null until the player
+ * rotates; the commitment (its SHA-256) is in the leaf, so the seed is bound all the same.
+ *
+ * Batches are chained: every header holds `prev`, the hash of the header before it, so a
+ * dropped or rewritten batch breaks every later one.
+ */
+
+const crypto = require('crypto');
+
+const UNHASHED_FIELDS = ['serverSeed', 'seedRevealed'];
+const GENESIS = '0'.repeat(64);
+
+// JSON with object keys sorted at every level; undefined fields are dropped as JSON.stringify does
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return '[' + value.map(v => v === undefined ? 'null' : canonicalJSON(v)).join(',') + ']';
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return '{' + keys.map(k => JSON.stringify(k) + ':' + canonicalJSON(value[k])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(...parts) {
+  const h = crypto.createHash('sha256');
+  for (const p of parts) h.update(p);
+  return h.digest();
+}
+
+function leafHash(record) {
+  const hashed = { ...record };
+  for (const k of UNHASHED_FIELDS) delete hashed[k];
+  return sha256(Buffer.from([0]), Buffer.from(canonicalJSON(hashed), 'utf8')).toString('hex');
+}
+
+function nodeHash(left, right) {
+  return sha256(Buffer.from([1]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex')).toString('hex');
+}
+
+// levels[0] = leaves, levels[last] = [root]
+function buildLevels(leaves) {
+  if (leaves.length === 0) throw new Error('Cannot build a Merkle tree without leaves');
+  const levels = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? nodeHash(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+function merkleRoot(leaves) {
+  const levels = buildLevels(leaves);
+  return levels[levels.length - 1][0];
+}
+
+// Inclusion path for leaves[index]: [{ side: 'left'|'right', hash }] from the leaf up
+function merkleProof(leaves, index) {
+  const path = [];
+  for (const level of buildLevels(leaves).slice(0, -1)) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < level.length) path.push({ side: index % 2 === 0 ? 'right' : 'left', hash: level[sibling] });
+    index = Math.floor(index / 2);
+  }
+  return path;
+}
+
+function rootFromPath(leaf, path) {
+  return path.reduce((hash, step) => step.side === 'left' ? nodeHash(step.hash, hash) : nodeHash(hash, step.hash), leaf);
+}
+
+// What a batch header commits to; `hash` is computed over exactly these fields
+function batchHeader(batch) {
+  const { seq, root, count, first, last, prev, sealedAt } = batch;
+  return { seq, root, count, first, last, prev, sealedAt };
+}
+
+function headerHash(batch) {
+  return crypto.createHash('sha256').update(canonicalJSON(batchHeader(batch))).digest('hex');
+}
+
+// Checks a record against a /trail/:id/proof response: leaf, path up to the root, header hash
+function verifyProof(record, proof) {
+  const leaf = leafHash(record);
+  if (leaf !== proof.leaf) return { ok: false, error: 'record does not hash to the proven leaf' };
+  if (rootFromPath(leaf, proof.path) !== proof.batch.root) return { ok: false, error: 'path does not lead to the batch root' };
+  if (headerHash(proof.batch) !== proof.batch.hash) return { ok: false, error: 'batch header hash mismatch' };
+  return { ok: true };
+}
+
+// Headers oldest first; each must hash correctly and point at the one before it
+function verifyBatchChain(headers) {
+  for (let i = 0; i < headers.length; i++) {
+    if (headerHash(headers[i]) !== headers[i].hash) return { ok: false, seq: headers[i].seq, error: 'header hash mismatch' };
+    if (i > 0 && headers[i].prev !== headers[i - 1].hash) return { ok: false, seq: headers[i].seq, error: 'broken link' };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  GENESIS,
+  canonicalJSON,
+  leafHash,
+  merkleRoot,
+  merkleProof,
+  rootFromPath,
+  batchHeader,
+  headerHash,
+  verifyProof,
+  verifyBatchChain
+};
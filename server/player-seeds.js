@@ -0,0 +1,119 @@
+/**
+ * PADDLA Player Seeds — per-player server/client seed pairs
+ *
+ * Each player (an opaque playerId the client keeps secret) has an active pair:
+ *   serverSeed (hidden, SHA-256 published), clientSeed (player-chosen), nonce (+1 per game)
+ * plus the hash of the next server seed, so the pair after a rotation is committed too.
+ * The server seed is revealed only when the player rotates the pair; every game played on
+ * it can then be replayed. Revealed seeds are kept by hash so trail records can be completed.
+ *
+ * Backed by the session store: namespaces 'player' and 'revealedSeed' (kept forever). A pair
+ * expires after PLAYER_TTL of inactivity only while no game has been played on it; once one
+ * has, it is kept until the player rotates it, or that game's seed could never be revealed.
+ */
+
+const crypto = require('crypto');
+
+const PLAYER_TTL = 30 * 24 * 60 * 60 * 1000;
+const PLAYER_ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+function sha256(str) {
+  return crypto.createHash('sha256').update(str).digest('hex');
+}
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function newPair(serverSeed, clientSeed) {
+  const nextServerSeed = randomHex(32);
+  return {
+    serverSeed,
+    serverSeedHash: sha256(serverSeed),
+    clientSeed,
+    nonce: 0,
+    nextServerSeed,
+    nextServerSeedHash: sha256(nextServerSeed),
+    createdAt: Date.now()
+  };
+}
+
+class PlayerSeeds {
+  constructor(sessions) {
+    this.sessions = sessions;
+  }
+
+  static validId(playerId) {
+    return typeof playerId === 'string' && PLAYER_ID_RE.test(playerId);
+  }
+
+  // Public alias for a playerId — safe to publish in trail records
+  static playerHash(playerId) {
+    return sha256('player:' + playerId).substring(0, 16);
+  }
+
+  // Active pair, created on first use
+  active(playerId) {
+    let pair = this.sessions.get('player', playerId);
+    if (!pair) {
+      pair = newPair(randomHex(32), randomHex(8));
+      this.sessions.set('player', playerId, pair, PLAYER_TTL);
+    }
+    return pair;
+  }
+
+  // What the player may see: never the active server seed
+  view(pair) {
+    return {
+      serverSeedHash: pair.serverSeedHash,
+      clientSeed: pair.clientSeed,
+      nonce: pair.nonce,
+      nextServerSeedHash: pair.nextServerSeedHash,
+      createdAt: pair.createdAt
+    };
+  }
+
+  // Seeds for the player's next game; bumps the nonce
+  take(playerId) {
+    const pair = { ...this.active(playerId) };
+    pair.nonce++;
+    this.sessions.set('player', playerId, pair);
+    return { serverSeed: pair.serverSeed, commitment: pair.serverSeedHash, clientSeed: pair.clientSeed, nonce: pair.nonce };
+  }
+
+  // Reveals the active server seed and promotes the pre-committed next one
+  rotate(playerId, clientSeed) {
+    const old = this.active(playerId);
+    this.sessions.set('revealedSeed', old.serverSeedHash, old.serverSeed);
+    const pair = newPair(old.nextServerSeed, clientSeed || randomHex(8));
+    this.sessions.set('player', playerId, pair, PLAYER_TTL);
+    return {
+      previous: {
+        serverSeed: old.serverSeed,
+        serverSeedHash: old.serverSeedHash,
+        clientSeed: old.clientSeed,
+        nonce: old.nonce
+      },
+      active: this.view(pair)
+    };
+  }
+
+  // Pairs saved before played pairs were kept still carry an expiry; drops it from them.
+  // Returns how many were kept.
+  restore() {
+    let kept = 0;
+    for (const [playerId, pair] of this.sessions.entries('player')) {
+      if (pair.nonce > 0) {
+        this.sessions.set('player', playerId, pair);
+        kept++;
+      }
+    }
+    return kept;
+  }
+
+  revealedSeed(serverSeedHash) {
+    return this.sessions.get('revealedSeed', serverSeedHash);
+  }
+}
+
+module.exports = { PlayerSeeds };
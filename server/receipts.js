@@ -0,0 +1,78 @@
+/**
+ * PADDLA Signed Receipts — Ed25519 signatures over verified results
+ *
+ * Every verified finish carries a receipt the server signed, so a player can show anyone
+ * that the server accepted the result:
+ *   receipt   = { v, source, gameId, commitment, serverSeed, numBalls, betPerBall,
+ *                 inputLogHash, totalWin, engineVersion, rulesetHash, ts, keyId }
+ *   signature = base64 Ed25519 signature over canonicalJSON(receipt) (see merkle.js)
+ * inputLogHash is the SHA-256 of canonicalJSON(inputLog) in the delta-encoded form the trail
+ * record stores. serverSeed is null while a per-player seed is still secret; the commitment
+ * binds it. rulesetHash (game receipts, engine v11+) names the rules the game was played
+ * under. keyId is the first 16 hex characters of SHA-256(raw public key).
+ *
+ * The key comes from RECEIPT_PRIVATE_KEY (PKCS#8 PEM) or RECEIPT_KEY_FILE; when neither holds
+ * one, a key is generated and written to the file, so receipts stay valid across restarts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalJSON } = require('./merkle');
+
+const RECEIPT_VERSION = 1;
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the 32 raw key bytes follow it
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function inputLogHash(inputLog) {
+  return crypto.createHash('sha256').update(canonicalJSON(inputLog)).digest('hex');
+}
+
+function publicKeyFromHex(hex) {
+  return crypto.createPublicKey({ key: Buffer.concat([SPKI_PREFIX, Buffer.from(hex, 'hex')]), format: 'der', type: 'spki' });
+}
+
+class ReceiptSigner {
+  constructor(privateKeyPem) {
+    this.privateKey = crypto.createPrivateKey(privateKeyPem);
+    if (this.privateKey.asymmetricKeyType !== 'ed25519') throw new Error('Receipt signing key must be Ed25519');
+    const publicKey = crypto.createPublicKey(this.privateKey);
+    this.publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).subarray(SPKI_PREFIX.length).toString('hex');
+    this.publicKeyPem = publicKey.export({ format: 'pem', type: 'spki' });
+    this.keyId = crypto.createHash('sha256').update(Buffer.from(this.publicKeyHex, 'hex')).digest('hex').substring(0, 16);
+  }
+
+  // options: { privateKey: PEM string, keyFile }
+  static load({ privateKey, keyFile }) {
+    if (privateKey) return new ReceiptSigner(privateKey);
+    if (fs.existsSync(keyFile)) return new ReceiptSigner(fs.readFileSync(keyFile, 'utf8'));
+    const { privateKey: generated } = crypto.generateKeyPairSync('ed25519');
+    const pem = generated.export({ format: 'pem', type: 'pkcs8' });
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, pem, { mode: 0o600 });
+    console.log(`[RECEIPTS] Generated a new signing key in ${keyFile}`);
+    return new ReceiptSigner(pem);
+  }
+
+  // fields: everything in the receipt but v, keyId and inputLogHash; inputLog is hashed here
+  sign({ inputLog, ...fields }) {
+    const receipt = { v: RECEIPT_VERSION, ...fields, inputLogHash: inputLogHash(inputLog), keyId: this.keyId };
+    const signature = crypto.sign(null, Buffer.from(canonicalJSON(receipt), 'utf8'), this.privateKey).toString('base64');
+    return { receipt, signature };
+  }
+
+  publicInfo() {
+    return { alg: 'Ed25519', keyId: this.keyId, publicKey: this.publicKeyHex, pem: this.publicKeyPem };
+  }
+}
+
+// publicKeyHex: the 32-byte key from /pubkey, hex
+function verifyReceipt({ receipt, signature }, publicKeyHex) {
+  try {
+    return crypto.verify(null, Buffer.from(canonicalJSON(receipt), 'utf8'), publicKeyFromHex(publicKeyHex), Buffer.from(signature, 'base64'));
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { ReceiptSigner, inputLogHash, verifyReceipt };
@@ -0,0 +1,319 @@
+/**
+ * PADDLA Local Registrar — stand-in for registrar.uncloned.work, mounted at /registrar
+ *
+ * Serves the registrar API the clients were written against, so the whole product runs
+ * without the external service:
+ *   GET  /status            → { version, activeSessions, uvsVersions }
+ *   POST /session/new       { gameSeed, versions } → { accepted, negotiated, sessionId, regSeed }
+ *   POST /verify/paddla     { regSeed, gameSeed, inputLog, clientTotalWin, numBalls, betPerBall, mode,
+ *                             nickname?, playerId? (with nickname, when the server has no Firebase) }
+ *   GET  /trail/:id         → registrar trail record (replayable by index.html ?replay=<id>)
+ *   GET  /trail/roots, /trail/:id/proof → Merkle batches over that trail (trail-batches.js)
+ *   GET  /pubkey            → key that signs the receipts /verify/paddla returns (receipts.js)
+ *   GET  /verify.html?id=   → redirects to the client's trail replay
+ *   POST /simulate/paddla   { strategy, numGames, ballsPerGame, userId? } → RTP summary, charged
+ *                           to the caller's daily simulation quota (chargeSim)
+ *
+ * Seed derivation (UVS v1-v3, wire-identical): the client picks gameSeed, the registrar answers
+ * with a random regSeed, and serverSeed = hex(compute(gameSeed)) padded to 64 characters, where
+ * compute is the WASM function buildWasm(regSeed) generates. The registrar replays with engine
+ * v9 — the clients play registrar games on it.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { getEngine } = require('./engine');
+const validate = require('./validation');
+const { STRATEGY_NAMES } = require('./simulator');
+const { batchRoutes } = require('./trail-batches');
+const { ApiError, CODES, asyncRoute } = validate;
+
+const VERSION = '1.0-local';
+const UVS_VERSIONS = [1, 2, 3];
+const ENGINE_VERSION = 9;
+const SESSION_TTL = 60 * 60 * 1000;
+const MAX_SIM_GAMES = 500;
+const MAX_SIM_BALLS_PER_GAME = 200;
+const MODE_RE = /^[A-Za-z]{1,32}$/;
+
+// ===== WASM =====
+// Byte-identical to buildWasm() in client/index.html and client/mobile.html: a player rebuilds
+// the module from regSeed and checks the registrar computed the same serverSeed.
+
+class LCG {
+  constructor(seed) { this.s = seed >>> 0; }
+  next() { this.s = (Math.imul(this.s, 1664525) + 1013904223) >>> 0; return this.s; }
+  range(lo, hi) { return lo + (this.next() % (hi - lo)); }
+}
+
+const BINARY_OPS = [0x6a, 0x6b, 0x6c, 0x73];  // add, sub, mul, xor
+const SHIFT_OPS = [0x76, 0x77, 0x78];         // shr_u, rotl, rotr
+
+function uleb128(n) {
+  const o = [];
+  do { let b = n & 0x7f; n >>>= 7; if (n) b |= 0x80; o.push(b); } while (n);
+  return o;
+}
+
+function sleb128(n) {
+  n = n | 0;
+  const o = [];
+  let more = true;
+  while (more) {
+    let b = n & 0x7f;
+    n >>= 7;
+    if ((n === 0 && !(b & 0x40)) || (n === -1 && (b & 0x40))) more = false; else b |= 0x80;
+    o.push(b);
+  }
+  return o;
+}
+
+function buildWasm(regSeed) {
+  const lcg = new LCG(regSeed);
+  const n = lcg.range(4, 7);
+  const steps = Array.from({ length: n }, () => ({
+    shiftOp: SHIFT_OPS[lcg.range(0, SHIFT_OPS.length)],
+    shiftAmt: 8 + lcg.range(0, 8),
+    binOp: BINARY_OPS[lcg.range(0, BINARY_OPS.length)],
+    constVal: (lcg.next() | 1) | 0
+  }));
+  const body = [0x00, 0x20, 0x00];
+  for (const s of steps) {
+    body.push(0x41, ...sleb128(s.shiftAmt)); body.push(s.shiftOp);
+    body.push(0x41, ...sleb128(s.constVal)); body.push(s.binOp);
+  }
+  body.push(0x0b);
+  const typeBody = [0x01, 0x60, 0x01, 0x7f, 0x01, 0x7f];
+  const typeSec = [0x01, ...uleb128(typeBody.length), ...typeBody];
+  const funcBody = [0x01, 0x00];
+  const funcSec = [0x03, ...uleb128(funcBody.length), ...funcBody];
+  const expName = Array.from('compute').map(c => c.charCodeAt(0));
+  const expBody = [0x01, ...uleb128(expName.length), ...expName, 0x00, 0x00];
+  const expSec = [0x07, ...uleb128(expBody.length), ...expBody];
+  const bodyWLen = [...uleb128(body.length), ...body];
+  const codeBody = [0x01, ...bodyWLen];
+  const codeSec = [0x0a, ...uleb128(codeBody.length), ...codeBody];
+  return {
+    bytes: new Uint8Array([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, ...typeSec, ...funcSec, ...expSec, ...codeSec]),
+    steps
+  };
+}
+
+// The module is a few dozen bytes; synchronous compilation is fine
+function registrarSeed(regSeed, gameSeed) {
+  const instance = new WebAssembly.Instance(new WebAssembly.Module(buildWasm(regSeed).bytes));
+  const wasmResult = instance.exports.compute(gameSeed) >>> 0;
+  return { wasmResult, serverSeed: wasmResult.toString(16).padStart(64, '0') };
+}
+
+// ===== ROUTES =====
+
+function uint32(value, field) {
+  return validate.requireInteger(value, field, 0, 0xFFFFFFFF);
+}
+
+function mode(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || !MODE_RE.test(value)) {
+    throw new ApiError(400, CODES.INVALID_FORMAT, 'mode must be 1-32 letters', 'mode');
+  }
+  return value;
+}
+
+// Delta-encode a replayable inputLog into the registrar trail format: { t, target } where
+// t = tick - 1 indexes the dense per-tick array index.html's trail replay rebuilds
+function registrarInputLog(inputLog) {
+  const out = [];
+  let last = null;
+  for (const e of inputLog) {
+    const k = e.target.x + ',' + e.target.y;
+    if (k !== last) { out.push({ t: e.tick - 1, target: e.target }); last = k; }
+  }
+  return out;
+}
+
+// options: { sessions, trail, batcher (TrailBatcher over trail), signer (ReceiptSigner),
+//            runJob(type, payload), simMaxBalls,
+//            chargeSim(req, body, balls) → refund() — takes balls from the caller's quota, throws
+//              ApiError when over,
+//            identify(req, body) → { player, nickname } | null — who played, for the leaderboard }
+function createRegistrar({ sessions, trail, batcher, signer, runJob, simMaxBalls, chargeSim, identify = async () => null }) {
+  const router = express.Router();
+  const sessionKey = (regSeed, gameSeed) => regSeed + ':' + gameSeed;
+  const verifying = new Set();  // session keys with a /verify/paddla in flight
+
+  router.get('/status', (req, res) => {
+    res.json({
+      status: 'ok',
+      version: VERSION,
+      activeSessions: sessions.entries('registrar').length,
+      uvsVersions: UVS_VERSIONS,
+      engineVersion: ENGINE_VERSION
+    });
+  });
+
+  // UVS version negotiation: the highest version both sides speak
+  router.post('/session/new', (req, res) => {
+    const body = validate.body(req);
+    const gameSeed = uint32(body.gameSeed, 'gameSeed');
+    const versions = body.versions === undefined ? [1] : body.versions;
+    if (!Array.isArray(versions) || versions.length > 16 || !versions.every(Number.isInteger)) {
+      throw new ApiError(400, CODES.INVALID_TYPE, 'versions must be an array of integers', 'versions');
+    }
+    const common = versions.filter(v => UVS_VERSIONS.includes(v));
+    if (common.length === 0) {
+      return res.json({ accepted: false, serverVersions: UVS_VERSIONS });
+    }
+    const regSeed = crypto.randomBytes(4).readUInt32BE(0);
+    const session = {
+      sessionId: crypto.randomUUID(),
+      regSeed,
+      gameSeed,
+      uvsVersion: Math.max(...common),
+      createdAt: Date.now(),
+      gameId: null
+    };
+    sessions.set('registrar', sessionKey(regSeed, gameSeed), session, SESSION_TTL);
+    res.json({
+      accepted: true,
+      negotiated: session.uvsVersion,
+      serverVersions: UVS_VERSIONS,
+      sessionId: session.sessionId,
+      regSeed
+    });
+  });
+
+  // Replays the game on the seed the registrar derived itself; a matching result is recorded
+  router.post('/verify/paddla', asyncRoute(async (req, res) => {
+    const body = validate.body(req);
+    const regSeed = uint32(body.regSeed, 'regSeed');
+    const gameSeed = uint32(body.gameSeed, 'gameSeed');
+    const key = sessionKey(regSeed, gameSeed);
+    const session = sessions.get('registrar', key);
+    if (!session) throw new ApiError(404, CODES.SESSION_NOT_FOUND, 'Unknown or expired registrar session', 'regSeed');
+    if (session.gameId) {
+      throw new ApiError(409, CODES.GAME_FINISHED, 'Session already verified', null, { gameId: session.gameId });
+    }
+    const numBalls = validate.numBalls(body.numBalls);
+    const betPerBall = validate.betPerBall(body.betPerBall);
+    const clientTotalWin = validate.finite(body.clientTotalWin, 'clientTotalWin');
+    const gameMode = mode(body.mode);
+    const maxTicks = numBalls * getEngine(ENGINE_VERSION).CONFIG.MAX_TICKS_PER_BALL;
+    const inputLog = validate.inputLog(body.inputLog, maxTicks);
+    // Claimed before the first await, so a concurrent request for the session cannot also pass
+    if (verifying.has(key)) throw new ApiError(409, CODES.GAME_SETTLING, 'Session is being verified', null);
+    verifying.add(key);
+    try {
+      const who = await identify(req, body);
+
+      const { wasmResult, serverSeed } = registrarSeed(regSeed, gameSeed);
+      const replayed = await runJob('replay', { engineVersion: ENGINE_VERSION, serverSeed, numBalls, betPerBall, inputLog });
+      const serverTotalWin = replayed.totalWin;
+
+      if (serverTotalWin !== clientTotalWin) {
+        console.warn(`[REGISTRAR] Mismatch for session ${session.sessionId}: client=${clientTotalWin}, server=${serverTotalWin}`);
+        return res.json({
+          ok: false,
+          sessionId: session.sessionId,
+          serverTotalWin,
+          clientTotalWin,
+          error: 'Result mismatch - game not verified'
+        });
+      }
+
+      const gameId = crypto.randomUUID();
+      const compact = registrarInputLog(inputLog);
+      const ts = Date.now();
+      const { receipt, signature } = signer.sign({
+        source: 'registrar',
+        gameId,
+        commitment: null,               // no commitment: the client checks serverSeed by rebuilding the WASM
+        serverSeed,
+        numBalls,
+        betPerBall,
+        inputLog: compact,
+        totalWin: serverTotalWin,
+        engineVersion: ENGINE_VERSION,
+        ts
+      });
+      await trail.save({
+        gameId,
+        sessionId: session.sessionId,
+        uvsVersion: session.uvsVersion,
+        regSeed,
+        gameSeed,
+        wasmResult,
+        serverSeed,
+        engineVersion: ENGINE_VERSION,
+        numBalls,
+        betPerBall,
+        mode: gameMode,
+        player: who ? who.player : null,      // leaderboard identity; null for anonymous games
+        nickname: who ? who.nickname : null,
+        totalWin: serverTotalWin,
+        inputLog: compact,              // [{ t, target }], t = tick - 1
+        inputLen: replayed.ticks,
+        ts
+      });
+      sessions.set('registrar', key, { ...session, gameId }, SESSION_TTL);
+      console.log(`[REGISTRAR] Verified ${gameId.substring(0, 8)}... (${numBalls} balls, win ${serverTotalWin})`);
+
+      res.json({
+        ok: true,
+        gameId,
+        sessionId: session.sessionId,
+        serverTotalWin,
+        clientTotalWin,
+        serverSeed,
+        engineVersion: ENGINE_VERSION,
+        receipt,
+        signature
+      });
+    } finally {
+      verifying.delete(key);
+    }
+  }));
+
+  router.get('/pubkey', (req, res) => {
+    res.json(signer.publicInfo());
+  });
+
+  router.use('/trail', batchRoutes(batcher));
+
+  router.get('/trail/:id', asyncRoute(async (req, res) => {
+    const record = await trail.get(req.params.id);
+    if (!record) throw new ApiError(404, CODES.RECORD_NOT_FOUND, 'Record not found', 'id');
+    res.json(record);
+  }));
+
+  // The clients link verified games here; the game client replays them from the trail
+  router.get('/verify.html', (req, res) => {
+    const id = req.query.id;
+    if (typeof id !== 'string' || !id) throw new ApiError(400, CODES.REQUIRED, 'id is required', 'id');
+    res.redirect('/?replay=' + encodeURIComponent(id));
+  });
+
+  router.post('/simulate/paddla', asyncRoute(async (req, res) => {
+    const body = validate.body(req);
+    const strategy = validate.strategy(body.strategy, STRATEGY_NAMES);
+    const numGames = validate.requireInteger(body.numGames, 'numGames', 1, MAX_SIM_GAMES);
+    const ballsPerGame = validate.requireInteger(body.ballsPerGame, 'ballsPerGame', 1, MAX_SIM_BALLS_PER_GAME);
+    if (numGames * ballsPerGame > simMaxBalls) {
+      throw new ApiError(400, CODES.OUT_OF_RANGE, `numGames × ballsPerGame must not exceed ${simMaxBalls}`, 'numGames',
+        { maxBalls: simMaxBalls });
+    }
+    const refund = await chargeSim(req, body, numGames * ballsPerGame);
+    let result;
+    try {
+      result = await runJob('simulate', { strategy, numGames, ballsPerGame, betPerBall: 5 });
+    } catch (err) {
+      refund();  // a full pool, a timeout or a failed worker costs the caller nothing
+      throw err;
+    }
+    res.json({ ok: true, ...result });
+  }));
+
+  return router;
+}
+
+module.exports = { createRegistrar, buildWasm, registrarSeed, registrarInputLog };
@@ -0,0 +1,54 @@
+/**
+ * PADDLA Rulesets — the named game variants this server offers
+ *
+ * RULESETS_FILE is a JSON object of name → ruleset, each ruleset any subset of the engine's
+ * rules (engine/core.js RULESETS):
+ *   { "classic": {}, "gold-rush": { "config": { "GOLDEN_CHANCE": 0.03, "PROGRESSIVE_CAP": 3 } } }
+ * Every entry is resolved and checked by the engine at startup, so a bad file stops the
+ * server instead of failing games. 'classic' (the default ruleset) is always offered.
+ * /game/start picks one by name; games store the resolved ruleset and its hash, so a record
+ * replays under the same rules even after the file changes.
+ */
+
+const fs = require('fs');
+
+class Rulesets {
+  // engine: a live engine with resolveRuleset/rulesetHash; defaultName: used when a game names none
+  constructor(engine, { file = null, defaultName = 'classic' } = {}) {
+    const defs = { classic: {} };
+    if (file) {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`${file} must hold a JSON object of name → ruleset`);
+      }
+      Object.assign(defs, parsed);
+    }
+    this.entries = new Map();
+    for (const [name, def] of Object.entries(defs)) {
+      let ruleset;
+      try {
+        ruleset = engine.resolveRuleset(def);
+      } catch (e) {
+        throw new Error(`Ruleset ${name}: ${e.message}`);
+      }
+      this.entries.set(name, { name, hash: engine.rulesetHash(ruleset), ruleset });
+    }
+    if (!this.entries.has(defaultName)) throw new Error(`Default ruleset ${defaultName} is not defined`);
+    this.defaultName = defaultName;
+  }
+
+  names() {
+    return [...this.entries.keys()];
+  }
+
+  // { name, hash, ruleset }; the default one for undefined
+  get(name = this.defaultName) {
+    return this.entries.get(name) || null;
+  }
+
+  list() {
+    return [...this.entries.values()].map(e => ({ ...e, default: e.name === this.defaultName }));
+  }
+}
+
+module.exports = { Rulesets };
@@ -0,0 +1,90 @@
+/**
+ * PADDLA Seed Chain — pre-committed server seeds
+ *
+ * One secret top seed is drawn at random and hashed down N times:
+ *   seed[N-1] = random,  seed[i] = SHA256(seed[i+1]),  anchor = SHA256(seed[0])
+ *
+ * Only the anchor is published up front. Links are consumed from seed[0] upwards, so
+ * SHA256(seed[i]) is the link used before it — revealing seed[i] lets anyone walk back to
+ * the anchor, but tells nothing about seed[i+1].
+ *
+ * A link is never played on directly: its commitment would then be the previous hour's
+ * seed, published while games on that seed may still be running. Each link yields the
+ * hour's server seed SHA256(link + ':server') (serverSeedOf), whose commitment tells
+ * nothing about any other link. The link itself is revealed with the retired seed, and
+ * ties it back to the anchor.
+ *
+ * Stream games keep their seed secret until they settle and then reveal it, so they cannot
+ * share the hour's seed: reveal-protocol games hand that out at start. Each one plays on
+ * HMAC-SHA256(link, 'stream:' + clientSeed + ':' + nonce) (streamSeedOf) instead, which the
+ * hour's commitment fixes through the link and which reveals neither the link nor any other
+ * game's seed.
+ *
+ * All seeds are hex strings and hashing is over the string, exactly like the commitment.
+ */
+
+const crypto = require('crypto');
+
+function sha256(str) {
+  return crypto.createHash('sha256').update(str).digest('hex');
+}
+
+class SeedChain {
+  // top = seed[length-1]; index = number of seeds already handed out
+  constructor({ top, length, index = 0 }) {
+    if (!top || !(length > 0)) throw new Error('Seed chain needs a top seed and a positive length');
+    this.top = top;
+    this.length = length;
+    this.index = index;
+    this.seeds = new Array(length);
+    this.seeds[length - 1] = top;
+    for (let i = length - 2; i >= 0; i--) this.seeds[i] = sha256(this.seeds[i + 1]);
+    this.anchor = sha256(this.seeds[0]);
+  }
+
+  // The server seed played during a link's hour
+  static serverSeedOf(link) {
+    return sha256(link + ':server');
+  }
+
+  // The seed of one stream game played during a link's hour
+  static streamSeedOf(link, clientSeed, nonce) {
+    return crypto.createHmac('sha256', link).update(`stream:${clientSeed}:${nonce}`).digest('hex');
+  }
+
+  static generate(length) {
+    return new SeedChain({ top: crypto.randomBytes(32).toString('hex'), length });
+  }
+
+  get exhausted() {
+    return this.index >= this.length;
+  }
+
+  // Hands out the next unused link
+  next() {
+    if (this.exhausted) throw new Error('Seed chain exhausted');
+    return this.seeds[this.index++];
+  }
+
+  // Seeds [0, count) — callers decide how many are safe to publish
+  revealed(count) {
+    return this.seeds.slice(0, Math.max(0, Math.min(count, this.index)));
+  }
+
+  // What is persisted; the rest is recomputed from the top seed
+  toJSON() {
+    return { top: this.top, length: this.length, index: this.index };
+  }
+}
+
+// Checks that links[0..] are consecutive seeds of the chain published as `anchor`
+function verifyChain(anchor, links) {
+  let expected = anchor;
+  for (const link of links) {
+    if (sha256(link) !== expected) return false;
+    expected = link;
+  }
+  return true;
+}
+
+module.exports = { SeedChain, verifyChain };
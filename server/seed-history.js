@@ -0,0 +1,118 @@
+/**
+ * PADDLA Seed History — every retired hourly server seed, revealed
+ *
+ * A seed is retired when it leaves the grace window: two rotations after it became the
+ * commitment, once no new game may start on it. The entry is then public:
+ *   { commitment, serverSeed, link, activeFrom, activeUntil, retiredAt, gameIds }
+ * activeFrom/activeUntil is when it was the current commitment; games may still start on it
+ * until retiredAt. Anyone holding the commitment checks SHA256(serverSeed) === commitment, and
+ * SHA256(link + ':server') === serverSeed ties it to the seed chain (see seed-chain.js).
+ *
+ * Same interface on every backend:
+ *   save(entry)             → stores a retired seed (keyed by commitment)
+ *   get(commitment)         → entry or null
+ *   list({ limit, cursor }) → { items, nextCursor }, newest first; cursor is an activeFrom
+ *
+ * Backends: memory (tests), file (append-only JSONL), firestore (paddla_seed_history).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFirestore } = require('./firestore');
+
+class MemorySeedHistoryStore {
+  constructor() {
+    this.backend = 'memory';
+    this.entries = new Map();  // commitment → entry
+  }
+
+  async save(entry) {
+    this.entries.set(entry.commitment, entry);
+  }
+
+  async get(commitment) {
+    return this.entries.get(commitment) || null;
+  }
+
+  // Rotations run one at a time, so no two seeds share an activeFrom
+  async list({ limit = 50, cursor = null } = {}) {
+    const all = [...this.entries.values()]
+      .filter(e => cursor === null || e.activeFrom < cursor)
+      .sort((a, b) => b.activeFrom - a.activeFrom);
+    const items = all.slice(0, limit);
+    return { items, nextCursor: all.length > limit ? items[items.length - 1].activeFrom : null };
+  }
+}
+
+// One line per retired seed, replayed into memory on startup
+class FileSeedHistoryStore extends MemorySeedHistoryStore {
+  constructor(file) {
+    super();
+    this.backend = 'file';
+    this.file = file;
+    this.writes = Promise.resolve();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          this.entries.set(entry.commitment, entry);
+        } catch (e) {
+          console.warn(`[SEEDS] Skipping corrupt line in ${file}: ${e.message}`);
+        }
+      }
+    }
+  }
+
+  async save(entry) {
+    this.writes = this.writes.then(() => fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n'));
+    await this.writes;
+    this.entries.set(entry.commitment, entry);
+  }
+}
+
+class FirestoreSeedHistoryStore {
+  constructor(db, collection = 'paddla_seed_history') {
+    this.backend = 'firestore';
+    this.col = db.collection(collection);
+  }
+
+  async save(entry) {
+    await this.col.doc(entry.commitment).set(entry);
+  }
+
+  async get(commitment) {
+    const doc = await this.col.doc(commitment).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async list({ limit = 50, cursor = null } = {}) {
+    let q = this.col.orderBy('activeFrom', 'desc');
+    if (cursor !== null) q = q.where('activeFrom', '<', cursor);
+    const snap = await q.limit(limit + 1).get();
+    const items = snap.docs.slice(0, limit).map(d => d.data());
+    return { items, nextCursor: snap.docs.length > limit ? items[items.length - 1].activeFrom : null };
+  }
+}
+
+// options: { backend: 'firestore'|'file'|'memory'|'auto', file, collection }
+function createSeedHistoryStore(options = {}) {
+  const backend = options.backend || 'auto';
+  if (backend === 'memory') return new MemorySeedHistoryStore();
+  if (backend === 'file') return new FileSeedHistoryStore(options.file);
+  if (backend === 'firestore' || backend === 'auto') {
+    const db = getFirestore();
+    if (db) return new FirestoreSeedHistoryStore(db, options.collection);
+    if (backend === 'firestore') throw new Error('TRAIL_BACKEND=firestore but Firestore is unavailable');
+    return new FileSeedHistoryStore(options.file);
+  }
+  throw new Error(`Unknown seed history backend: ${backend}`);
+}
+
+module.exports = {
+  MemorySeedHistoryStore,
+  FileSeedHistoryStore,
+  FirestoreSeedHistoryStore,
+  createSeedHistoryStore
+};
@@ -0,0 +1,180 @@
+/**
+ * PADDLA Session Storage — durable server state that must survive a restart or deploy
+ * (in-flight games, commitment generations, nonces, ...).
+ *
+ * Namespaced key/value store. Reads are synchronous from an in-memory cache; writes update
+ * the cache immediately and are persisted in order in the background.
+ *   load()                        → restores the cache from the backend (call once at startup)
+ *   get(ns, key)                  → value or undefined (expired entries are invisible)
+ *   set(ns, key, value, ttlMs)    → stores value; ttlMs = optional time-to-live
+ *   delete(ns, key)
+ *   entries(ns)                   → [[key, value], ...] of live entries
+ *   sweep()                       → drops expired entries from cache and backend, returns count
+ *   flush()                       → resolves when every pending write is persisted
+ *
+ * Backends: memory (tests), file (append-only JSONL, compacted on load), firestore (paddla_sessions).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFirestore } = require('./firestore');
+
+const COLLECTION = 'paddla_sessions';
+
+class MemorySessionStore {
+  constructor() {
+    this.backend = 'memory';
+    this.data = new Map();  // "ns\u0000key" → { ns, key, value, expiresAt }
+    this.writes = Promise.resolve();
+  }
+
+  static id(ns, key) {
+    return ns + '\u0000' + key;
+  }
+
+  async load() {}
+
+  isLive(entry, now = Date.now()) {
+    return entry.expiresAt === null || entry.expiresAt > now;
+  }
+
+  get(ns, key) {
+    const entry = this.data.get(MemorySessionStore.id(ns, key));
+    return entry && this.isLive(entry) ? entry.value : undefined;
+  }
+
+  set(ns, key, value, ttlMs = null) {
+    const entry = { ns, key, value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+    this.data.set(MemorySessionStore.id(ns, key), entry);
+    this.enqueue(() => this.persistSet(entry));
+  }
+
+  delete(ns, key) {
+    if (!this.data.delete(MemorySessionStore.id(ns, key))) return;
+    this.enqueue(() => this.persistDelete(ns, key));
+  }
+
+  entries(ns) {
+    const now = Date.now();
+    const out = [];
+    for (const entry of this.data.values()) {
+      if (entry.ns === ns && this.isLive(entry, now)) out.push([entry.key, entry.value]);
+    }
+    return out;
+  }
+
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const entry of [...this.data.values()]) {
+      if (!this.isLive(entry, now)) {
+        this.delete(entry.ns, entry.key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  enqueue(write) {
+    this.writes = this.writes.then(write).catch(e => console.error(`[SESSION] Persist failed: ${e.message}`));
+  }
+
+  flush() {
+    return this.writes;
+  }
+
+  async persistSet() {}
+  async persistDelete() {}
+}
+
+// Append-only JSONL; the log is replayed and rewritten with only live entries on load.
+class FileSessionStore extends MemorySessionStore {
+  constructor(file) {
+    super();
+    this.backend = 'file';
+    this.file = file;
+  }
+
+  async load() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    if (fs.existsSync(this.file)) {
+      for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const op = JSON.parse(line);
+          if (op.op === 'set') this.data.set(MemorySessionStore.id(op.ns, op.key), op.entry);
+          else if (op.op === 'del') this.data.delete(MemorySessionStore.id(op.ns, op.key));
+        } catch (e) {
+          console.warn(`[SESSION] Skipping corrupt line in ${this.file}: ${e.message}`);
+        }
+      }
+    }
+    const now = Date.now();
+    for (const [id, entry] of this.data) {
+      if (!this.isLive(entry, now)) this.data.delete(id);
+    }
+    // Compact: one line per live entry
+    const lines = [...this.data.values()].map(entry => JSON.stringify({ op: 'set', ns: entry.ns, key: entry.key, entry }));
+    fs.writeFileSync(this.file, lines.length ? lines.join('\n') + '\n' : '');
+  }
+
+  persistSet(entry) {
+    return fs.promises.appendFile(this.file, JSON.stringify({ op: 'set', ns: entry.ns, key: entry.key, entry }) + '\n');
+  }
+
+  persistDelete(ns, key) {
+    return fs.promises.appendFile(this.file, JSON.stringify({ op: 'del', ns, key }) + '\n');
+  }
+}
+
+class FirestoreSessionStore extends MemorySessionStore {
+  constructor(db) {
+    super();
+    this.backend = 'firestore';
+    this.col = db.collection(COLLECTION);
+  }
+
+  static docId(ns, key) {
+    return encodeURIComponent(ns + ':' + key);
+  }
+
+  async load() {
+    const snap = await this.col.get();
+    const now = Date.now();
+    for (const doc of snap.docs) {
+      const entry = doc.data();
+      if (this.isLive(entry, now)) this.data.set(MemorySessionStore.id(entry.ns, entry.key), entry);
+      else await doc.ref.delete();
+    }
+  }
+
+  persistSet(entry) {
+    // JSON round-trip drops undefined fields, which Firestore rejects
+    return this.col.doc(FirestoreSessionStore.docId(entry.ns, entry.key)).set(JSON.parse(JSON.stringify(entry)));
+  }
+
+  persistDelete(ns, key) {
+    return this.col.doc(FirestoreSessionStore.docId(ns, key)).delete();
+  }
+}
+
+// options: { backend: 'firestore'|'file'|'memory'|'auto', file }
+function createSessionStore(options = {}) {
+  const backend = options.backend || 'auto';
+  if (backend === 'memory') return new MemorySessionStore();
+  if (backend === 'file') return new FileSessionStore(options.file);
+  if (backend === 'firestore' || backend === 'auto') {
+    const db = getFirestore();
+    if (db) return new FirestoreSessionStore(db);
+    if (backend === 'firestore') throw new Error('SESSION_BACKEND=firestore but Firestore is unavailable');
+    return new FileSessionStore(options.file);
+  }
+  throw new Error(`Unknown session backend: ${backend}`);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  FirestoreSessionStore,
+  createSessionStore
+};
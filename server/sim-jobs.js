@@ -0,0 +1,217 @@
+/**
+ * PADDLA Simulation Jobs — long strategy simulations run in the background
+ *
+ * submit(owner, params) queues a job; each job runs on its own worker thread (sim-worker.js),
+ * at most `workers` at once, so cancelling one is just terminating its thread.
+ *   queued → running → done | failed | cancelled
+ * Jobs live in the session store (namespace 'simJob') for JOB_TTL, results included, so they
+ * can be fetched after a restart. A job cut off by a restart comes back as failed.
+ * subscribe(jobId, fn) delivers every update — /sim/jobs/:id/events streams them as SSE.
+ *
+ * Quota: simulated balls per owner per UTC day (namespace 'simQuota'). Reserved in full at
+ * submit; balls a failed or cancelled job did not run are given back. The caller checks
+ * quota() and full before submit(), as index.js does with ledger balances. Simulations run
+ * inline elsewhere (the local registrar's /simulate/paddla) spend() from the same quota and
+ * are refunded when they fail.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'sim-worker.js');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_TTL = 7 * DAY_MS;
+const SAVE_INTERVAL_MS = 5000;  // progress is persisted at most this often
+const FINAL = ['done', 'failed', 'cancelled'];
+
+function utcDay(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+class SimJobs {
+  constructor(sessions, { workers = 1, maxQueue = 16, quotaBalls = 20000, script = WORKER_SCRIPT } = {}) {
+    this.sessions = sessions;
+    this.workers = Math.max(1, workers);
+    this.maxQueue = maxQueue;
+    this.quotaBalls = quotaBalls;
+    this.script = script;
+    this.jobs = new Map();       // jobId → job, while queued or running
+    this.queue = [];             // jobIds, FIFO
+    this.running = new Map();    // jobId → Worker
+    this.listeners = new Map();  // jobId → Set(fn)
+  }
+
+  static isFinal(status) {
+    return FINAL.includes(status);
+  }
+
+  // Jobs that were queued or running when the server stopped cannot resume
+  restore() {
+    let failed = 0;
+    for (const [, job] of this.sessions.entries('simJob')) {
+      if (SimJobs.isFinal(job.status)) continue;
+      this.finish(job, 'failed', { error: 'Interrupted by a server restart' });
+      failed++;
+    }
+    return failed;
+  }
+
+  get full() {
+    return this.queue.length >= this.maxQueue;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || this.sessions.get('simJob', jobId) || null;
+  }
+
+  // Newest first
+  list(owner, limit = 20) {
+    return this.sessions.entries('simJob')
+      .map(([, job]) => this.jobs.get(job.jobId) || job)
+      .filter(job => job.owner === owner)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  quota(owner) {
+    const used = this.sessions.get('simQuota', owner + ':' + utcDay()) || 0;
+    const resetsAt = Math.floor(Date.now() / DAY_MS + 1) * DAY_MS;
+    return { used, limit: this.quotaBalls, remaining: Math.max(0, this.quotaBalls - used), resetsAt };
+  }
+
+  charge(owner, day, balls) {
+    const key = owner + ':' + day;
+    const used = Math.max(0, (this.sessions.get('simQuota', key) || 0) + balls);
+    this.sessions.set('simQuota', key, used, 2 * DAY_MS);
+  }
+
+  // Returns a function that gives the balls back, for a run that failed
+  spend(owner, balls) {
+    const day = utcDay();
+    this.charge(owner, day, balls);
+    return () => this.charge(owner, day, -balls);
+  }
+
+  // params: { strategy, numGames, ballsPerGame, betPerBall, ruleset?, rulesetName? }
+  submit(owner, params) {
+    const now = Date.now();
+    const job = {
+      jobId: crypto.randomUUID(),
+      owner,
+      strategy: params.strategy,
+      numGames: params.numGames,
+      ballsPerGame: params.ballsPerGame,
+      betPerBall: params.betPerBall,
+      ruleset: params.ruleset || null,
+      rulesetName: params.rulesetName || null,
+      quotaDay: utcDay(now),
+      status: 'queued',
+      progress: { gamesDone: 0, numGames: params.numGames, avgRtp: null },
+      result: null,
+      error: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+    this.charge(owner, job.quotaDay, job.numGames * job.ballsPerGame);
+    this.jobs.set(job.jobId, job);
+    this.queue.push(job.jobId);
+    this.update(job, true);
+    this.dispatch();
+    return job;
+  }
+
+  dispatch() {
+    while (this.running.size < this.workers && this.queue.length > 0) {
+      this.start(this.jobs.get(this.queue.shift()));
+    }
+  }
+
+  start(job) {
+    const { strategy, numGames, ballsPerGame, betPerBall, ruleset } = job;
+    const worker = new Worker(this.script, { workerData: { strategy, numGames, ballsPerGame, betPerBall, ruleset } });
+    this.running.set(job.jobId, worker);
+    job.status = 'running';
+    job.startedAt = Date.now();
+    this.update(job, true);
+    worker.on('message', msg => {
+      if (msg.type === 'progress') {
+        job.progress = msg.progress;
+        this.update(job);
+      } else if (msg.type === 'done') {
+        this.finish(job, 'done', { result: msg.result, progress: { ...job.progress, gamesDone: numGames } });
+      } else if (msg.type === 'error') {
+        this.finish(job, 'failed', { error: msg.message });
+      }
+    });
+    worker.on('error', err => this.finish(job, 'failed', { error: err.message }));
+    worker.on('exit', () => this.finish(job, 'failed', { error: 'Simulation worker exited' }));
+  }
+
+  cancel(job) {
+    if (SimJobs.isFinal(job.status)) return false;
+    this.finish(this.jobs.get(job.jobId) || job, 'cancelled');
+    return true;
+  }
+
+  finish(job, status, fields = {}) {
+    if (SimJobs.isFinal(job.status)) return;
+    Object.assign(job, fields, { status, finishedAt: Date.now() });
+    this.queue = this.queue.filter(id => id !== job.jobId);
+    const worker = this.running.get(job.jobId);
+    if (worker) {
+      this.running.delete(job.jobId);
+      worker.removeAllListeners();
+      worker.on('error', () => {});
+      worker.terminate();
+    }
+    if (status !== 'done') {
+      const unrun = (job.numGames - job.progress.gamesDone) * job.ballsPerGame;
+      if (unrun > 0) this.charge(job.owner, job.quotaDay, -unrun);
+    }
+    this.update(job, true);
+    this.jobs.delete(job.jobId);
+    this.listeners.delete(job.jobId);
+    this.dispatch();
+  }
+
+  update(job, persist = false) {
+    const now = Date.now();
+    if (persist || now - (job.savedAt || 0) >= SAVE_INTERVAL_MS) {
+      job.savedAt = now;
+      this.sessions.set('simJob', job.jobId, job, JOB_TTL);
+    }
+    for (const fn of this.listeners.get(job.jobId) || []) fn(job);
+  }
+
+  // fn(job) on every update until the job ends; returns the unsubscribe function
+  subscribe(jobId, fn) {
+    if (!this.listeners.has(jobId)) this.listeners.set(jobId, new Set());
+    this.listeners.get(jobId).add(fn);
+    return () => {
+      const set = this.listeners.get(jobId);
+      if (set) set.delete(fn);
+    };
+  }
+
+  // Public form: no owner or bookkeeping fields
+  view(job) {
+    const { owner, quotaDay, savedAt, ...rest } = job;
+    const position = job.status === 'queued' ? this.queue.indexOf(job.jobId) + 1 : undefined;
+    return { ...rest, position };
+  }
+
+  stats() {
+    return { workers: this.workers, running: this.running.size, queued: this.queue.length, maxQueue: this.maxQueue };
+  }
+
+  // Shutdown: running jobs stay non-final in the store and restore() fails them on the next start
+  async close() {
+    const workers = [...this.running.values()];
+    this.running.clear();
+    await Promise.all(workers.map(w => { w.removeAllListeners(); w.on('error', () => {}); return w.terminate(); }));
+  }
+}
+
+module.exports = { SimJobs };
@@ -0,0 +1,21 @@
+// PADDLA simulation worker — runs one job for sim-jobs.js and reports progress.
+// workerData: { strategy, numGames, ballsPerGame, betPerBall, ruleset }
+// Messages: { type: 'progress', progress } (throttled), then { type: 'done', result } or { type: 'error', message }
+
+const { parentPort, workerData } = require('worker_threads');
+const { simulate } = require('./simulator');
+
+const PROGRESS_MS = 250;
+
+let lastReport = 0;
+try {
+  const result = simulate(workerData, progress => {
+    const now = Date.now();
+    if (now - lastReport < PROGRESS_MS && progress.gamesDone < progress.numGames) return;
+    lastReport = now;
+    parentPort.postMessage({ type: 'progress', progress });
+  });
+  parentPort.postMessage({ type: 'done', result });
+} catch (e) {
+  parentPort.postMessage({ type: 'error', message: e.message });
+}
@@ -0,0 +1,117 @@
+/**
+ * PADDLA Strategy Simulator — server-side port of the AI strategies in client/sim.html
+ *
+ *   simulate({ strategy, numGames, ballsPerGame, betPerBall, ruleset? }, onProgress?) → RTP summary
+ * Every game runs on a fresh random seed with fresh strategy state, on the live engine, under
+ * ruleset (any subset of the rules, see engine/core.js; the default rules when absent).
+ * onProgress({ gamesDone, numGames, avgRtp }) is called after each game.
+ */
+
+const crypto = require('crypto');
+const { getEngine, ENGINE_VERSION } = require('./engine');
+
+function clamp(v, lo, hi) { return Math.max(lo, Math.min(hi, v)); }
+
+// Each factory returns a per-game strategy: (state) → {x, y}. Kept in step with sim.html.
+const STRATEGIES = {
+  stationary(B) {
+    const x = B.MIN_X + Math.random() * (B.MAX_X - B.MIN_X);
+    const y = B.MIN_Y + Math.random() * (B.MAX_Y - B.MIN_Y);
+    return () => ({ x, y });
+  },
+  hunter(B) {
+    return (state) => {
+      let target = null, best = -Infinity;
+      for (const b of state.balls) {
+        if (!b.alive) continue;
+        const score = (b.dy < 0 ? 100 : 0) + b.value * 10 - b.y;
+        if (score > best) { best = score; target = b; }
+      }
+      return target
+        ? { x: clamp(target.x, B.MIN_X, B.MAX_X), y: clamp(target.y + 0.8, B.MIN_Y, B.MAX_Y) }
+        : { x: B.START_X, y: B.MAX_Y - 0.5 };
+    };
+  },
+  sniper(B) {
+    return (state) => {
+      let target = null, best = -Infinity;
+      for (const b of state.balls) {
+        if (!b.alive) continue;
+        const score = b.value * b.multiplier * 10 - b.y;
+        if (score > best) { best = score; target = b; }
+      }
+      if (target) {
+        const ox = target.x < 4.5 ? 0.5 : -0.5;
+        return { x: clamp(target.x + ox, B.MIN_X, B.MAX_X), y: clamp(target.y + 0.3, B.MIN_Y, B.MAX_Y) };
+      }
+      return { x: 4.5, y: 2.0 };
+    };
+  },
+  // Imitates a person: reaction delay, occasional distraction, sticky target choice
+  humanSim(B) {
+    let targetBall = null, targetX = B.START_X, targetY = B.START_Y;
+    let reactionDelay = 0, distracted = false, lastSwitch = 0;
+    return (state) => {
+      const now = state.tickCount;
+      if (reactionDelay > 0) { reactionDelay--; return { x: targetX, y: targetY }; }
+      if (distracted && now - lastSwitch < 30) return { x: targetX, y: targetY };
+      if (Math.random() < 0.02) {
+        distracted = true; lastSwitch = now; reactionDelay = 5 + Math.floor(Math.random() * 10);
+        return { x: targetX, y: targetY };
+      }
+      let best = null, bestScore = -Infinity;
+      for (const b of state.balls) {
+        if (!b.alive) continue;
+        const score = b.value * b.multiplier * 10 + (b.dy < 0 ? 50 : 0) - b.y * 2;
+        if (score > bestScore) { bestScore = score; best = b; }
+      }
+      if (best && (!targetBall || targetBall.id !== best.id)) {
+        targetBall = best; lastSwitch = now; reactionDelay = 3 + Math.floor(Math.random() * 8);
+      }
+      if (targetBall && targetBall.alive) {
+        targetX = clamp(targetBall.x, B.MIN_X, B.MAX_X);
+        targetY = clamp(targetBall.y + 0.5, B.MIN_Y, B.MAX_Y);
+      }
+      return { x: targetX, y: targetY };
+    };
+  }
+};
+
+const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+function simulate({ strategy, numGames, ballsPerGame, betPerBall = 5, ruleset = null }, onProgress) {
+  if (!STRATEGIES[strategy]) throw new Error(`Unknown strategy: ${strategy}`);
+  const engine = getEngine(ENGINE_VERSION);
+  const rules = engine.resolveRuleset(ruleset);
+  const bet = ballsPerGame * betPerBall;
+  const maxTicks = ballsPerGame * engine.CONFIG.MAX_TICKS_PER_BALL;
+  const started = Date.now();
+  const rtps = [];
+  let totalWin = 0;
+
+  for (let g = 0; g < numGames; g++) {
+    const seed = crypto.randomBytes(32).toString('hex');
+    const state = engine.createInitialState(seed, ballsPerGame, betPerBall, { ruleset: rules });
+    const strat = STRATEGIES[strategy](rules.bumper);
+    while (!state.finished && state.tickCount < maxTicks) engine.tick(state, strat(state));
+    totalWin += state.totalWin;
+    rtps.push(state.totalWin / bet * 100);
+    if (onProgress) onProgress({ gamesDone: g + 1, numGames, avgRtp: totalWin / ((g + 1) * bet) * 100 });
+  }
+
+  const avgRtp = totalWin / (numGames * bet) * 100;
+  const stdDev = Math.sqrt(rtps.reduce((s, r) => s + (r - avgRtp) ** 2, 0) / rtps.length);
+  return {
+    strategy, numGames, ballsPerGame, betPerBall,
+    engineVersion: ENGINE_VERSION,
+    rulesetHash: engine.rulesetHash(rules),
+    totalBet: numGames * bet,
+    totalWin,
+    avgRtp, stdDev,
+    min: Math.min(...rtps),
+    max: Math.max(...rtps),
+    elapsed: (Date.now() - started) / 1000   // seconds
+  };
+}
+
+module.exports = { STRATEGY_NAMES, simulate };
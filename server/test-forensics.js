@@ -0,0 +1,39 @@
+// PADDLA Divergence Forensics Test
+// Run: node server/test-forensics.js
+
+const { getEngine, stateHash, ENGINE_VERSION } = require('./engine');
+const { diagnose } = require('./forensics');
+
+console.log('=== PADDLA Divergence Forensics Test ===\n');
+
+const game = { engineVersion: ENGINE_VERSION, serverSeed: 'forensics_seed', clientSeed: 'player', nonce: 1, numBalls: 5, betPerBall: 5 };
+const engine = getEngine(game.engineVersion);
+
+// What an honest client simulated: inputLog, per-tick hashes and events
+const state = engine.createInitialState(game.serverSeed, game.numBalls, game.betPerBall,
+  { clientSeed: game.clientSeed, nonce: game.nonce });
+const tickHashes = [], events = [];
+while (!state.finished) {
+  const evs = engine.tick(state, { x: 4.5 + Math.sin(state.tickCount * 0.1) * 1.5, y: 2 });
+  tickHashes.push({ tick: state.tickCount, hash: stateHash(state) });
+  if (evs.length) events.push({ tick: state.tickCount, events: JSON.parse(JSON.stringify(evs)) });
+}
+const inputLog = state.inputLog;
+
+const honest = diagnose(game, inputLog, state.totalWin + 100, { tickHashes });
+console.log('reported-total PASS:', honest.kind === 'reported-total' && honest.divergenceTick === null &&
+  honest.serverTotalWin === state.totalWin);
+
+// Tampered: the uploaded inputLog moves the bumper from tick 200 on
+const tampered = inputLog.map(e => e.tick >= 200 ? { tick: e.tick, target: { x: 1, y: 1 } } : e);
+const split = diagnose(game, tampered, state.totalWin, { tickHashes });
+console.log('divergence PASS:', split.kind === 'divergence' && split.divergenceTick >= 200 &&
+  split.lastMatchingTick === split.divergenceTick - 1 && Array.isArray(split.server.rngDraws));
+
+// Float drift: same events, one spawn position off by far less than FLOAT_EPSILON
+const drifted = JSON.parse(JSON.stringify(events));
+drifted[0].events[0].ball.x += 1e-13;
+const drift = diagnose(game, inputLog, state.totalWin, { events: drifted });
+console.log('float-drift PASS:', drift.kind === 'float-drift' && drift.divergenceTick === drifted[0].tick);
+
+console.log('no-evidence PASS:', diagnose(game, inputLog, 0, {}).kind === 'no-evidence');
@@ -0,0 +1,59 @@
+// PADDLA Hash Chain Test — per-tick state hash chain, checkpoints in the inputLog
+// Run: node server/test-hash-chain.js
+
+const {
+  createInitialState, tick, replay, replayFrom, stateHash, hashCheckpoints,
+  serializeState, restoreState, replayRecord
+} = require('./engine');
+
+console.log('=== PADDLA Hash Chain Test ===\n');
+
+const SEED = 'c'.repeat(64);
+const OPTS = { clientSeed: 'chain-test', nonce: 2 };
+const target = t => ({ x: 2 + (t % 400) / 80, y: 1 + (t % 250) / 125 });
+
+function play(options) {
+  const state = createInitialState(SEED, 8, 5, { ...OPTS, ...options });
+  while (!state.finished) tick(state, target(state.tickCount));
+  return state;
+}
+
+// Opt-in only, and it never changes the game
+const plain = play({});
+const live = play({ hashChain: 100 });
+const stamps = hashCheckpoints(live.inputLog);
+console.log('opt-in PASS:', plain.hashChain === undefined && hashCheckpoints(plain.inputLog).length === 0 &&
+  live.totalWin === plain.totalWin && stateHash(live) === stateHash(plain) &&
+  /^[0-9a-f]{64}$/.test(live.hashChain.head) && live.hashChain.every === 100);
+
+// Checkpoints every 100 ticks plus the last tick, the last one being the head
+const last = stamps[stamps.length - 1];
+console.log('checkpoints PASS:', stamps.length === Math.ceil(live.tickCount / 100) &&
+  stamps.slice(0, -1).every(e => e.tick % 100 === 0) && last.tick === live.tickCount &&
+  last.hash === live.hashChain.head);
+
+// A frozen engine replayed through the registry keeps the very same chain
+const record = {
+  engineVersion: 12, serverSeed: SEED, numBalls: 8, betPerBall: 5, ...OPTS,
+  inputLog: live.inputLog.map(e => ({ tick: e.tick, target: e.target }))
+};
+const frozen = replayRecord(record, { hashChain: 100 });
+console.log('frozen engine PASS:', frozen.hashChain.head === live.hashChain.head &&
+  hashCheckpoints(frozen.inputLog).map(e => e.hash).join() === stamps.map(e => e.hash).join() &&
+  replayRecord(record).hashChain === undefined);
+
+// One different input: checkpoints before it still agree, every one after it differs
+const moved = record.inputLog.map(e => (e.tick === 450 ? { tick: 450, target: { x: 8, y: 4 } } : e));
+const other = hashCheckpoints(replayRecord({ ...record, inputLog: moved }, { hashChain: 100 }).inputLog);
+const byTick = new Map(other.map(e => [e.tick, e.hash]));
+console.log('divergence PASS:', stamps.filter(e => e.tick < 450).every(e => byTick.get(e.tick) === e.hash) &&
+  stamps.filter(e => e.tick >= 450).every(e => byTick.get(e.tick) !== e.hash));
+
+// The chain travels in snapshots and carries on after a restore
+const half = createInitialState(SEED, 8, 5, { ...OPTS, hashChain: 100 });
+while (half.tickCount < 700) tick(half, target(half.tickCount));
+const resumed = replayFrom(restoreState(serializeState(half)), live.inputLog);
+const v9 = replayRecord({ serverSeed: SEED, numBalls: 4, betPerBall: 5, inputLog: [] }, { hashChain: true });
+console.log('snapshot PASS:', resumed.hashChain.head === live.hashChain.head &&
+  replay(SEED, 8, live.inputLog, 5, { ...OPTS, hashChain: 100 }).hashChain.head === live.hashChain.head &&
+  v9.engineVersion === 9 && v9.hashChain.every === 600 && hashCheckpoints(v9.inputLog).length > 0);
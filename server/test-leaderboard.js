@@ -0,0 +1,55 @@
+// PADDLA Leaderboard Test — windows, metrics, bet tiers, anonymous games, caching
+// Run: node server/test-leaderboard.js
+
+const { MemoryTrailStore } = require('./trail-store');
+const { Leaderboard } = require('./leaderboard');
+
+console.log('=== PADDLA Leaderboard Test ===\n');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = 100 * DAY;
+
+function game(gameId, player, numBalls, betPerBall, totalWin, ago, nickname = null) {
+  return { gameId, player, nickname, numBalls, betPerBall, totalWin, ts: now - ago, serverSeed: 's', inputLog: [] };
+}
+
+(async () => {
+  const trail = new MemoryTrailStore();
+  const registrarTrail = new MemoryTrailStore();
+  await trail.save(game('g1', 'alice', 100, 5, 900, 1000));            // rtp 180%, today
+  await trail.save(game('g2', 'bob', 10, 5, 500, 2000));               // rtp 1000% but bet 50 < minBet
+  await trail.save(game('g3', 'bob', 200, 5, 1100, 3 * DAY));          // rtp 110%, this week
+  await trail.save(game('g4', null, 100, 5, 5000, 1000));              // anonymous: never ranked
+  await registrarTrail.save(game('r1', 'carol', 100, 10, 1500, 8 * DAY, 'carol_x'));  // rtp 150%, last month
+  await registrarTrail.save(game('r2', 'alice', 100, 5, 300, 2 * DAY, 'alice_1'));    // rtp 60%
+
+  const board = new Leaderboard({ game: trail, registrar: registrarTrail }, { ttlMs: 1000 });
+  const q = (window, metric, extra = {}) => board.board({ window, metric, minBet: 500, limit: 10, ...extra }, now);
+
+  const daily = await q('daily', 'rtp');
+  const weekly = await q('weekly', 'rtp');
+  console.log('rtp windows PASS:', daily.entries.length === 1 && daily.entries[0].player === 'alice' && daily.entries[0].value === 180 &&
+    weekly.entries.map(e => e.player).join() === 'alice,bob' && weekly.entries[1].value === 110 && weekly.entries[1].games === 1);
+
+  const all = await q('all', 'rtp');
+  console.log('all-time PASS:', all.entries.map(e => e.player).join() === 'alice,carol,bob' && all.from === null &&
+    all.entries[1].nickname === 'carol_x' && all.entries[1].source === 'registrar' && all.entries[0].gameId === 'g1' &&
+    all.entries[0].nickname === 'alice_1' && all.players === 3);
+
+  // Biggest single win counts games below minBet; profit sums totalWin - bet
+  const win = await q('weekly', 'win');
+  const profit = await q('all', 'profit');
+  console.log('win/profit PASS:', win.entries.map(e => `${e.player}:${e.value}`).join() === 'bob:1100,alice:900' &&
+    win.minBet === null && profit.entries.map(e => `${e.player}:${e.value}`).join() === 'bob:550,carol:500,alice:200' &&
+    !('gameId' in profit.entries[0]));
+
+  const tier = await q('all', 'rtp', { betPerBall: 10 });
+  console.log('bet tier PASS:', tier.entries.length === 1 && tier.entries[0].player === 'carol' && tier.betPerBall === 10);
+
+  // Cached until ttlMs; limit applies to the cached board
+  await trail.save(game('g5', 'dave', 100, 5, 2000, 500));
+  const cached = await board.board({ window: 'daily', metric: 'rtp', minBet: 500, limit: 1 }, now + 500);
+  const fresh = await board.board({ window: 'daily', metric: 'rtp', minBet: 500, limit: 10 }, now + 1500);
+  console.log('cache PASS:', cached.entries.length === 1 && cached.entries[0].player === 'alice' && cached.players === 1 &&
+    fresh.entries[0].player === 'dave');
+})();
@@ -0,0 +1,57 @@
+// PADDLA Wallet Ledger Test — double-entry invariants, history paging, file reload
+// Run: node server/test-ledger.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Ledger, MemoryLedgerStore, FileLedgerStore, HOUSE } = require('./ledger');
+
+(async () => {
+  console.log('=== PADDLA Wallet Ledger Test ===\n');
+
+  const ledger = new Ledger(new MemoryLedgerStore(), { startingBalance: 100 });
+  const alice = Ledger.playerAccount('alice');
+  ledger.ensureAccount(alice);
+  ledger.ensureAccount(alice);
+  console.log('grant once PASS:', ledger.balance(alice) === 10000 && ledger.balance(HOUSE) === -10000);
+
+  ledger.bet(alice, 'g1', 25);
+  ledger.payout(alice, 'g1', 12.5);
+  ledger.bet(alice, 'g2', 25);
+  console.log('balance in cents PASS:', ledger.balance(alice) === 10000 - 2500 + 1250 - 2500);
+
+  let threw = false;
+  try { ledger.post('bet', [{ account: alice, amount: -100 }, { account: HOUSE, amount: 99 }]); } catch (e) { threw = true; }
+  console.log('unbalanced rejected PASS:', threw && ledger.txs.length === 4);
+
+  const page1 = ledger.history(alice, { limit: 3 });
+  const page2 = ledger.history(alice, { limit: 3, cursor: page1.nextCursor });
+  console.log('history paging PASS:', page1.items[0].type === 'bet' && page1.items[0].amount === -2500 &&
+    page2.items.length === 1 && page2.items[0].type === 'grant' && page2.nextCursor === null);
+
+  const report = ledger.reconcile();
+  console.log('reconcile PASS:', report.ok && report.openBets.length === 1 && report.openBets[0] === 'g2' &&
+    report.houseBalance === -report.playerLiability);
+
+  ledger.refund(alice, 'g2', 25);
+  const refunded = ledger.reconcile();
+  console.log('refund closes bet PASS:', refunded.ok && refunded.openBets.length === 0 &&
+    refunded.totals.refund === 2500 && ledger.balance(alice) === 10000 - 2500 + 1250);
+
+  ledger.balances.set(alice, 1);
+  console.log('reconcile catches drift PASS:', !ledger.reconcile().ok);
+
+  // File backend: append-only, reload rebuilds the same balances
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paddla-ledger-'));
+  const file = path.join(dir, 'ledger.jsonl');
+  const a = new Ledger(new FileLedgerStore(file));
+  await a.load();
+  a.ensureAccount(alice);
+  a.bet(alice, 'g1', 5);
+  await a.flush();
+  const b = new Ledger(new FileLedgerStore(file));
+  await b.load();
+  console.log('file reload PASS:', b.balance(alice) === 99500 && b.reconcile().ok);
+  console.log('file append-only PASS:', fs.readFileSync(file, 'utf8').trim().split('\n').length === 2);
+  fs.rmSync(dir, { recursive: true, force: true });
+})();
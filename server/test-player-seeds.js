@@ -0,0 +1,41 @@
+// PADDLA Player Seeds Test — per-player pairs, nonces and rotation
+// Run: node server/test-player-seeds.js
+
+const crypto = require('crypto');
+const { MemorySessionStore } = require('./session-store');
+const { PlayerSeeds } = require('./player-seeds');
+
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+
+console.log('=== PADDLA Player Seeds Test ===\n');
+
+const seeds = new PlayerSeeds(new MemorySessionStore());
+const alice = 'alice-000000', bob = 'bob-00000000';
+
+console.log('validId PASS:', PlayerSeeds.validId(alice) && !PlayerSeeds.validId('x') && !PlayerSeeds.validId('a/b../../c'));
+
+const view = seeds.view(seeds.active(alice));
+console.log('view hides seed PASS:', view.serverSeed === undefined && view.nextServerSeed === undefined && view.nonce === 0);
+
+const g1 = seeds.take(alice), g2 = seeds.take(alice);
+console.log('nonce increments PASS:', g1.nonce === 1 && g2.nonce === 2 && g1.serverSeed === g2.serverSeed);
+console.log('players independent PASS:', seeds.take(bob).serverSeed !== g1.serverSeed && seeds.active(bob).nonce === 1);
+
+const rotated = seeds.rotate(alice, 'lucky');
+console.log('rotate reveals PASS:', rotated.previous.serverSeed === g1.serverSeed && sha256(g1.serverSeed) === view.serverSeedHash);
+console.log('next was committed PASS:', rotated.active.serverSeedHash === view.nextServerSeedHash);
+console.log('new pair PASS:', rotated.active.clientSeed === 'lucky' && seeds.take(alice).nonce === 1);
+console.log('revealed lookup PASS:', seeds.revealedSeed(view.serverSeedHash) === g1.serverSeed &&
+  seeds.revealedSeed(rotated.active.serverSeedHash) === undefined);
+
+// A pair expires only while nothing was played on it: a played one waits to be revealed
+const store = new MemorySessionStore();
+const kept = new PlayerSeeds(store);
+const expiry = id => store.data.get(MemorySessionStore.id('player', id)).expiresAt;
+kept.active(alice);
+kept.take(bob);
+const unplayed = expiry(alice) !== null, played = expiry(bob) === null;
+kept.rotate(bob);
+const fresh = expiry(bob) !== null;
+store.set('player', alice, { ...kept.active(alice), nonce: 3 }, 1000);  // saved before played pairs were kept
+console.log('played pairs kept PASS:', unplayed && played && fresh && kept.restore() === 1 && expiry(alice) === null);
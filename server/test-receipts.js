@@ -0,0 +1,38 @@
+// PADDLA Signed Receipts Test — sign/verify, tampering, key persistence
+// Run: node server/test-receipts.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReceiptSigner, inputLogHash, verifyReceipt } = require('./receipts');
+
+console.log('=== PADDLA Signed Receipts Test ===\n');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paddla-receipts-'));
+const keyFile = path.join(dir, 'key.pem');
+const inputLog = [{ tick: 1, target: { x: 4.5, y: 2 } }, { tick: 40, target: { x: 3, y: 2.5 } }];
+const fields = {
+  source: 'game', gameId: 'game-1', commitment: 'c'.repeat(64), serverSeed: 's'.repeat(64),
+  numBalls: 10, betPerBall: 5, inputLog, totalWin: 42, engineVersion: 10, ts: 1700000000000
+};
+
+const signer = ReceiptSigner.load({ keyFile });
+const signed = signer.sign(fields);
+console.log('sign PASS:', verifyReceipt(signed, signer.publicKeyHex) && signed.receipt.keyId === signer.keyId &&
+  signed.receipt.inputLogHash === inputLogHash(inputLog) && !('inputLog' in signed.receipt));
+
+// Any changed field, or another key, fails
+const tampered = { ...signed, receipt: { ...signed.receipt, totalWin: 43 } };
+const other = ReceiptSigner.load({ keyFile: path.join(dir, 'other.pem') });
+console.log('tamper PASS:', !verifyReceipt(tampered, signer.publicKeyHex) && !verifyReceipt(signed, other.publicKeyHex) &&
+  !verifyReceipt({ ...signed, signature: 'AAAA' }, signer.publicKeyHex));
+
+// Key order does not change the hash (canonical JSON)
+console.log('canonical PASS:', inputLogHash([{ target: { y: 2, x: 4.5 }, tick: 1 }]) === inputLogHash([{ tick: 1, target: { x: 4.5, y: 2 } }]));
+
+// The generated key is kept: a restart signs with the same key; a PEM from the env wins
+const reloaded = ReceiptSigner.load({ keyFile });
+const fromEnv = ReceiptSigner.load({ privateKey: fs.readFileSync(path.join(dir, 'other.pem'), 'utf8'), keyFile });
+console.log('key persistence PASS:', reloaded.publicKeyHex === signer.publicKeyHex && fromEnv.keyId === other.keyId &&
+  verifyReceipt(reloaded.sign(fields), signer.publicKeyHex));
+fs.rmSync(dir, { recursive: true, force: true });
@@ -0,0 +1,37 @@
+// PADDLA Local Registrar Test — WASM seed derivation, trail encoding, simulator
+// Run: node server/test-registrar.js
+
+const { getEngine } = require('./engine');
+const { buildWasm, registrarSeed, registrarInputLog } = require('./registrar');
+const { simulate, STRATEGY_NAMES } = require('./simulator');
+
+console.log('=== PADDLA Local Registrar Test ===\n');
+
+(async () => {
+  // The browser instantiates asynchronously, the registrar synchronously: same result
+  const regSeed = 0xDEADBEEF, gameSeed = 4000000000;
+  const { instance } = await WebAssembly.instantiate(buildWasm(regSeed).bytes);
+  const browser = instance.exports.compute(gameSeed) >>> 0;
+  const { wasmResult, serverSeed } = registrarSeed(regSeed, gameSeed);
+  console.log('wasm seed PASS:', wasmResult === browser && serverSeed.length === 64 &&
+    parseInt(serverSeed.slice(-8), 16) === browser && registrarSeed(regSeed, gameSeed + 1).wasmResult !== wasmResult);
+
+  // Trail inputLog expands back (as index.html's ?replay= does) into the same game
+  const engine = getEngine(9);
+  const state = engine.createInitialState(serverSeed, 5, 5);
+  while (!state.finished) engine.tick(state, { x: 3 + Math.floor(state.tickCount / 300) % 3, y: 2 });
+  const comp = registrarInputLog(state.inputLog);
+  const dense = [];
+  let cur = null, ci = 0;
+  for (let i = 0; i < state.tickCount; i++) {
+    while (ci < comp.length && comp[ci].t === i) { cur = comp[ci].target; ci++; }
+    dense.push(cur);
+  }
+  const replay = engine.createInitialState(serverSeed, 5, 5);
+  for (let i = 0; !replay.finished && i < dense.length; i++) engine.tick(replay, dense[i]);
+  console.log('trail encoding PASS:', comp.length < state.inputLog.length && replay.totalWin === state.totalWin);
+
+  const sim = simulate({ strategy: 'sniper', numGames: 3, ballsPerGame: 10 });
+  console.log('simulate PASS:', STRATEGY_NAMES.length === 4 && sim.numGames === 3 && sim.totalBet === 150 &&
+    sim.min <= sim.avgRtp && sim.avgRtp <= sim.max);
+})();
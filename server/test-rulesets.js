@@ -0,0 +1,40 @@
+// PADDLA Rulesets Test — named variants from RULESETS_FILE, checked at startup
+// Run: node server/test-rulesets.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('./engine');
+const { Rulesets } = require('./rulesets');
+
+console.log('=== PADDLA Rulesets Test ===\n');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paddla-rulesets-'));
+const write = (name, content) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+};
+const throws = (fn, msg) => { try { fn(); return false; } catch (e) { return e.message.includes(msg); } };
+
+// Without a file only the default rules are offered
+const plain = new Rulesets(engine);
+console.log('default PASS:', plain.names().join() === 'classic' && plain.get().hash === engine.rulesetHash() &&
+  JSON.stringify(plain.get().ruleset) === JSON.stringify(engine.DEFAULT_RULESET) && plain.list()[0].default === true);
+
+// File entries are resolved over the defaults; the default name is configurable
+const file = write('rulesets.json', { 'gold-rush': { config: { GOLDEN_CHANCE: 0.03, PROGRESSIVE_CAP: 3 } } });
+const sets = new Rulesets(engine, { file, defaultName: 'gold-rush' });
+const gold = sets.get();
+console.log('file PASS:', sets.names().join() === 'classic,gold-rush' && gold.name === 'gold-rush' &&
+  gold.ruleset.config.PROGRESSIVE_CAP === 3 && gold.ruleset.config.FIELD === 9 &&
+  gold.hash === engine.rulesetHash({ config: { GOLDEN_CHANCE: 0.03, PROGRESSIVE_CAP: 3 } }) &&
+  sets.get('classic').hash === engine.rulesetHash() && sets.get('nope') === null);
+
+// A bad file stops startup, naming the entry
+console.log('invalid PASS:',
+  throws(() => new Rulesets(engine, { file: write('bad.json', { wild: { config: { SPEED: 5 } } }) }), 'Ruleset wild: Invalid ruleset') &&
+  throws(() => new Rulesets(engine, { file: write('list.json', [1]) }), 'JSON object') &&
+  throws(() => new Rulesets(engine, { defaultName: 'missing' }), 'Default ruleset missing'));
+
+fs.rmSync(dir, { recursive: true, force: true });
@@ -0,0 +1,38 @@
+// PADDLA Seed Chain Test
+// Run: node server/test-seed-chain.js
+
+const crypto = require('crypto');
+const { SeedChain, verifyChain } = require('./seed-chain');
+
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+
+console.log('=== PADDLA Seed Chain Test ===\n');
+
+const chain = SeedChain.generate(5);
+const used = [];
+while (!chain.exhausted) used.push(chain.next());
+
+console.log('anchor commits first seed PASS:', sha256(used[0]) === chain.anchor);
+console.log('each link hashes to the previous PASS:', used.slice(1).every((s, i) => sha256(s) === used[i]));
+console.log('last seed is the top PASS:', used[4] === chain.top);
+// The hour's server seed is derived from its link: its commitment reveals no other link
+const served = used.map(SeedChain.serverSeedOf);
+console.log('commitment hides previous link PASS:', served.every((s, i) =>
+  s !== used[i] && /^[0-9a-f]{64}$/.test(s) && (i === 0 || sha256(s) !== used[i - 1]) && !served.includes(sha256(s))));
+// Stream games each get their own seed: distinct per clientSeed and nonce, never the hour's
+const streamed = [['alice', 1], ['alice', 2], ['bob', 1]].map(([c, n]) => SeedChain.streamSeedOf(used[0], c, n));
+console.log('stream seeds per game PASS:', new Set(streamed).size === 3 && !streamed.includes(served[0]) &&
+  streamed.every(s => /^[0-9a-f]{64}$/.test(s)) && SeedChain.streamSeedOf(used[0], 'alice', 1) === streamed[0] &&
+  SeedChain.streamSeedOf(used[1], 'alice', 1) !== streamed[0]);
+console.log('verifyChain PASS:', verifyChain(chain.anchor, used) && !verifyChain(chain.anchor, [used[1]]));
+
+let threw = false;
+try { chain.next(); } catch (e) { threw = true; }
+console.log('exhausted chain throws PASS:', threw);
+
+// Restore from persisted form: same anchor, continues where it stopped
+const partial = SeedChain.generate(10);
+partial.next(); partial.next();
+const restored = new SeedChain(JSON.parse(JSON.stringify(partial)));
+console.log('restore PASS:', restored.anchor === partial.anchor && restored.next() === partial.next());
+console.log('revealed only used PASS:', restored.revealed(99).length === 3 && restored.revealed(-1).length === 0);
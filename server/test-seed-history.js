@@ -0,0 +1,51 @@
+// PADDLA Seed History Test — retired seeds: lookup, paging, file persistence
+// Run: node server/test-seed-history.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySeedHistoryStore, FileSeedHistoryStore } = require('./seed-history');
+
+console.log('=== PADDLA Seed History Test ===\n');
+
+const HOUR = 60 * 60 * 1000;
+function retired(i) {
+  const serverSeed = crypto.randomBytes(32).toString('hex');
+  return {
+    commitment: crypto.createHash('sha256').update(serverSeed).digest('hex'),
+    serverSeed,
+    activeFrom: i * HOUR,
+    activeUntil: (i + 1) * HOUR,
+    retiredAt: (i + 2) * HOUR,
+    gameIds: ['game-' + i]
+  };
+}
+
+(async () => {
+  const memory = new MemorySeedHistoryStore();
+  const entries = [1, 2, 3, 4, 5].map(retired);
+  for (const e of entries) await memory.save(e);
+
+  const found = await memory.get(entries[2].commitment);
+  console.log('lookup PASS:', found.serverSeed === entries[2].serverSeed && found.gameIds[0] === 'game-3' &&
+    await memory.get('0'.repeat(64)) === null);
+
+  // Newest first; the cursor is the last activeFrom and the walk ends with null
+  const p1 = await memory.list({ limit: 2 });
+  const p2 = await memory.list({ limit: 2, cursor: p1.nextCursor });
+  const p3 = await memory.list({ limit: 2, cursor: p2.nextCursor });
+  console.log('paging PASS:', p1.items.map(e => e.activeFrom / HOUR).join() === '5,4' &&
+    p2.items.map(e => e.activeFrom / HOUR).join() === '3,2' && p3.items.length === 1 && p3.nextCursor === null);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paddla-seeds-'));
+  const file = path.join(dir, 'seed-history.jsonl');
+  const store = new FileSeedHistoryStore(file);
+  for (const e of entries) await store.save(e);
+  fs.appendFileSync(file, '{corrupt\n');
+  const reloaded = new FileSeedHistoryStore(file);
+  const all = await reloaded.list({ limit: 10 });
+  console.log('file persistence PASS:', all.items.length === 5 && all.nextCursor === null &&
+    (await reloaded.get(entries[0].commitment)).activeUntil === 2 * HOUR);
+  fs.rmSync(dir, { recursive: true, force: true });
+})();
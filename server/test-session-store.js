@@ -0,0 +1,45 @@
+// PADDLA Session Storage Test — memory and file backends, restart survival
+// Run: node server/test-session-store.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySessionStore, FileSessionStore } = require('./session-store');
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function checkContract(name, store) {
+  store.set('game', 'a', { numBalls: 10 });
+  store.set('game', 'b', { numBalls: 20 }, 20);
+  store.set('nonce', 'a', 3);
+  console.log(`${name} get PASS:`, store.get('game', 'a').numBalls === 10 && store.get('nonce', 'a') === 3);
+  console.log(`${name} namespaces PASS:`, store.entries('game').length === 2 && store.entries('nonce').length === 1);
+  await sleep(30);
+  console.log(`${name} ttl PASS:`, store.get('game', 'b') === undefined && store.sweep() === 1);
+  store.delete('game', 'a');
+  console.log(`${name} delete PASS:`, store.get('game', 'a') === undefined);
+  await store.flush();
+}
+
+(async () => {
+  console.log('=== PADDLA Session Storage Test ===\n');
+  await checkContract('memory', new MemorySessionStore());
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paddla-session-'));
+  const file = path.join(dir, 'sessions.jsonl');
+  const store = new FileSessionStore(file);
+  await store.load();
+  await checkContract('file', store);
+  store.set('commitment', 'state', { commitment: 'abc' });
+  store.set('game', 'short', { numBalls: 1 }, 20);
+  await store.flush();
+  await sleep(30);
+
+  // Restart: live entries come back, expired ones are dropped and the log is compacted
+  const reopened = new FileSessionStore(file);
+  await reopened.load();
+  console.log('file restart PASS:', reopened.get('commitment', 'state').commitment === 'abc' && reopened.get('nonce', 'a') === 3);
+  console.log('file expired dropped PASS:', reopened.get('game', 'short') === undefined && reopened.entries('game').length === 0);
+  console.log('file compacted PASS:', fs.readFileSync(file, 'utf8').trim().split('\n').length === 2);
+  fs.rmSync(dir, { recursive: true, force: true });
+})();
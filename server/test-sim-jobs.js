@@ -0,0 +1,57 @@
+// PADDLA Simulation Jobs Test — worker jobs, progress, quota, restart
+// Run: node server/test-sim-jobs.js
+
+const { MemorySessionStore } = require('./session-store');
+const { SimJobs } = require('./sim-jobs');
+
+console.log('=== PADDLA Simulation Jobs Test ===\n');
+
+function waitFinal(jobs, jobId) {
+  return new Promise(resolve => {
+    const unsubscribe = jobs.subscribe(jobId, job => {
+      if (SimJobs.isFinal(job.status)) { unsubscribe(); resolve(job); }
+    });
+  });
+}
+
+(async () => {
+  const sessions = new MemorySessionStore();
+  const jobs = new SimJobs(sessions, { workers: 1, maxQueue: 1, quotaBalls: 100 });
+
+  // A job runs to completion; subscribers see it start and finish, the result is kept
+  const seen = [];
+  const job = jobs.submit('alice', { strategy: 'hunter', numGames: 4, ballsPerGame: 5, betPerBall: 5 });
+  jobs.subscribe(job.jobId, j => seen.push(j.status));
+  const done = await waitFinal(jobs, job.jobId);
+  const stored = jobs.get(job.jobId);
+  console.log('run PASS:', done.status === 'done' && done.result.numGames === 4 && done.result.totalBet === 100 &&
+    done.progress.gamesDone === 4 && stored.status === 'done' && seen[seen.length - 1] === 'done');
+  console.log('view PASS:', !('owner' in jobs.view(stored)) && jobs.list('alice').length === 1 &&
+    jobs.list('bob').length === 0);
+
+  // Quota is charged at submit; a cancelled job gives its unrun balls back
+  console.log('quota charge PASS:', jobs.quota('alice').used === 20 && jobs.quota('alice').remaining === 80);
+  const running = jobs.submit('bob', { strategy: 'sniper', numGames: 10, ballsPerGame: 5, betPerBall: 5 });
+  const queued = jobs.submit('bob', { strategy: 'sniper', numGames: 2, ballsPerGame: 5, betPerBall: 5 });
+  const charged = jobs.quota('bob').used;
+  console.log('queue PASS:', running.status === 'running' && queued.status === 'queued' &&
+    jobs.view(queued).position === 1 && jobs.full);
+  console.log('cancel PASS:', jobs.cancel(queued) && jobs.get(queued.jobId).status === 'cancelled' &&
+    !jobs.cancel(queued) && jobs.quota('bob').used === charged - 10);
+  jobs.cancel(running);
+  console.log('refund PASS:', jobs.quota('bob').used === running.progress.gamesDone * 5 && jobs.stats().running === 0);
+  // Inline runs (the local registrar's /simulate/paddla) spend from the same quota
+  const refund = jobs.spend('alice', 30);
+  const spent = jobs.quota('alice').used;
+  refund();
+  console.log('spend PASS:', spent === 50 && jobs.quota('alice').used === 20 && jobs.list('alice').length === 1);
+
+  // After a restart the interrupted job is failed and its balls refunded
+  const before = new SimJobs(sessions, { workers: 1, maxQueue: 4, quotaBalls: 100 });
+  const cut = before.submit('carol', { strategy: 'stationary', numGames: 10, ballsPerGame: 5, betPerBall: 5 });
+  await before.close();
+  const after = new SimJobs(sessions, { workers: 1, maxQueue: 4, quotaBalls: 100 });
+  const failed = after.restore();
+  console.log('restore PASS:', failed === 1 && after.get(cut.jobId).status === 'failed' &&
+    after.quota('carol').used === after.get(cut.jobId).progress.gamesDone * 5);
+})();
@@ -0,0 +1,67 @@
+// PADDLA Engine Snapshot Test — serializeState/restoreState and replaying on from a snapshot
+// Run: node server/test-snapshot.js
+
+const {
+  createInitialState, tick, replay, replayFrom, finishGame, stateHash,
+  serializeState, restoreState, getEngine
+} = require('./engine');
+
+console.log('=== PADDLA Engine Snapshot Test ===\n');
+
+const SEED = 'a'.repeat(64);
+const OPTS = { clientSeed: 'snapshot-test', nonce: 3 };
+
+// A game with a moving bumper; every tick's input is logged by tick()
+const live = createInitialState(SEED, 12, 5, OPTS);
+const snapshots = [];
+while (!live.finished) {
+  tick(live, { x: 2 + (live.tickCount % 500) / 100, y: 1 + (live.tickCount % 300) / 150 });
+  if (live.tickCount % 200 === 0) snapshots.push(serializeState(live));
+}
+const full = replay(SEED, 12, live.inputLog, 5, OPTS);
+
+// From every checkpoint, the rest of the inputs reach the same end state as tick 0
+const resumed = snapshots.map(s => replayFrom(restoreState(s), live.inputLog));
+console.log('resume PASS:', snapshots.length > 3 && full.totalWin === live.totalWin &&
+  resumed.every(r => r.totalWin === full.totalWin && stateHash(r) === stateHash(full) && r.tickCount === full.tickCount));
+
+// Canonical: the same state always gives the same string, and a restore re-serializes identically
+const mid = snapshots[1];
+const parsed = JSON.parse(mid);
+console.log('canonical PASS:', serializeState(restoreState(mid)) === mid && parsed.snapshotVersion === 1 &&
+  parsed.engineVersion === 13 && /^[0-9a-f]{64}$/.test(parsed.hash) && !('rng' in parsed.state) &&
+  serializeState(restoreState(parsed)) === mid);
+
+// Any edit breaks the stamp
+const tampered = JSON.stringify({ ...parsed, state: { ...parsed.state, totalWin: parsed.state.totalWin + 1 } });
+const rejects = (blob, msg) => { try { restoreState(blob); return false; } catch (e) { return e.message.includes(msg); } };
+console.log('tamper PASS:', rejects(tampered, 'hash mismatch') &&
+  rejects(JSON.stringify({ ...parsed, snapshotVersion: 2 }), 'Unsupported snapshot version') &&
+  rejects('{"type":"other"}', 'Not a PADDLA snapshot'));
+
+// -0 survives (atan2 tells it from 0); the inputLog can be left out
+const neg = createInitialState(SEED, 3, 5, OPTS);
+while (neg.balls.length === 0) tick(neg, { x: 4.5, y: 2 });
+neg.balls[0].dx = -0;
+const back = restoreState(serializeState(neg));
+const slim = restoreState(serializeState(neg, { inputLog: false }));
+console.log('negative zero PASS:', Object.is(back.balls[0].dx, -0) && back.inputLog.length === neg.tickCount &&
+  slim.inputLog.length === 0 && stateHash(slim) === stateHash(neg));
+
+// Frozen engines share the state shape: a v9 snapshot plays on with v9
+const v9 = getEngine(9);
+const old = v9.createInitialState(SEED, 5, 5);
+for (let i = 0; i < 900; i++) v9.tick(old, { x: 3, y: 2 });
+const oldCopy = restoreState(serializeState(old));
+v9.finishGame(old);
+v9.finishGame(oldCopy);
+console.log('frozen engine PASS:', JSON.parse(serializeState(oldCopy)).engineVersion === 9 &&
+  oldCopy.totalWin === old.totalWin && stateHash(oldCopy) === stateHash(old));
+
+// finishGame() from a restored snapshot matches finishGame() on the original
+const a = createInitialState(SEED, 4, 5, OPTS);
+for (let i = 0; i < 400; i++) tick(a, { x: 6, y: 3 });
+const b = restoreState(serializeState(a));
+finishGame(a);
+finishGame(b);
+console.log('finish PASS:', a.totalWin === b.totalWin && stateHash(a) === stateHash(b));
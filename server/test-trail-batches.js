@@ -0,0 +1,64 @@
+// PADDLA Trail Batches Test — Merkle proofs, sealing, batch chain, file store reopen
+// Run: node server/test-trail-batches.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const merkle = require('./merkle');
+const { MemoryTrailStore } = require('./trail-store');
+const { MemoryBatchStore, FileBatchStore, TrailBatcher } = require('./trail-batches');
+
+console.log('=== PADDLA Trail Batches Test ===\n');
+
+function rec(i, ts) {
+  return { gameId: 'game-' + String(i).padStart(3, '0'), ts, commitment: 'c' + i, numBalls: 10, totalWin: i, serverSeed: 's' + i };
+}
+
+(async () => {
+  // Every leaf of trees of every shape proves against the root
+  let allProve = true;
+  for (let n = 1; n <= 9; n++) {
+    const leaves = Array.from({ length: n }, (_, i) => merkle.leafHash(rec(i, i)));
+    const root = merkle.merkleRoot(leaves);
+    leaves.forEach((leaf, i) => { if (merkle.rootFromPath(leaf, merkle.merkleProof(leaves, i)) !== root) allProve = false; });
+  }
+  console.log('inclusion paths PASS:', allProve);
+  console.log('canonical PASS:', merkle.canonicalJSON({ b: 1, a: [{ d: 2, c: undefined }] }) === '{"a":[{"d":2}],"b":1}' &&
+    merkle.leafHash(rec(1, 5)) === merkle.leafHash({ ...rec(1, 5), serverSeed: null, seedRevealed: false }));
+
+  // Sealing: only records older than the grace period, then only what came after
+  const trail = new MemoryTrailStore();
+  for (let i = 0; i < 5; i++) await trail.save(rec(i, 1000 + i));
+  await trail.save(rec(9, 5000));
+  const batcher = new TrailBatcher(trail, new MemoryBatchStore(), { graceMs: 1000, maxSize: 3 });
+  const first = await batcher.seal(3000);
+  await trail.save(rec(5, 1004));  // same ts as the last sealed record, later gameId
+  const second = await batcher.seal(7000);
+  console.log('seal PASS:', first.length === 2 && first[0].count === 3 && first[1].count === 2 &&
+    second.length === 1 && second[0].count === 2 && second[0].first.gameId === 'game-005' &&
+    (await batcher.seal(7000)).length === 0);
+  console.log('chain PASS:', first[0].prev === merkle.GENESIS &&
+    merkle.verifyBatchChain([...first, ...second]).ok &&
+    !merkle.verifyBatchChain([first[0], second[0]]).ok);
+
+  // Proofs verify against the record; an edit after sealing does not
+  const proof = await batcher.proof('game-004');
+  const record = await trail.get('game-004');
+  console.log('proof PASS:', proof.batch.seq === 2 && merkle.verifyProof(record, proof).ok &&
+    !merkle.verifyProof({ ...record, totalWin: 99 }, proof).ok && (await batcher.proof('nope')) === null);
+  const roots = await batcher.roots({ limit: 2, cursor: null });
+  const rest = await batcher.roots({ limit: 2, cursor: roots.nextCursor });
+  console.log('roots PASS:', roots.items[0].seq === 3 && roots.nextCursor === 2 && !('leaves' in roots.items[0]) &&
+    rest.items.length === 1 && rest.nextCursor === null);
+
+  // File store: reopening rebuilds batches and the gameId index
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paddla-batches-'));
+  const file = path.join(dir, 'batches.jsonl');
+  const fileBatcher = new TrailBatcher(trail, new FileBatchStore(file), { graceMs: 0 });
+  await fileBatcher.seal(10000);
+  const reopened = new TrailBatcher(trail, new FileBatchStore(file), { graceMs: 0 });
+  const again = await reopened.proof('game-009');
+  console.log('file reopen PASS:', again !== null && merkle.verifyProof(await trail.get('game-009'), again).ok &&
+    (await reopened.seal(10000)).length === 0);
+  fs.rmSync(dir, { recursive: true, force: true });
+})();
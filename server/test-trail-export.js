@@ -0,0 +1,48 @@
+// PADDLA Trail Export Test — NDJSON/CSV lines, filters, checksum line
+// Run: node server/test-trail-export.js
+
+const crypto = require('crypto');
+const { MemoryTrailStore } = require('./trail-store');
+const { CSV_COLUMNS, csvField, exportLines } = require('./trail-export');
+
+console.log('=== PADDLA Trail Export Test ===\n');
+
+async function collect(trail, options) {
+  const lines = [];
+  for await (const line of exportLines(trail, options)) lines.push(line);
+  return lines;
+}
+
+function checksumOk(lines, expected) {
+  const body = lines.slice(0, -1).join('');
+  return expected === 'sha256:' + crypto.createHash('sha256').update(body).digest('hex');
+}
+
+(async () => {
+  const trail = new MemoryTrailStore();
+  for (let i = 0; i < 5; i++) {
+    await trail.save({
+      gameId: 'game-' + i, ts: 1000 + i, clientSeed: i === 3 ? 'a,"b"' : 'seed' + i, numBalls: 10, betPerBall: 5,
+      totalWin: i * 10, serverSeed: i === 4 ? null : 's' + i, inputLog: [{ tick: 1, target: { x: 4.5, y: 2 } }]
+    });
+  }
+
+  // NDJSON: full records newest first, then the checksum over everything before it
+  const nd = await collect(trail, { format: 'ndjson', map: r => r.serverSeed ? r : { ...r, serverSeed: 'revealed' } });
+  const records = nd.slice(0, -1).map(l => JSON.parse(l));
+  const tail = JSON.parse(nd[nd.length - 1]);
+  console.log('ndjson PASS:', records.length === 5 && records[0].gameId === 'game-4' && records[0].serverSeed === 'revealed' &&
+    records[1].inputLog.length === 1 && tail.count === 5 && checksumOk(nd, tail.checksum));
+
+  // CSV: header, quoted fields, metadata only
+  const csv = await collect(trail, { format: 'csv', filter: { minWin: 20, maxWin: 30 } });
+  const [header, ...rows] = csv;
+  const check = rows.pop().trim().split(',');
+  console.log('csv PASS:', header === CSV_COLUMNS.join(',') + '\n' && rows.length === 2 &&
+    rows[0].startsWith('game-3,1003,') && rows[0].includes(',"a,""b""",') && rows[0].trim().endsWith(',1') &&
+    check[0] === '#checksum' && check[2] === '2' && checksumOk(csv, check[1]));
+  console.log('csv field PASS:', csvField(null) === '' && csvField('x\ny') === '"x\ny"' && csvField(7) === '7');
+
+  const empty = await collect(trail, { format: 'ndjson', filter: { from: 9999 } });
+  console.log('empty export PASS:', empty.length === 1 && JSON.parse(empty[0]).count === 0);
+})();
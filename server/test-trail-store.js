@@ -0,0 +1,64 @@
+// PADDLA Trail Storage Test — memory and file backends share one contract
+// Run: node server/test-trail-store.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { MemoryTrailStore, FileTrailStore, isLegacyTrailRecord } = require('./trail-store');
+
+function rec(i) {
+  return { gameId: 'game-' + String(i).padStart(3, '0'), ts: 1000 + Math.floor(i / 2), totalWin: i, numBalls: 10 };
+}
+
+async function walk(store, limit, filter) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const page = await store.list({ limit, cursor, filter });
+    ids.push(...page.items.map(r => r.gameId));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+async function checkContract(name, store) {
+  for (let i = 0; i < 25; i++) await store.save(rec(i));
+  const first = await store.list({ limit: 10 });
+  console.log(`${name} newest first PASS:`, first.items[0].gameId === 'game-024' && first.items.length === 10);
+  const all = await walk(store, 7);
+  console.log(`${name} cursor walk PASS:`, all.length === 25 && new Set(all).size === 25);
+  const wins = await walk(store, 4, { minWin: 5, maxWin: 14 });
+  const count = await store.count({ minWin: 5, maxWin: 14 });
+  console.log(`${name} filter walk PASS:`, wins.length === 10 && wins[0] === 'game-014' && wins[9] === 'game-005' &&
+    count.count === 10 && count.exact);
+  const window = await walk(store, 50, { from: 1003, to: 1004, numBalls: 10 });
+  console.log(`${name} filter fields PASS:`, window.length === 4 && (await store.count({ numBalls: 20 })).count === 0 &&
+    (await store.count({ engineVersion: 9 })).count === 25 && (await store.count({})).count === 25);
+  console.log(`${name} get PASS:`, (await store.get('game-007')).totalWin === 7 && (await store.get('nope')) === null);
+  console.log(`${name} delete PASS:`, (await store.delete('game-007')) === true && (await store.get('game-007')) === null);
+}
+
+(async () => {
+  console.log('=== PADDLA Trail Storage Test ===\n');
+  await checkContract('memory', new MemoryTrailStore());
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paddla-trail-'));
+  const file = path.join(dir, 'trail.jsonl');
+  await checkContract('file', new FileTrailStore(file));
+
+  // Reopen: the append-only log must rebuild the same index
+  const reopened = new FileTrailStore(file);
+  const ids = await walk(reopened, 50);
+  console.log('file reopen PASS:', ids.length === 24 && !ids.includes('game-007'));
+  console.log('file append-only PASS:', fs.readFileSync(file, 'utf8').trim().split('\n').length === 26);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // paddla_games: the server's old records move to the trail, the scores browsers wrote do not
+  const serverSeed = 'ab'.repeat(32);
+  const legacy = { gameId: 'g1', protocol: 'UVS-2.0', engineVersion: '0.6', serverSeed, ts: 1,
+    commitment: crypto.createHash('sha256').update(serverSeed).digest('hex'), inputLog: [] };
+  console.log('legacy records PASS:', isLegacyTrailRecord('g1', legacy) && !isLegacyTrailRecord('g2', legacy) &&
+    !isLegacyTrailRecord('g1', { ...legacy, commitment: 'f'.repeat(64) }) &&
+    !isLegacyTrailRecord('x', { userId: 'u', nickname: 'n', bet: 500, win: 4500, rtp: '900.0', playedAt: {} }));
+})();
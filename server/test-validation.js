@@ -0,0 +1,79 @@
+// PADDLA Request Validation Test — error codes and field paths
+// Run: node server/test-validation.js
+
+const validate = require('./validation');
+const { ApiError, CODES } = validate;
+const { getEngine } = require('./engine');
+
+function rejects(fn, code, field) {
+  try {
+    fn();
+    return false;
+  } catch (e) {
+    return e instanceof ApiError && e.code === code && e.field === field;
+  }
+}
+
+const point = (tick, x = 4, y = 2) => ({ tick, target: { x, y } });
+
+console.log('=== PADDLA Request Validation Test ===\n');
+
+console.log('valid inputLog PASS:', validate.inputLog([point(1), point(5), point(9)], 100).length === 3);
+console.log('duplicate tick PASS:', rejects(() => validate.inputLog([point(3), point(3)], 100), CODES.NOT_MONOTONIC, 'inputLog[1].tick'));
+console.log('unordered tick PASS:', rejects(() => validate.inputLog([point(5), point(2)], 100), CODES.NOT_MONOTONIC, 'inputLog[1].tick'));
+console.log('NaN target PASS:', rejects(() => validate.inputLog([point(1, NaN)], 100), CODES.INVALID_TYPE, 'inputLog[0].target.x'));
+console.log('string target PASS:', rejects(() => validate.inputLog([point(1, 4, '2')], 100), CODES.INVALID_TYPE, 'inputLog[0].target.y'));
+console.log('tick beyond bound PASS:', rejects(() => validate.inputLog([point(101)], 100), CODES.OUT_OF_RANGE, 'inputLog[0].tick'));
+console.log('length bound PASS:', rejects(() => validate.inputLog([point(1), point(2), point(3)], 2), CODES.TOO_LONG, 'inputLog'));
+console.log('missing target PASS:', rejects(() => validate.inputLog([{ tick: 1 }], 100), CODES.INVALID_TYPE, 'inputLog[0].target'));
+
+console.log('clientSeed PASS:', validate.clientSeed('player-42') === 'player-42' &&
+  rejects(() => validate.clientSeed('a:b'), CODES.INVALID_FORMAT, 'clientSeed') &&
+  rejects(() => validate.clientSeed(42), CODES.INVALID_FORMAT, 'clientSeed') &&
+  rejects(() => validate.clientSeed(''), CODES.REQUIRED, 'clientSeed'));
+console.log('numBalls PASS:', validate.numBalls(10) === 10 &&
+  rejects(() => validate.numBalls(0), CODES.OUT_OF_RANGE, 'numBalls') &&
+  rejects(() => validate.numBalls('10'), CODES.INVALID_TYPE, 'numBalls'));
+console.log('betPerBall PASS:', validate.betPerBall(undefined) === 5 && rejects(() => validate.betPerBall(7), CODES.OUT_OF_RANGE, 'betPerBall'));
+console.log('targets PASS:', validate.tickTargets([null, { x: 1, y: 2 }], 600).length === 2 &&
+  rejects(() => validate.tickTargets([{ x: 1, y: Infinity }], 600), CODES.INVALID_TYPE, 'targets[0].y'));
+console.log('paging PASS:', validate.paging({}).limit === 50 && validate.paging({ limit: '10', cursor: '7' }, { numericCursor: true }).cursor === 7 &&
+  rejects(() => validate.paging({ limit: '0' }), CODES.OUT_OF_RANGE, 'limit'));
+console.log('record fields PASS:', validate.engineVersion(10, [9, 10]) === 10 &&
+  rejects(() => validate.engineVersion(NaN, [9, 10]), CODES.UNKNOWN_ENGINE, 'engineVersion') &&
+  validate.storedClientSeed(1700000000000) === '1700000000000' && validate.storedClientSeed(undefined) === undefined &&
+  rejects(() => validate.serverSeed(''), CODES.REQUIRED, 'serverSeed') &&
+  rejects(() => validate.finite(undefined, 'totalWin'), CODES.REQUIRED, 'totalWin'));
+const trailOpts = { protocols: { reveal: 'UVS-2.0', stream: 'UVS-2.1' }, engineVersions: [9, 10] };
+const trailFilter = validate.trailFilter({ from: '100', to: '200', minWin: '-1.5', protocol: 'stream', engineVersion: '9' }, trailOpts);
+console.log('trail filter PASS:', trailFilter.from === 100 && trailFilter.minWin === -1.5 && trailFilter.protocol === 'UVS-2.1' &&
+  trailFilter.engineVersion === 9 && Object.keys(validate.trailFilter({}, trailOpts)).length === 0 &&
+  rejects(() => validate.trailFilter({ from: '5', to: '1' }, trailOpts), CODES.OUT_OF_RANGE, 'from') &&
+  rejects(() => validate.trailFilter({ numBalls: 'ten' }, trailOpts), CODES.INVALID_TYPE, 'numBalls') &&
+  rejects(() => validate.trailFilter({ protocol: 'UVS-9' }, trailOpts), CODES.UNKNOWN_PROTOCOL, 'protocol') &&
+  rejects(() => validate.trailFilter({ commitment: 'abc' }, trailOpts), CODES.INVALID_FORMAT, 'commitment') &&
+  rejects(() => validate.trailFilter({ seedCommitment: 'abc' }, trailOpts), CODES.INVALID_FORMAT, 'seedCommitment'));
+const lbOpts = { windows: ['daily', 'weekly', 'all'], metrics: ['rtp', 'win', 'profit'], defaultMinBet: 500 };
+const lb = validate.leaderboardQuery({ window: 'all', betPerBall: '25', limit: '3' }, lbOpts);
+console.log('leaderboard query PASS:', lb.metric === 'rtp' && lb.betPerBall === 25 && lb.limit === 3 && lb.minBet === 500 &&
+  validate.leaderboardQuery({}, lbOpts).window === 'weekly' &&
+  rejects(() => validate.leaderboardQuery({ window: 'monthly' }, lbOpts), CODES.OUT_OF_RANGE, 'window') &&
+  rejects(() => validate.leaderboardQuery({ betPerBall: '7' }, lbOpts), CODES.OUT_OF_RANGE, 'betPerBall') &&
+  rejects(() => validate.leaderboardQuery({ limit: '500' }, lbOpts), CODES.OUT_OF_RANGE, 'limit'));
+console.log('nickname PASS:', validate.nickname('ace_42') === 'ace_42' &&
+  rejects(() => validate.nickname('a b'), CODES.INVALID_FORMAT, 'nickname') &&
+  rejects(() => validate.nickname(7), CODES.INVALID_TYPE, 'nickname'));
+console.log('hash chain PASS:', validate.hashChain(undefined, 100) === null &&
+  validate.hashChain({ head: 'f'.repeat(64), every: 60, extra: 1 }, 100).every === 60 &&
+  rejects(() => validate.hashChain({ head: 'F'.repeat(64), every: 60 }, 100), CODES.INVALID_FORMAT, 'hashChain.head') &&
+  rejects(() => validate.hashChain({ head: 'f'.repeat(64), every: 0 }, 100), CODES.OUT_OF_RANGE, 'hashChain.every') &&
+  rejects(() => validate.hashChain('abc', 100), CODES.INVALID_TYPE, 'hashChain'));
+console.log('ruleset PASS:', validate.rulesetName(undefined, ['classic']) === undefined &&
+  validate.rulesetName('classic', ['classic']) === 'classic' &&
+  rejects(() => validate.rulesetName('turbo', ['classic']), CODES.UNKNOWN_RULESET, 'ruleset') &&
+  validate.recordRuleset(null, getEngine(11)) === null &&
+  validate.recordRuleset({ config: { COUNTDOWN: 30 } }, getEngine(11)).config.COUNTDOWN === 30 &&
+  rejects(() => validate.recordRuleset({ config: { COUNTDOWN: -1 } }, getEngine(11)), CODES.INVALID_RULESET, 'ruleset') &&
+  rejects(() => validate.recordRuleset({}, getEngine(10)), CODES.INVALID_RULESET, 'ruleset'));
+console.log('error shape PASS:', JSON.stringify(new ApiError(400, CODES.REQUIRED, 'x is required', 'x')) ===
+  '{"error":"x is required","code":"REQUIRED","field":"x"}');
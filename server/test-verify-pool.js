@@ -0,0 +1,74 @@
+// PADDLA Verify Pool Test
+// Run: node server/test-verify-pool.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getEngine, ENGINE_VERSION } = require('./engine');
+const { VerifyPool } = require('./verify-pool');
+
+console.log('=== PADDLA Verify Pool Test ===\n');
+
+const engine = getEngine(ENGINE_VERSION);
+
+function job(serverSeed, numBalls) {
+  const state = engine.createInitialState(serverSeed, numBalls, 5, { clientSeed: 'pool', nonce: 1 });
+  while (!state.finished) engine.tick(state, { x: 4.5 + Math.sin(state.tickCount * 0.05), y: 2 });
+  return {
+    expected: state.totalWin,
+    payload: {
+      engineVersion: ENGINE_VERSION, serverSeed, numBalls, betPerBall: 5,
+      clientSeed: 'pool', nonce: 1, inputLog: state.inputLog
+    }
+  };
+}
+
+(async () => {
+  // Worker replay matches the inline simulation
+  const pool = new VerifyPool({ size: 1, maxQueue: 2, timeoutMs: 30000 });
+  const a = job('pool_seed_a', 3), b = job('pool_seed_b', 3);
+  const [ra, rb] = await Promise.all([pool.run('replay', a.payload), pool.run('replay', b.payload)]);
+  console.log('replay PASS:', ra.totalWin === a.expected && rb.totalWin === b.expected);
+
+  // Queue bounded at maxQueue: one job running, two waiting, the fourth is refused
+  const runs = [0, 1, 2].map(() => pool.run('replay', a.payload));
+  let full = null;
+  try { await pool.run('replay', a.payload); } catch (e) { full = e.code; }
+  await Promise.all(runs);
+  console.log('backpressure PASS:', full === 'POOL_FULL' && pool.retryAfter() >= 1);
+
+  // Unknown job type fails the job, not the worker
+  let failed = null;
+  try { await pool.run('nope', {}); } catch (e) { failed = e.code; }
+  console.log('job error PASS:', failed === 'JOB_FAILED' && (await pool.run('replay', b.payload)).totalWin === b.expected);
+  await pool.close();
+
+  // A job over timeoutMs is rejected and its worker replaced; the pool keeps working
+  const slow = new VerifyPool({ size: 1, timeoutMs: 20 });
+  let timedOut = null;
+  try { await slow.run('replay', job('pool_seed_c', 40).payload); } catch (e) { timedOut = e.code; }
+  slow.timeoutMs = 30000;
+  const after = await slow.run('replay', a.payload);
+  console.log('timeout PASS:', timedOut === 'JOB_TIMEOUT' && slow.stats().timedOut === 1 && after.totalWin === a.expected);
+  await slow.close();
+
+  // A worker that exits mid-job fails that job only; the pool respawns it and keeps working
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paddla-pool-'));
+  const script = path.join(dir, 'worker.js');
+  fs.writeFileSync(script, `require('worker_threads').parentPort.on('message', ({ id, type }) => {
+    if (type === 'exit') process.exit(3);
+    require('worker_threads').parentPort.postMessage({ id, result: type });
+  });`);
+  const mortal = new VerifyPool({ size: 1, script });
+  let exited = null;
+  try { await mortal.run('exit', {}); } catch (e) { exited = e; }
+  const alive = await mortal.run('ok', {});
+  console.log('worker exit PASS:', exited && exited.code === 'JOB_FAILED' && /code 3/.test(exited.message) &&
+    alive === 'ok' && mortal.workers.length === 1);
+  await mortal.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  let closed = null;
+  try { await slow.run('replay', a.payload); } catch (e) { closed = e.code; }
+  console.log('closed PASS:', closed === 'POOL_CLOSED');
+})();
@@ -0,0 +1,287 @@
+/**
+ * PADDLA Trail Batches — periodic Merkle roots over the audit trail
+ *
+ * TrailBatcher seals every record saved since the last batch into a new one (see merkle.js
+ * for the hashing rules), on a timer and at most MAX_BATCH records per batch. Records are
+ * sealed once they are graceMs old, so a save still in flight is not skipped.
+ *
+ * Batch stores keep the header plus the gameIds and leaf hashes, which is all a proof needs;
+ * a record edited or deleted after sealing no longer matches its leaf. Same interface on
+ * every backend:
+ *   save(batch)             → stores a sealed batch; rejects if its seq already exists
+ *   latest()                → the newest batch or null
+ *   get(seq)                → batch or null
+ *   find(gameId)            → the batch holding that record, or null
+ *   list({ limit, cursor }) → { items, nextCursor }, newest first; cursor is a seq
+ *
+ * Backends: memory (tests), file (append-only JSONL), firestore (collection per trail).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { getFirestore } = require('./firestore');
+const merkle = require('./merkle');
+const validate = require('./validation');
+const { ApiError, CODES, asyncRoute } = validate;
+
+const MAX_BATCH = 2000;    // keeps a Firestore batch document well under 1 MB
+
+// Oldest first; the reverse of the trail's listing order
+function compareKeys(a, b) {
+  if (a.ts !== b.ts) return a.ts - b.ts;
+  return a.gameId < b.gameId ? -1 : a.gameId > b.gameId ? 1 : 0;
+}
+
+function publicBatch(batch) {
+  return { ...merkle.batchHeader(batch), hash: batch.hash };
+}
+
+class MemoryBatchStore {
+  constructor() {
+    this.backend = 'memory';
+    this.batches = new Map();   // seq → batch
+    this.index = new Map();     // gameId → seq
+  }
+
+  add(batch) {
+    this.batches.set(batch.seq, batch);
+    for (const id of batch.gameIds) this.index.set(id, batch.seq);
+  }
+
+  async save(batch) {
+    if (this.batches.has(batch.seq)) throw new Error(`Batch ${batch.seq} already exists`);
+    this.add(batch);
+  }
+
+  async latest() {
+    return this.batches.get(this.batches.size) || null;
+  }
+
+  async get(seq) {
+    return this.batches.get(seq) || null;
+  }
+
+  async find(gameId) {
+    const seq = this.index.get(gameId);
+    return seq === undefined ? null : this.batches.get(seq);
+  }
+
+  async list({ limit = 50, cursor = null } = {}) {
+    const top = cursor === null ? this.batches.size : Math.min(cursor - 1, this.batches.size);
+    const items = [];
+    for (let seq = top; seq >= 1 && items.length < limit; seq--) items.push(this.batches.get(seq));
+    const last = items.length ? items[items.length - 1].seq : 1;
+    return { items, nextCursor: last > 1 && items.length ? last : null };
+  }
+}
+
+// One line per sealed batch, replayed into memory on startup
+class FileBatchStore extends MemoryBatchStore {
+  constructor(file) {
+    super();
+    this.backend = 'file';
+    this.file = file;
+    this.writes = Promise.resolve();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          this.add(JSON.parse(line));
+        } catch (e) {
+          console.warn(`[BATCH] Skipping corrupt line in ${file}: ${e.message}`);
+        }
+      }
+    }
+  }
+
+  async save(batch) {
+    if (this.batches.has(batch.seq)) throw new Error(`Batch ${batch.seq} already exists`);
+    this.writes = this.writes.then(() => fs.promises.appendFile(this.file, JSON.stringify(batch) + '\n'));
+    await this.writes;
+    this.add(batch);
+  }
+}
+
+class FirestoreBatchStore {
+  constructor(db, collection) {
+    this.backend = 'firestore';
+    this.col = db.collection(collection);
+  }
+
+  static docId(seq) {
+    return String(seq).padStart(10, '0');
+  }
+
+  // create() fails if another instance sealed this seq first
+  async save(batch) {
+    await this.col.doc(FirestoreBatchStore.docId(batch.seq)).create(batch);
+  }
+
+  async latest() {
+    const snap = await this.col.orderBy('seq', 'desc').limit(1).get();
+    return snap.empty ? null : snap.docs[0].data();
+  }
+
+  async get(seq) {
+    const doc = await this.col.doc(FirestoreBatchStore.docId(seq)).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async find(gameId) {
+    const snap = await this.col.where('gameIds', 'array-contains', gameId).limit(1).get();
+    return snap.empty ? null : snap.docs[0].data();
+  }
+
+  async list({ limit = 50, cursor = null } = {}) {
+    let q = this.col.orderBy('seq', 'desc');
+    if (cursor !== null) q = q.where('seq', '<', cursor);
+    const snap = await q.limit(limit + 1).get();
+    const items = snap.docs.slice(0, limit).map(d => d.data());
+    return { items, nextCursor: snap.docs.length > limit ? items[items.length - 1].seq : null };
+  }
+}
+
+// options: { backend: 'firestore'|'file'|'memory'|'auto', file, collection }
+function createBatchStore(options = {}) {
+  const backend = options.backend || 'auto';
+  if (backend === 'memory') return new MemoryBatchStore();
+  if (backend === 'file') return new FileBatchStore(options.file);
+  if (backend === 'firestore' || backend === 'auto') {
+    const db = getFirestore();
+    if (db) return new FirestoreBatchStore(db, options.collection);
+    if (backend === 'firestore') throw new Error('TRAIL_BACKEND=firestore but Firestore is unavailable');
+    return new FileBatchStore(options.file);
+  }
+  throw new Error(`Unknown batch backend: ${backend}`);
+}
+
+// ===== BATCHER =====
+
+class TrailBatcher {
+  // trail: a trail store (trail-store.js); store: a batch store
+  constructor(trail, store, { intervalMs = 60 * 60 * 1000, graceMs = 60 * 1000, maxSize = MAX_BATCH } = {}) {
+    this.trail = trail;
+    this.store = store;
+    this.intervalMs = intervalMs;
+    this.graceMs = graceMs;
+    this.maxSize = maxSize;
+    this.sealing = null;
+    this.timer = null;
+    this.nextSealAt = null;
+  }
+
+  // Records after the last sealed one, up to cutoff, oldest first
+  async pending(after, cutoff) {
+    const filter = { to: cutoff };
+    if (after) filter.from = after.ts;
+    const records = [];
+    for await (const r of this.trail.scan(filter)) records.push(r);
+    return records.filter(r => !after || compareKeys(r, after) > 0).sort(compareKeys);
+  }
+
+  // Seals everything old enough into as many batches as it takes; returns the new headers
+  seal(now = Date.now()) {
+    if (!this.sealing) {
+      this.sealing = this.sealPending(now).finally(() => { this.sealing = null; });
+    }
+    return this.sealing;
+  }
+
+  async sealPending(now) {
+    let latest = await this.store.latest();
+    const records = await this.pending(latest && latest.last, now - this.graceMs);
+    const sealed = [];
+    for (let i = 0; i < records.length; i += this.maxSize) {
+      const chunk = records.slice(i, i + this.maxSize);
+      const leaves = chunk.map(merkle.leafHash);
+      const batch = {
+        seq: latest ? latest.seq + 1 : 1,
+        root: merkle.merkleRoot(leaves),
+        count: chunk.length,
+        first: { ts: chunk[0].ts, gameId: chunk[0].gameId },
+        last: { ts: chunk[chunk.length - 1].ts, gameId: chunk[chunk.length - 1].gameId },
+        prev: latest ? latest.hash : merkle.GENESIS,
+        sealedAt: now
+      };
+      batch.hash = merkle.headerHash(batch);
+      batch.gameIds = chunk.map(r => r.gameId);
+      batch.leaves = leaves;
+      await this.store.save(batch);
+      sealed.push(publicBatch(batch));
+      latest = batch;
+    }
+    return sealed;
+  }
+
+  // null when the record is not sealed yet (or unknown)
+  async proof(gameId) {
+    const batch = await this.store.find(gameId);
+    if (!batch) return null;
+    const index = batch.gameIds.indexOf(gameId);
+    return {
+      gameId,
+      leaf: batch.leaves[index],
+      index,
+      path: merkle.merkleProof(batch.leaves, index),
+      batch: publicBatch(batch)
+    };
+  }
+
+  async roots({ limit, cursor }) {
+    const page = await this.store.list({ limit, cursor });
+    return { items: page.items.map(publicBatch), nextCursor: page.nextCursor };
+  }
+
+  start() {
+    const run = () => {
+      this.nextSealAt = Date.now() + this.intervalMs;
+      this.seal()
+        .then(sealed => sealed.forEach(b => console.log(`[BATCH] Sealed #${b.seq}: ${b.count} records, root ${b.root.substring(0, 16)}...`)))
+        .catch(e => console.error(`[BATCH] Sealing failed: ${e.message}`));
+    };
+    this.nextSealAt = Date.now() + this.intervalMs;
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// GET /roots → published batch headers, newest first (?limit=&cursor=)
+// GET /:id/proof → inclusion path of a record in its batch
+// Mounted under /trail ahead of /trail/:id.
+function batchRoutes(batcher) {
+  const router = express.Router();
+
+  router.get('/roots', asyncRoute(async (req, res) => {
+    const { limit, cursor } = validate.paging(req.query, { numericCursor: true });
+    const page = await batcher.roots({ limit, cursor });
+    res.json({ count: page.items.length, items: page.items, nextCursor: page.nextCursor, nextSealAt: batcher.nextSealAt });
+  }));
+
+  router.get('/:id/proof', asyncRoute(async (req, res) => {
+    const proof = await batcher.proof(req.params.id);
+    if (!proof) {
+      const record = await batcher.trail.get(req.params.id);
+      if (!record) throw new ApiError(404, CODES.RECORD_NOT_FOUND, 'Record not found', 'id');
+      throw new ApiError(404, CODES.NOT_BATCHED, 'Record is not sealed in a batch yet', 'id', { nextSealAt: batcher.nextSealAt });
+    }
+    res.json(proof);
+  }));
+
+  return router;
+}
+
+module.exports = {
+  MemoryBatchStore,
+  FileBatchStore,
+  FirestoreBatchStore,
+  createBatchStore,
+  TrailBatcher,
+  batchRoutes
+};
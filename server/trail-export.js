@@ -0,0 +1,53 @@
+/**
+ * PADDLA Trail Export — every matching trail record as NDJSON or CSV
+ *
+ *   exportLines(trail, { format, filter, map }) → async iterator of output lines
+ * Records come from trail.scan(), newest first, so nothing beyond a page is buffered.
+ *   ndjson — one full record per line, delta-encoded inputLog included (replayable with
+ *            npm run verify)
+ *   csv    — a header row, then the metadata columns below; the inputLog is left out
+ * The last line is the checksum: SHA-256 over every byte written before it, plus the count.
+ *   ndjson: {"checksum":"sha256:<hex>","count":N}      csv: #checksum,sha256:<hex>,N
+ * A download cut short has no checksum line.
+ */
+
+const crypto = require('crypto');
+
+const FORMATS = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8'
+};
+
+const CSV_COLUMNS = [
+  'gameId', 'ts', 'protocol', 'engineVersion', 'commitment', 'serverSeed', 'clientSeed', 'nonce',
+  'player', 'numBalls', 'betPerBall', 'totalWin', 'rulesetName', 'rulesetHash', 'inputLogLength'
+];
+
+// RFC 4180: quote a field holding a comma, quote or line break; null/undefined → empty
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function csvRow(record) {
+  const row = { ...record, inputLogLength: Array.isArray(record.inputLog) ? record.inputLog.length : null };
+  return CSV_COLUMNS.map(c => csvField(row[c])).join(',') + '\n';
+}
+
+// map(record) → the record as published (e.g. with a per-player seed filled in once revealed)
+async function* exportLines(trail, { format, filter = {}, map = r => r }) {
+  const hash = crypto.createHash('sha256');
+  const emit = line => { hash.update(line); return line; };
+  let count = 0;
+  if (format === 'csv') yield emit(CSV_COLUMNS.join(',') + '\n');
+  for await (const record of trail.scan(filter)) {
+    const published = map(record);
+    yield emit(format === 'csv' ? csvRow(published) : JSON.stringify(published) + '\n');
+    count++;
+  }
+  const checksum = 'sha256:' + hash.digest('hex');
+  yield format === 'csv' ? `#checksum,${checksum},${count}\n` : JSON.stringify({ checksum, count }) + '\n';
+}
+
+module.exports = { FORMATS, CSV_COLUMNS, csvField, exportLines };
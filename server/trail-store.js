@@ -0,0 +1,280 @@
+/**
+ * PADDLA Audit Trail Storage
+ *
+ * Every backend implements the same async interface:
+ *   save(record)            → stores a verified game record (keyed by record.gameId)
+ *   get(gameId)             → record or null
+ *   list({ limit, cursor, filter }) → { items, nextCursor }, newest first (ts desc, gameId desc);
+ *                             pass nextCursor back to get the following page
+ *   count(filter)           → { count, exact } records matching filter
+ *   scan(filter)            → async iterator over every matching record, in list() order,
+ *                             holding at most a page in memory beyond what the backend keeps
+ *
+ * filter (all optional, see validation.trailFilter): { from, to, numBalls, betPerBall, minWin,
+ * maxWin, commitment, seedCommitment, protocol, rulesetHash, engineVersion }. A filtered page may hold fewer
+ * than limit items; the walk is over when nextCursor is null.
+ *   delete(gameId)          → true if a record was removed
+ *
+ * Backends:
+ *   memory    — RAM only, for tests
+ *   file      — append-only JSONL log on local disk (no cloud account needed)
+ *   firestore — collection paddla_trail (or options.collection). Only the server writes it.
+ *               migrateLegacy() copies in the games the server verified into paddla_games
+ *               before the trail had its own collection; the browser-written documents there
+ *               are left behind.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getFirestore } = require('./firestore');
+const { recordEngineVersion } = require('./engine');
+
+const COLLECTION = 'paddla_trail';
+const LEGACY_COLLECTION = 'paddla_games';
+const EQUALITY_FIELDS = ['numBalls', 'betPerBall', 'commitment', 'seedCommitment', 'protocol', 'rulesetHash'];
+const SCAN_BATCH = 200;     // Firestore documents read per round when filtering in-process
+const MAX_SCAN = 2000;      // documents one filtered Firestore page may read
+const SCAN_PAGE = 500;      // records per Firestore query while scanning
+
+// Newest first; gameId breaks ties so the order (and thus cursors) is total.
+function compareRecords(a, b) {
+  if (a.ts !== b.ts) return b.ts - a.ts;
+  return a.gameId < b.gameId ? 1 : a.gameId > b.gameId ? -1 : 0;
+}
+
+// A paddla_games document the server wrote: keyed by its gameId, with the revealed seed of
+// its commitment and an inputLog to replay. Browsers wrote only scores (bet, win, rtp) there.
+function isLegacyTrailRecord(id, r) {
+  return r.gameId === id && typeof r.serverSeed === 'string' && typeof r.commitment === 'string' &&
+    crypto.createHash('sha256').update(r.serverSeed).digest('hex') === r.commitment &&
+    Array.isArray(r.inputLog) && typeof r.ts === 'number';
+}
+
+// Records written before engineVersion was stored count as v9 (see engine/registry.js)
+function matchesFilter(r, f) {
+  if (f.from !== undefined && r.ts < f.from) return false;
+  if (f.to !== undefined && r.ts > f.to) return false;
+  if (f.minWin !== undefined && !(r.totalWin >= f.minWin)) return false;
+  if (f.maxWin !== undefined && !(r.totalWin <= f.maxWin)) return false;
+  if (f.engineVersion !== undefined && recordEngineVersion(r) !== f.engineVersion) return false;
+  return EQUALITY_FIELDS.every(k => f[k] === undefined || r[k] === f[k]);
+}
+
+class MemoryTrailStore {
+  constructor() {
+    this.backend = 'memory';
+    this.records = new Map();
+  }
+
+  async save(record) {
+    this.records.set(record.gameId, record);
+  }
+
+  async get(gameId) {
+    return this.records.get(gameId) || null;
+  }
+
+  async list({ limit = 50, cursor = null, filter = {} } = {}) {
+    const sorted = [...this.records.values()].filter(r => matchesFilter(r, filter)).sort(compareRecords);
+    let start = 0;
+    if (cursor) {
+      const after = this.records.get(cursor);
+      if (!after) return { items: [], nextCursor: null };
+      start = sorted.findIndex(r => compareRecords(r, after) > 0);
+      if (start < 0) start = sorted.length;
+    }
+    const items = sorted.slice(start, start + limit);
+    const more = start + limit < sorted.length;
+    return { items, nextCursor: more && items.length ? items[items.length - 1].gameId : null };
+  }
+
+  // The records are in memory already; sorting references costs no copies
+  async *scan(filter = {}) {
+    yield* [...this.records.values()].filter(r => matchesFilter(r, filter)).sort(compareRecords);
+  }
+
+  async count(filter = {}) {
+    let count = 0;
+    for (const r of this.records.values()) if (matchesFilter(r, filter)) count++;
+    return { count, exact: true };
+  }
+
+  async delete(gameId) {
+    return this.records.delete(gameId);
+  }
+}
+
+// Append-only JSONL: every save/delete is one line, nothing is rewritten in place.
+// The log is replayed into the in-memory index on startup.
+class FileTrailStore extends MemoryTrailStore {
+  constructor(file) {
+    super();
+    this.backend = 'file';
+    this.file = file;
+    this.writes = Promise.resolve();  // serializes appends so lines never interleave
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (entry.op === 'put') this.records.set(entry.record.gameId, entry.record);
+          else if (entry.op === 'delete') this.records.delete(entry.gameId);
+        } catch (e) {
+          console.warn(`[TRAIL] Skipping corrupt line in ${file}: ${e.message}`);
+        }
+      }
+    }
+  }
+
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    this.writes = this.writes.then(() => fs.promises.appendFile(this.file, line));
+    return this.writes;
+  }
+
+  async save(record) {
+    await this.append({ op: 'put', record });
+    this.records.set(record.gameId, record);
+  }
+
+  async delete(gameId) {
+    if (!this.records.has(gameId)) return false;
+    await this.append({ op: 'delete', gameId, ts: Date.now() });
+    return this.records.delete(gameId);
+  }
+}
+
+class FirestoreTrailStore {
+  constructor(db, collection = COLLECTION) {
+    this.backend = 'firestore';
+    this.col = db.collection(collection);
+  }
+
+  async save(record) {
+    await this.col.doc(record.gameId).set(record);
+  }
+
+  async get(gameId) {
+    const doc = await this.col.doc(gameId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  // Equality and time filters run in Firestore (each equality field needs a composite index
+  // with ts desc). totalWin and engine version are checked in-process: a range on totalWin
+  // cannot share a query with the ts ordering, and legacy records carry no engineVersion.
+  query(filter) {
+    // Firestore breaks ts ties by document id (= gameId) in the same direction,
+    // which matches compareRecords() without a composite index.
+    let q = this.col.orderBy('ts', 'desc');
+    for (const k of EQUALITY_FIELDS) if (filter[k] !== undefined) q = q.where(k, '==', filter[k]);
+    if (filter.from !== undefined) q = q.where('ts', '>=', filter.from);
+    if (filter.to !== undefined) q = q.where('ts', '<=', filter.to);
+    return q;
+  }
+
+  static postFilter(filter) {
+    const { minWin, maxWin, engineVersion } = filter;
+    if (minWin === undefined && maxWin === undefined && engineVersion === undefined) return null;
+    return { minWin, maxWin, engineVersion };
+  }
+
+  async list({ limit = 50, cursor = null, filter = {} } = {}) {
+    const q = this.query(filter);
+    let after = null;
+    if (cursor) {
+      after = await this.col.doc(cursor).get();
+      if (!after.exists) return { items: [], nextCursor: null };
+    }
+    const post = FirestoreTrailStore.postFilter(filter);
+    if (!post) {
+      // One extra document tells us whether another page exists
+      const snap = await (after ? q.startAfter(after) : q).limit(limit + 1).get();
+      const items = snap.docs.slice(0, limit).map(d => d.data());
+      const more = snap.docs.length > limit;
+      return { items, nextCursor: more ? items[items.length - 1].gameId : null };
+    }
+    // Read in batches until the page is full, the query runs out or MAX_SCAN is reached;
+    // the cursor is the last document read, so the next page resumes the scan
+    const items = [];
+    let scanned = 0, exhausted = false, consumedAll = true;
+    while (items.length < limit && !exhausted && scanned < MAX_SCAN) {
+      const snap = await (after ? q.startAfter(after) : q).limit(SCAN_BATCH).get();
+      exhausted = snap.docs.length < SCAN_BATCH;
+      for (let i = 0; i < snap.docs.length; i++) {
+        after = snap.docs[i];
+        scanned++;
+        if (matchesFilter(after.data(), post)) items.push(after.data());
+        if (items.length === limit) { consumedAll = i === snap.docs.length - 1; break; }
+      }
+    }
+    return { items, nextCursor: exhausted && consumedAll ? null : after.id };
+  }
+
+  async *scan(filter = {}) {
+    let cursor = null;
+    do {
+      const page = await this.list({ limit: SCAN_PAGE, cursor, filter });
+      yield* page.items;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  // Counts the Firestore side of the filter; with in-process filters that is an upper bound
+  async count(filter = {}) {
+    const snap = await this.query(filter).count().get();
+    return { count: snap.data().count, exact: !FirestoreTrailStore.postFilter(filter) };
+  }
+
+  async delete(gameId) {
+    const ref = this.col.doc(gameId);
+    const doc = await ref.get();
+    if (!doc.exists) return false;
+    await ref.delete();
+    return true;
+  }
+
+  // Copies the server-verified records of the old collection that are not here yet, a page
+  // at a time in document id order; safe to run again. Resolves with the number copied.
+  async migrateLegacy(collection = LEGACY_COLLECTION) {
+    const legacy = this.col.firestore.collection(collection).orderBy('__name__');
+    let after = null, copied = 0, more = true;
+    while (more) {
+      const snap = await (after ? legacy.startAfter(after) : legacy).limit(SCAN_PAGE).get();
+      more = snap.docs.length === SCAN_PAGE;
+      for (const doc of snap.docs) {
+        after = doc;
+        if (!isLegacyTrailRecord(doc.id, doc.data())) continue;
+        if ((await this.col.doc(doc.id).get()).exists) continue;
+        await this.col.doc(doc.id).set(doc.data());
+        copied++;
+      }
+    }
+    return copied;
+  }
+}
+
+// options: { backend: 'firestore'|'file'|'memory'|'auto', file, collection (default paddla_trail) }
+function createTrailStore(options = {}) {
+  const backend = options.backend || 'auto';
+  if (backend === 'memory') return new MemoryTrailStore();
+  if (backend === 'file') return new FileTrailStore(options.file);
+  if (backend === 'firestore' || backend === 'auto') {
+    const db = getFirestore();
+    if (db) return new FirestoreTrailStore(db, options.collection);
+    if (backend === 'firestore') throw new Error('TRAIL_BACKEND=firestore but Firestore is unavailable');
+    return new FileTrailStore(options.file);
+  }
+  throw new Error(`Unknown trail backend: ${backend}`);
+}
+
+module.exports = {
+  MemoryTrailStore,
+  FileTrailStore,
+  FirestoreTrailStore,
+  createTrailStore,
+  matchesFilter,
+  isLegacyTrailRecord
+};
@@ -0,0 +1,421 @@
+/**
+ * PADDLA Request Validation & API Errors
+ *
+ * Every rejection is an ApiError and reaches the client as
+ *   { error: 'human readable', code: 'MACHINE_CODE', field: 'inputLog[12].target.x' | null, ...extra }
+ * Routes throw; the error middleware in index.js renders. Async routes go through asyncRoute()
+ * because Express 4 does not catch rejected promises.
+ */
+
+const CLIENT_SEED_RE = /^[\x21-\x39\x3B-\x7E]{1,64}$/;  // printable ASCII without ':' (the seed separator)
+const HASH_RE = /^[0-9a-f]{64}$/;
+const BET_VALUES = [1, 5, 10, 25, 50, 100];
+const MAX_BALLS = 1000;
+const NICKNAME_RE = /^[A-Za-z0-9_]{3,15}$/;
+
+const CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  TOO_LONG: 'TOO_LONG',
+  NOT_MONOTONIC: 'NOT_MONOTONIC',
+  UNKNOWN_PROTOCOL: 'UNKNOWN_PROTOCOL',
+  UNKNOWN_ENGINE: 'UNKNOWN_ENGINE',
+  UNKNOWN_RULESET: 'UNKNOWN_RULESET',
+  INVALID_RULESET: 'INVALID_RULESET',
+  PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH',
+  INVALID_COMMITMENT: 'INVALID_COMMITMENT',
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+  GAME_FINISHED: 'GAME_FINISHED',
+  GAMES_RUNNING: 'GAMES_RUNNING',
+  NICKNAME_TAKEN: 'NICKNAME_TAKEN',
+  TICK_OUT_OF_ORDER: 'TICK_OUT_OF_ORDER',
+  RECORD_NOT_FOUND: 'RECORD_NOT_FOUND',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+  NOT_BATCHED: 'NOT_BATCHED',
+  JOB_FINISHED: 'JOB_FINISHED',
+  NO_SEED_CHAIN: 'NO_SEED_CHAIN',
+  SEED_NOT_REVEALED: 'SEED_NOT_REVEALED',
+  ADMIN_DISABLED: 'ADMIN_DISABLED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  GAME_SETTLING: 'GAME_SETTLING',
+  NOT_FINISHING: 'NOT_FINISHING',
+  BUSY: 'BUSY',
+  VERIFY_TIMEOUT: 'VERIFY_TIMEOUT',
+  NOT_FOUND: 'NOT_FOUND',
+  INTERNAL: 'INTERNAL'
+};
+
+class ApiError extends Error {
+  constructor(status, code, message, field = null, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.field = field;
+    this.extra = extra;
+    this.headers = null;  // extra response headers, e.g. Retry-After
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, field: this.field, ...this.extra };
+  }
+}
+
+function invalid(code, field, message, extra) {
+  return new ApiError(400, code, message, field, extra);
+}
+
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// ===== PRIMITIVES =====
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function requireInteger(value, field, min, max) {
+  if (value === undefined || value === null) throw invalid(CODES.REQUIRED, field, `${field} is required`);
+  if (!Number.isInteger(value)) throw invalid(CODES.INVALID_TYPE, field, `${field} must be an integer`);
+  if (value < min || value > max) throw invalid(CODES.OUT_OF_RANGE, field, `${field} must be between ${min} and ${max}`, { min, max });
+  return value;
+}
+
+function requireFinite(value, field) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw invalid(CODES.INVALID_TYPE, field, `${field} must be a finite number`);
+  }
+  return value;
+}
+
+function requireArray(value, field, maxLength) {
+  if (value === undefined || value === null) throw invalid(CODES.REQUIRED, field, `${field} is required`);
+  if (!Array.isArray(value)) throw invalid(CODES.INVALID_TYPE, field, `${field} must be an array`);
+  if (value.length > maxLength) throw invalid(CODES.TOO_LONG, field, `${field} exceeds ${maxLength} entries`, { maxLength });
+  return value;
+}
+
+function requirePoint(value, field) {
+  if (!isPlainObject(value)) throw invalid(CODES.INVALID_TYPE, field, `${field} must be an {x, y} object`);
+  requireFinite(value.x, field + '.x');
+  requireFinite(value.y, field + '.y');
+  return value;
+}
+
+// JSON request body; express.json() leaves {} when none was sent
+function body(req) {
+  if (!isPlainObject(req.body)) throw invalid(CODES.INVALID_TYPE, null, 'Request body must be a JSON object');
+  return req.body;
+}
+
+// ===== FIELDS =====
+
+function clientSeed(value, field = 'clientSeed') {
+  if (value === undefined || value === null || value === '') throw invalid(CODES.REQUIRED, field, `${field} is required`);
+  if (typeof value !== 'string' || !CLIENT_SEED_RE.test(value)) {
+    throw invalid(CODES.INVALID_FORMAT, field, `${field} must be 1-64 printable ASCII characters without spaces or ':'`);
+  }
+  return value;
+}
+
+function numBalls(value) {
+  return requireInteger(value, 'numBalls', 1, MAX_BALLS);
+}
+
+function betPerBall(value) {
+  if (value === undefined || value === null) return 5;
+  if (!BET_VALUES.includes(value)) {
+    throw invalid(CODES.OUT_OF_RANGE, 'betPerBall', `betPerBall must be one of ${BET_VALUES.join(', ')}`, { allowed: BET_VALUES });
+  }
+  return value;
+}
+
+function strategy(value, names) {
+  if (value === undefined || value === null) throw invalid(CODES.REQUIRED, 'strategy', 'strategy is required');
+  if (!names.includes(value)) {
+    throw invalid(CODES.OUT_OF_RANGE, 'strategy', `strategy must be one of ${names.join(', ')}`, { allowed: names });
+  }
+  return value;
+}
+
+function protocol(value, protocols) {
+  if (value === undefined || value === null) return 'reveal';
+  if (!Object.prototype.hasOwnProperty.call(protocols, value)) {
+    throw invalid(CODES.UNKNOWN_PROTOCOL, 'protocol', 'Unknown protocol', { supported: Object.keys(protocols) });
+  }
+  return value;
+}
+
+// A ruleset offered by this server (see rulesets.js), by name; undefined = the default
+function rulesetName(value, names) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string' || !names.includes(value)) {
+    throw invalid(CODES.UNKNOWN_RULESET, 'ruleset', `ruleset must be one of ${names.join(', ')}`, { allowed: names });
+  }
+  return value;
+}
+
+// A record's own ruleset, resolved and checked by the record's engine; null when absent
+function recordRuleset(value, engine) {
+  if (value === undefined || value === null) return null;
+  if (!engine.resolveRuleset) {
+    throw invalid(CODES.INVALID_RULESET, 'ruleset', `Engine v${engine.version} has no rulesets`);
+  }
+  try {
+    return engine.resolveRuleset(value);
+  } catch (e) {
+    throw invalid(CODES.INVALID_RULESET, 'ruleset', e.message);
+  }
+}
+
+function commitmentHash(value, field = 'recordedCommitment') {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || !HASH_RE.test(value)) {
+    throw invalid(CODES.INVALID_FORMAT, field, `${field} must be a 64-character lowercase hex SHA-256`);
+  }
+  return value;
+}
+
+// A revealed server seed, as stored in trail records
+function serverSeed(value, field = 'serverSeed') {
+  if (value === undefined || value === null || value === '') throw invalid(CODES.REQUIRED, field, `${field} is required`);
+  if (typeof value !== 'string' || value.length > 256) {
+    throw invalid(CODES.INVALID_FORMAT, field, `${field} must be a string of at most 256 characters`);
+  }
+  return value;
+}
+
+// version: recordEngineVersion() of a stored record (see engine/registry.js)
+function engineVersion(version, known) {
+  if (!known.includes(version)) {
+    throw invalid(CODES.UNKNOWN_ENGINE, 'engineVersion', 'Unknown engine version', { supported: known });
+  }
+  return version;
+}
+
+// clientSeed of a stored record: optional (the engine has a default), and records written
+// before validation existed may hold a number
+function storedClientSeed(value, field = 'clientSeed') {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value !== 'string' || value.length > 64) {
+    throw invalid(CODES.INVALID_FORMAT, field, `${field} must be a string of at most 64 characters`);
+  }
+  return value;
+}
+
+function finite(value, field) {
+  if (value === undefined || value === null) throw invalid(CODES.REQUIRED, field, `${field} is required`);
+  return requireFinite(value, field);
+}
+
+function optionalFinite(value, field) {
+  if (value === undefined || value === null) return value;
+  return requireFinite(value, field);
+}
+
+// inputLog: [{ tick, target: {x, y} }] with strictly increasing ticks in [1, maxTicks].
+// Dense or delta-encoded logs both qualify; maxTicks = numBalls * MAX_TICKS_PER_BALL.
+function inputLog(value, maxTicks) {
+  requireArray(value, 'inputLog', maxTicks);
+  let lastTick = 0;
+  for (let i = 0; i < value.length; i++) {
+    const entry = value[i];
+    const field = `inputLog[${i}]`;
+    if (!isPlainObject(entry)) throw invalid(CODES.INVALID_TYPE, field, `${field} must be a {tick, target} object`);
+    requireInteger(entry.tick, field + '.tick', 1, maxTicks);
+    if (entry.tick <= lastTick) {
+      throw invalid(CODES.NOT_MONOTONIC, field + '.tick', `${field}.tick must be greater than ${lastTick}`);
+    }
+    lastTick = entry.tick;
+    requirePoint(entry.target, field + '.target');
+  }
+  return value;
+}
+
+// Stream batch: targets[i] is {x, y} or null (keep the current target)
+function tickTargets(value, maxBatch) {
+  requireArray(value, 'targets', maxBatch);
+  if (value.length === 0) throw invalid(CODES.REQUIRED, 'targets', 'targets must not be empty');
+  value.forEach((t, i) => { if (t !== null) requirePoint(t, `targets[${i}]`); });
+  return value;
+}
+
+// A record's per-tick hash chain (see engine/core.js): { head, every }, or null when absent
+function hashChain(value, maxTicks) {
+  if (value === undefined || value === null) return null;
+  if (!isPlainObject(value)) throw invalid(CODES.INVALID_TYPE, 'hashChain', 'hashChain must be a {head, every} object');
+  if (typeof value.head !== 'string' || !HASH_RE.test(value.head)) {
+    throw invalid(CODES.INVALID_FORMAT, 'hashChain.head', 'hashChain.head must be a 64-character lowercase hex SHA-256');
+  }
+  requireInteger(value.every, 'hashChain.every', 1, maxTicks);
+  return { head: value.head, every: value.every };
+}
+
+// Forensics evidence (see forensics.js) — shape only, contents are compared not trusted
+function evidence(body, maxTicks) {
+  const out = {};
+  if (body.tickHashes !== undefined) {
+    requireArray(body.tickHashes, 'tickHashes', maxTicks);
+    body.tickHashes.forEach((h, i) => {
+      if (!isPlainObject(h)) throw invalid(CODES.INVALID_TYPE, `tickHashes[${i}]`, 'tickHashes entries must be {tick, hash}');
+      requireInteger(h.tick, `tickHashes[${i}].tick`, 1, maxTicks);
+      if (typeof h.hash !== 'string' || !HASH_RE.test(h.hash)) {
+        throw invalid(CODES.INVALID_FORMAT, `tickHashes[${i}].hash`, 'hash must be a 64-character lowercase hex SHA-256');
+      }
+    });
+    out.tickHashes = body.tickHashes;
+  }
+  if (body.events !== undefined) {
+    requireArray(body.events, 'events', maxTicks);
+    body.events.forEach((e, i) => {
+      if (!isPlainObject(e)) throw invalid(CODES.INVALID_TYPE, `events[${i}]`, 'events entries must be objects with a tick');
+      requireInteger(e.tick, `events[${i}].tick`, 1, maxTicks);
+    });
+    out.events = body.events;
+  }
+  return out;
+}
+
+// ?limit=&cursor= on list endpoints
+function paging(query, { defaultLimit = 50, maxLimit = 200, numericCursor = false } = {}) {
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    if (!/^\d+$/.test(query.limit)) throw invalid(CODES.INVALID_TYPE, 'limit', 'limit must be a positive integer');
+    limit = requireInteger(Number(query.limit), 'limit', 1, maxLimit);
+  }
+  let cursor = null;
+  if (query.cursor !== undefined && query.cursor !== '') {
+    if (numericCursor) {
+      if (!/^\d+$/.test(query.cursor)) throw invalid(CODES.INVALID_TYPE, 'cursor', 'cursor must be an integer');
+      cursor = Number(query.cursor);
+    } else {
+      if (typeof query.cursor !== 'string' || query.cursor.length > 128) {
+        throw invalid(CODES.INVALID_FORMAT, 'cursor', 'cursor must be a string of at most 128 characters');
+      }
+      cursor = query.cursor;
+    }
+  }
+  return { limit, cursor };
+}
+
+// A number from the query string; undefined when absent
+function queryNumber(query, field, integer) {
+  const raw = query[field];
+  if (raw === undefined || raw === '') return undefined;
+  const re = integer ? /^\d+$/ : /^-?\d+(\.\d+)?$/;
+  if (typeof raw !== 'string' || !re.test(raw)) {
+    throw invalid(CODES.INVALID_TYPE, field, `${field} must be ${integer ? 'a non-negative integer' : 'a number'}`);
+  }
+  return Number(raw);
+}
+
+// /trail filters. from/to are ms timestamps (inclusive), minWin/maxWin bound totalWin,
+// protocol takes a trail label ('UVS-2.1') or its key ('stream').
+// Returns only the filters given: {} matches every record.
+function trailFilter(query, { protocols, engineVersions }) {
+  const filter = {};
+  const from = queryNumber(query, 'from', true), to = queryNumber(query, 'to', true);
+  if (from !== undefined) filter.from = from;
+  if (to !== undefined) filter.to = to;
+  if (from !== undefined && to !== undefined && from > to) {
+    throw invalid(CODES.OUT_OF_RANGE, 'from', 'from must not be after to');
+  }
+  const balls = queryNumber(query, 'numBalls', true);
+  if (balls !== undefined) filter.numBalls = numBalls(balls);
+  const bet = queryNumber(query, 'betPerBall', true);
+  if (bet !== undefined) filter.betPerBall = betPerBall(bet);
+  const minWin = queryNumber(query, 'minWin', false), maxWin = queryNumber(query, 'maxWin', false);
+  if (minWin !== undefined) filter.minWin = minWin;
+  if (maxWin !== undefined) filter.maxWin = maxWin;
+  if (minWin !== undefined && maxWin !== undefined && minWin > maxWin) {
+    throw invalid(CODES.OUT_OF_RANGE, 'minWin', 'minWin must not exceed maxWin');
+  }
+  if (query.commitment !== undefined && query.commitment !== '') {
+    filter.commitment = commitmentHash(query.commitment, 'commitment');
+  }
+  if (query.seedCommitment !== undefined && query.seedCommitment !== '') {
+    filter.seedCommitment = commitmentHash(query.seedCommitment, 'seedCommitment');
+  }
+  if (query.rulesetHash !== undefined && query.rulesetHash !== '') {
+    filter.rulesetHash = commitmentHash(query.rulesetHash, 'rulesetHash');
+  }
+  if (query.protocol !== undefined && query.protocol !== '') {
+    const labels = Object.values(protocols);
+    const label = Object.prototype.hasOwnProperty.call(protocols, query.protocol) ? protocols[query.protocol] : query.protocol;
+    if (!labels.includes(label)) {
+      throw invalid(CODES.UNKNOWN_PROTOCOL, 'protocol', 'Unknown protocol', { supported: labels });
+    }
+    filter.protocol = label;
+  }
+  const version = queryNumber(query, 'engineVersion', true);
+  if (version !== undefined) filter.engineVersion = engineVersion(version, engineVersions);
+  return filter;
+}
+
+// /leaderboard query: window and metric from the given lists, an optional stake tier,
+// minBet (rtp only) and how many entries to return
+function leaderboardQuery(query, { windows, metrics, defaultMinBet }) {
+  const window = query.window === undefined || query.window === '' ? 'weekly' : query.window;
+  if (!windows.includes(window)) {
+    throw invalid(CODES.OUT_OF_RANGE, 'window', `window must be one of ${windows.join(', ')}`, { allowed: windows });
+  }
+  const metric = query.metric === undefined || query.metric === '' ? 'rtp' : query.metric;
+  if (!metrics.includes(metric)) {
+    throw invalid(CODES.OUT_OF_RANGE, 'metric', `metric must be one of ${metrics.join(', ')}`, { allowed: metrics });
+  }
+  const result = { window, metric, limit: 10 };
+  const bet = queryNumber(query, 'betPerBall', true);
+  if (bet !== undefined) result.betPerBall = betPerBall(bet);
+  const minBet = queryNumber(query, 'minBet', true);
+  result.minBet = minBet === undefined ? defaultMinBet : minBet;
+  const limit = queryNumber(query, 'limit', true);
+  if (limit !== undefined) result.limit = requireInteger(limit, 'limit', 1, 100);
+  return result;
+}
+
+// Display name on the leaderboard; the same rule as the client's nickname form
+function nickname(value, field = 'nickname') {
+  if (typeof value !== 'string') throw invalid(CODES.INVALID_TYPE, field, `${field} must be a string`);
+  if (!NICKNAME_RE.test(value)) {
+    throw invalid(CODES.INVALID_FORMAT, field, `${field} must be 3-15 characters of [A-Za-z0-9_]`);
+  }
+  return value;
+}
+
+module.exports = {
+  CODES,
+  ApiError,
+  asyncRoute,
+  isPlainObject,
+  requireInteger,
+  body,
+  clientSeed,
+  numBalls,
+  betPerBall,
+  strategy,
+  protocol,
+  rulesetName,
+  recordRuleset,
+  commitmentHash,
+  serverSeed,
+  engineVersion,
+  storedClientSeed,
+  finite,
+  optionalFinite,
+  inputLog,
+  tickTargets,
+  hashChain,
+  evidence,
+  paging,
+  trailFilter,
+  leaderboardQuery,
+  nickname
+};
@@ -0,0 +1,150 @@
+/**
+ * PADDLA Verify Pool — worker_threads pool for CPU-heavy replay jobs
+ *
+ * A 1000-ball replay is up to 600,000 ticks of SHA-512 + ChaCha20; run inline it would
+ * stall every other request. Jobs are queued FIFO and handed to idle workers.
+ *   run(type, payload) → Promise of the worker's result
+ * Rejections carry err.code:
+ *   POOL_FULL    — queue at maxQueue; caller should answer 503 + Retry-After (see retryAfter())
+ *   JOB_TIMEOUT  — job exceeded timeoutMs; its worker is terminated and replaced
+ *   JOB_FAILED   — the job threw inside the worker, or the worker died (error or exit) while
+ *                  running it; a dead worker is replaced
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'verify-worker.js');
+
+function poolError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+class VerifyPool {
+  constructor({ size = 1, maxQueue = 64, timeoutMs = 60000, script = WORKER_SCRIPT } = {}) {
+    this.size = Math.max(1, size);
+    this.maxQueue = maxQueue;
+    this.timeoutMs = timeoutMs;
+    this.script = script;
+    this.workers = [];   // { worker, job }
+    this.queue = [];     // { id, type, payload, resolve, reject }
+    this.nextId = 1;
+    this.avgJobMs = 1000;  // running estimate for Retry-After
+    this.completed = 0;
+    this.timedOut = 0;
+    this.closed = false;
+    for (let i = 0; i < this.size; i++) this.spawn();
+  }
+
+  spawn() {
+    const slot = { worker: new Worker(this.script), job: null };
+    slot.worker.on('message', msg => this.onMessage(slot, msg));
+    slot.worker.on('error', err => this.onCrash(slot, err));
+    // process.exit() in the worker, or an out-of-memory kill, ends it without an 'error'
+    slot.worker.on('exit', code => this.onCrash(slot, new Error(`Verify worker exited with code ${code}`)));
+    // An idle pool must not keep the process alive; a busy worker does (see dispatch/settle)
+    slot.worker.unref();
+    this.workers.push(slot);
+    return slot;
+  }
+
+  get busy() {
+    return this.workers.filter(s => s.job).length;
+  }
+
+  get queued() {
+    return this.queue.length;
+  }
+
+  // Seconds until a newly queued job would likely start
+  retryAfter() {
+    return Math.max(1, Math.ceil((this.queue.length + 1) * this.avgJobMs / this.size / 1000));
+  }
+
+  stats() {
+    return {
+      workers: this.size, busy: this.busy, queued: this.queued, maxQueue: this.maxQueue,
+      completed: this.completed, timedOut: this.timedOut, avgJobMs: Math.round(this.avgJobMs)
+    };
+  }
+
+  run(type, payload) {
+    if (this.closed) return Promise.reject(poolError('POOL_CLOSED', 'Verify pool is closed'));
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(poolError('POOL_FULL', 'Verification queue is full'));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, type, payload, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    for (const slot of this.workers) {
+      if (slot.job || this.queue.length === 0) continue;
+      const job = this.queue.shift();
+      job.startedAt = Date.now();
+      job.timer = setTimeout(() => this.onTimeout(slot), this.timeoutMs);
+      slot.job = job;
+      slot.worker.ref();
+      slot.worker.postMessage({ id: job.id, type: job.type, payload: job.payload });
+    }
+  }
+
+  settle(slot) {
+    const job = slot.job;
+    clearTimeout(job.timer);
+    slot.job = null;
+    slot.worker.unref();
+    return job;
+  }
+
+  onMessage(slot, msg) {
+    if (!slot.job || slot.job.id !== msg.id) return;
+    const job = this.settle(slot);
+    const elapsed = Date.now() - job.startedAt;
+    this.avgJobMs = this.avgJobMs * 0.8 + elapsed * 0.2;
+    this.completed++;
+    if (msg.error) job.reject(poolError('JOB_FAILED', msg.error));
+    else job.resolve(msg.result);
+    this.dispatch();
+  }
+
+  // A stuck job can only be stopped by killing its worker
+  onTimeout(slot) {
+    if (!slot.job) return;
+    const job = this.settle(slot);
+    this.timedOut++;
+    job.reject(poolError('JOB_TIMEOUT', `Verification exceeded ${this.timeoutMs} ms`));
+    this.replace(slot);
+  }
+
+  onCrash(slot, err) {
+    if (slot.job) this.settle(slot).reject(poolError('JOB_FAILED', err.message));
+    this.replace(slot);
+  }
+
+  replace(slot) {
+    this.workers = this.workers.filter(s => s !== slot);
+    slot.worker.removeAllListeners();
+    slot.worker.on('error', () => {});
+    slot.worker.terminate();
+    if (!this.closed) {
+      this.spawn();
+      this.dispatch();
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    for (const job of this.queue.splice(0)) job.reject(poolError('POOL_CLOSED', 'Verify pool is closed'));
+    for (const slot of this.workers) {
+      if (slot.job) this.settle(slot).reject(poolError('POOL_CLOSED', 'Verify pool is closed'));
+    }
+    await Promise.all(this.workers.map(s => s.worker.terminate()));
+  }
+}
+
+module.exports = { VerifyPool };
@@ -0,0 +1,52 @@
+// PADDLA verification worker — runs replay jobs for verify-pool.js off the main event loop.
+// Jobs:
+//   replay   { engineVersion, serverSeed, numBalls, betPerBall, clientSeed, nonce, ruleset?, inputLog, hashChain? }
+//            → { totalWin, ticks, hashChain? } — hashChain: { head, every, checkpoints } (see core.js)
+//   runOut   { snapshot } → the same as replay, for a live stream game (with its hash chain) that
+//            is played out from a snapshot taken without its inputLog; checkpoints are the new ones
+//   diagnose { game, inputLog, clientTotalWin, evidence } → forensics report (see forensics.js)
+//   simulate { strategy, numGames, ballsPerGame, betPerBall } → RTP summary (see simulator.js)
+
+const { parentPort } = require('worker_threads');
+const { replayRecord, hashCheckpoints, getEngine, restoreState, replayFrom, advanceHashChain } = require('./engine');
+const { diagnose } = require('./forensics');
+const { simulate } = require('./simulator');
+
+const JOBS = {
+  replay(p) {
+    // the payload is a record as far as the registry is concerned
+    const state = replayRecord(p, { hashChain: p.hashChain });
+    const result = { totalWin: state.totalWin, ticks: state.tickCount };
+    if (p.hashChain) {
+      const { head, every } = state.hashChain;
+      result.hashChain = { head, every, checkpoints: hashCheckpoints(state.inputLog) };
+    }
+    return result;
+  },
+  runOut(p) {
+    const state = restoreState(p.snapshot);
+    const engine = getEngine(state.engineVersion);
+    replayFrom(state, [], (s, target) => {
+      const events = engine.tick(s, target);
+      advanceHashChain(s);
+      return events;
+    });
+    const { head, every } = state.hashChain;
+    return { totalWin: state.totalWin, ticks: state.tickCount, hashChain: { head, every, checkpoints: hashCheckpoints(state.inputLog) } };
+  },
+  diagnose(p) {
+    return diagnose(p.game, p.inputLog, p.clientTotalWin, p.evidence);
+  },
+  simulate(p) {
+    return simulate(p);
+  }
+};
+
+parentPort.on('message', ({ id, type, payload }) => {
+  try {
+    if (!JOBS[type]) throw new Error(`Unknown job type: ${type}`);
+    parentPort.postMessage({ id, result: JOBS[type](payload) });
+  } catch (e) {
+    parentPort.postMessage({ id, error: e.message });
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * PADDLA Engine Benchmark (CLI)
+ * Ticks per second of the plain O(n²) ball-ball pass (engine v12) against the grid broadphase
+ * (engine v13) with a given number of balls on the field. Both engines tick the same snapshot,
+ * so the run also checks that they end in the same state.
+ *
+ * Usage: node simulation/bench.js [--ticks N] [--counts 10,25,50,100,200]
+ *   --ticks   ticks timed per engine and ball count (default 1000)
+ *   --counts  balls on the field (MAX_ON_FIELD, at most 200)
+ * Exit code 1 if the two engines ever end in different states.
+ */
+
+const { getEngine } = require('../engine/registry.js');
+const { serializeState, restoreState, stateHash } = require('../engine/core.js');
+
+const SEED = 'b'.repeat(64);
+
+function option(args, name, fallback) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : fallback;
+}
+
+// Small, slow, plain balls that rarely meet: the field stays close to MAX_ON_FIELD
+function rushRuleset(count) {
+  return {
+    config: {
+      MAX_ON_FIELD: count, SPAWN_INTERVAL: 1, SPAWN_COOLDOWN: 0, BALL_R: 0.03, SPEED: 0.02,
+      COUNTDOWN: 1000, GOLDEN_CHANCE: 0, EXPLOSIVE_CHANCE: 0
+    }
+  };
+}
+
+const target = t => ({ x: 2 + (t % 400) / 70, y: 1 + (t % 160) / 80 });
+
+function run(engine, snapshot, ticks) {
+  const state = restoreState(snapshot);
+  let balls = 0;
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < ticks && !state.finished; i++) {
+    engine.tick(state, target(state.tickCount));
+    balls += state.balls.length;
+  }
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  return { perSecond: ticks / seconds, avgBalls: balls / ticks, hash: stateHash(state) };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const ticks = parseInt(option(args, '--ticks', '1000'), 10);
+  const counts = option(args, '--counts', '10,25,50,100,200').split(',').map(Number);
+  const plain = getEngine(12), grid = getEngine(13);
+
+  console.log('balls  avg on field  v12 ticks/s  v13 ticks/s  speedup  same state');
+  let ok = true;
+  for (const count of counts) {
+    const state = grid.createInitialState(SEED, 1000000, 5, { ruleset: rushRuleset(count) });
+    while (state.balls.length < count && state.tickCount < count * 4) grid.tick(state, target(state.tickCount));
+    const snapshot = serializeState(state, { inputLog: false });
+    run(plain, snapshot, Math.min(ticks, 100));  // warm up the JIT
+    run(grid, snapshot, Math.min(ticks, 100));
+    const a = run(plain, snapshot, ticks);
+    const b = run(grid, snapshot, ticks);
+    const same = a.hash === b.hash;
+    ok = ok && same;
+    console.log([
+      String(count).padStart(5), b.avgBalls.toFixed(1).padStart(12), a.perSecond.toFixed(0).padStart(11),
+      b.perSecond.toFixed(0).padStart(11), `${(b.perSecond / a.perSecond).toFixed(2)}x`.padStart(7),
+      (same ? 'yes' : 'NO').padStart(10)
+    ].join('  '));
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,81 @@
+/**
+ * PADDLA Batch Proof Verifier (CLI)
+ * Proves a trail record was sealed in a published Merkle batch (see server/merkle.js).
+ *
+ * Usage:
+ *   node simulation/verify-proof.js <record.json> <proof.json> [--root <hex>]
+ *   node simulation/verify-proof.js --server <url> <gameId> [--root <hex>]
+ *     record.json = GET /trail/:id, proof.json = GET /trail/:id/proof
+ *     --server fetches both, then walks /trail/roots and checks the batch chain and that the
+ *              proof's batch is the one published there
+ *     --root   a batch root archived earlier, which the proof must lead to
+ * Exit code 1 if any check fails.
+ */
+
+const fs = require('fs');
+const { verifyProof, verifyBatchChain } = require('../server/merkle.js');
+
+function usage() {
+  console.log('Usage: node simulation/verify-proof.js <record.json> <proof.json> [--root <hex>]');
+  console.log('       node simulation/verify-proof.js --server <url> <gameId> [--root <hex>]');
+  process.exit(2);
+}
+
+async function getJSON(url) {
+  const res = await fetch(url);
+  const body = await res.json();
+  if (!res.ok) throw new Error(`${url}: ${body.error || res.status}`);
+  return body;
+}
+
+// All published headers, oldest first
+async function fetchRoots(server) {
+  const headers = [];
+  let cursor = null;
+  do {
+    const page = await getJSON(`${server}/trail/roots?limit=200${cursor ? '&cursor=' + cursor : ''}`);
+    headers.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return headers.reverse();
+}
+
+function check(label, ok, detail) {
+  console.log(`${ok ? '✓' : '✗'} ${label}${detail ? ': ' + detail : ''}`);
+  return ok;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const rootAt = args.indexOf('--root');
+  const archivedRoot = rootAt >= 0 ? args.splice(rootAt, 2)[1] : null;
+  if (args.length !== 2 && !(args[0] === '--server' && args.length === 3)) usage();
+
+  let record, proof, published = null;
+  if (args[0] === '--server') {
+    const server = args[1].replace(/\/$/, '');
+    const id = encodeURIComponent(args[2]);
+    [record, proof, published] = await Promise.all([
+      getJSON(`${server}/trail/${id}`), getJSON(`${server}/trail/${id}/proof`), fetchRoots(server)
+    ]);
+  } else {
+    record = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+    proof = JSON.parse(fs.readFileSync(args[1], 'utf8'));
+  }
+
+  const result = verifyProof(record, proof);
+  let ok = check(`record ${record.gameId} in batch #${proof.batch.seq}`, result.ok, result.error);
+  if (archivedRoot) ok = check('root matches the archived one', proof.batch.root === archivedRoot) && ok;
+  if (published) {
+    const chain = verifyBatchChain(published);
+    ok = check(`batch chain (${published.length} batches)`, chain.ok, chain.ok ? '' : `#${chain.seq} ${chain.error}`) && ok;
+    const header = published.find(h => h.seq === proof.batch.seq);
+    ok = check(`batch #${proof.batch.seq} is the published one`, !!header && header.hash === proof.batch.hash) && ok;
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * PADDLA Receipt Verifier (CLI)
+ * Checks the Ed25519 signature on a finish receipt (see server/receipts.js).
+ *
+ * Usage: node simulation/verify-receipt.js <finish.json> (--pubkey <hex> | --server <url>) [--record <trail.json>]
+ *   finish.json  a /game/:id/finish (or /registrar/verify/paddla) response: { receipt, signature, ... }
+ *   --pubkey     the server's public key (hex, from /pubkey), kept from an earlier visit
+ *   --server     fetch the key from <url>/pubkey instead (the registrar's: <url>/registrar)
+ *   --record     the game's trail record: gameId, totalWin and the inputLog hash must match it
+ * Exit code 1 if any check fails.
+ */
+
+const fs = require('fs');
+const { verifyReceipt, inputLogHash } = require('../server/receipts.js');
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args.splice(i, 2)[1] : null;
+}
+
+function check(label, ok) {
+  console.log(`${ok ? '✓' : '✗'} ${label}`);
+  return ok;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  let publicKey = option(args, '--pubkey');
+  const server = option(args, '--server');
+  const recordFile = option(args, '--record');
+  if (args.length !== 1 || (!publicKey && !server)) {
+    console.log('Usage: node simulation/verify-receipt.js <finish.json> (--pubkey <hex> | --server <url>) [--record <trail.json>]');
+    process.exit(2);
+  }
+
+  const signed = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+  if (!signed.receipt || !signed.signature) throw new Error(`${args[0]} holds no receipt`);
+  const { receipt } = signed;
+  let keyId = null;
+  if (!publicKey) {
+    const info = await (await fetch(server.replace(/\/$/, '') + '/pubkey')).json();
+    publicKey = info.publicKey;
+    keyId = info.keyId;
+  }
+
+  let ok = check(`signature (key ${receipt.keyId})`, verifyReceipt(signed, publicKey));
+  if (keyId) ok = check('receipt names the server key', receipt.keyId === keyId) && ok;
+  if (recordFile) {
+    const record = JSON.parse(fs.readFileSync(recordFile, 'utf8'));
+    ok = check('gameId matches the record', receipt.gameId === record.gameId) && ok;
+    ok = check('totalWin matches the record', receipt.totalWin === record.totalWin) && ok;
+    ok = check('inputLog hash matches the record', receipt.inputLogHash === inputLogHash(record.inputLog)) && ok;
+  }
+  console.log(`game ${receipt.gameId}: ${receipt.numBalls} balls × ${receipt.betPerBall}, win ${receipt.totalWin}, ` +
+    `engine v${receipt.engineVersion}, ${new Date(receipt.ts).toISOString()}`);
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
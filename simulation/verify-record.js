@@ -0,0 +1,101 @@
+/**
+ * PADDLA Record Verifier (CLI)
+ * Replays stored game records with the engine version each record was produced by.
+ *
+ * Usage: node simulation/verify-record.js <file.json | file.ndjson> [...]
+ *   A file may hold one record, an array of records, or one record per line (NDJSON).
+ *   A /trail/export file ends with a checksum line, which is checked too.
+ *   Records with a rulesetHash replay under their ruleset, which must hash to it.
+ *   Records with a hashChain are checked tick by tick: every checkpoint hash stamped on the
+ *   inputLog and the chain head must match the replay's own chain.
+ * Records whose serverSeed is not revealed yet (per-player pairs before rotation) are skipped.
+ * Exit code 1 if any record fails.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { recordEngineVersion, replayRecord, getEngine } = require('../engine/registry.js');
+
+let checksumFailed = false;
+
+function loadRecords(file) {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  if (!text) return [];
+  if (text[0] === '[') return JSON.parse(text);
+  try {
+    return [JSON.parse(text)];
+  } catch (e) {
+    const records = text.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+    const last = records[records.length - 1];
+    if (last && last.checksum) {
+      records.pop();
+      const body = text.substring(0, text.lastIndexOf('\n') + 1);
+      const ok = 'sha256:' + crypto.createHash('sha256').update(body).digest('hex') === last.checksum &&
+        records.length === last.count;
+      console.log(`${ok ? '✓' : '✗'} ${file}: export checksum${ok ? '' : ' mismatch'} (${records.length} records)`);
+      if (!ok) checksumFailed = true;
+    }
+    return records;
+  }
+}
+
+function verifyRecord(record) {
+  if (record.commitment) {
+    const hash = crypto.createHash('sha256').update(record.serverSeed).digest('hex');
+    if (hash !== record.commitment) return { ok: false, error: 'commitment mismatch' };
+  }
+  if (record.rulesetHash) {
+    const engine = getEngine(recordEngineVersion(record));
+    if (!engine.rulesetHash) return { ok: false, error: `engine v${engine.version} has no rulesets` };
+    if (engine.rulesetHash(record.ruleset) !== record.rulesetHash) return { ok: false, error: 'rulesetHash mismatch' };
+  }
+  const chain = record.hashChain;
+  const state = replayRecord(record, { hashChain: chain ? chain.every : false });
+  if (state.totalWin !== record.totalWin) {
+    return { ok: false, error: `totalWin mismatch: replay ${state.totalWin} vs record ${record.totalWin}` };
+  }
+  if (!chain) return { ok: true, totalWin: state.totalWin };
+  // The replay logs every tick, so its entry for tick t sits at index t - 1
+  const checkpoints = (record.inputLog || []).filter(e => e.hash !== undefined);
+  const bad = checkpoints.find(e => (state.inputLog[e.tick - 1] || {}).hash !== e.hash);
+  if (bad) return { ok: false, error: `hash chain diverges at or before tick ${bad.tick}` };
+  if (state.hashChain.head !== chain.head) return { ok: false, error: 'hash chain head mismatch' };
+  return { ok: true, totalWin: state.totalWin, checkpoints: checkpoints.length };
+}
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+  console.log('Usage: node simulation/verify-record.js <file.json | file.ndjson> [...]');
+  process.exit(2);
+}
+
+let passed = 0, failed = 0, pending = 0;
+for (const file of files) {
+  for (const record of loadRecords(file)) {
+    const id = (record.gameId || '?').toString().substring(0, 8);
+    const version = recordEngineVersion(record);
+    if (!record.serverSeed) {
+      pending++;
+      console.log(`… ${id}... engine v${version} serverSeed not revealed yet`);
+      continue;
+    }
+    let result;
+    try {
+      result = verifyRecord(record);
+    } catch (e) {
+      result = { ok: false, error: e.message };
+    }
+    if (result.ok) {
+      passed++;
+      const chain = result.checkpoints !== undefined ? `, hash chain ok (${result.checkpoints} checkpoints)` : '';
+      console.log(`✓ ${id}... engine v${version} totalWin=${result.totalWin}${chain}`);
+    } else {
+      failed++;
+      console.log(`✗ ${id}... engine v${version} ${result.error}`);
+    }
+  }
+}
+
+console.log('-'.repeat(50));
+console.log(`Verified: ${passed}, failed: ${failed}${pending ? `, pending: ${pending}` : ''}`);
+process.exit(failed > 0 || checksumFailed ? 1 : 0);
@@ -0,0 +1,69 @@
+/**
+ * PADDLA Seed Verifier (CLI)
+ * Looks up a retired hourly seed by the commitment recorded from /commitment and checks it.
+ *
+ * Usage: node simulation/verify-seed.js <commitment> --server <url> [--games]
+ *   commitment  the 64-hex SHA-256 published by /commitment before play
+ *   --server    the game server (its /seeds/history/:commitment)
+ *   --games     also fetch each game played on the seed from /trail/:id and check it names
+ *               this commitment and seed; a stream game's own seed is recomputed from the link
+ * Exit code 1 if any check fails or the seed is not revealed yet.
+ */
+
+const crypto = require('crypto');
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args.splice(i, 2)[1] : null;
+}
+
+function check(label, ok) {
+  console.log(`${ok ? '✓' : '✗'} ${label}`);
+  return ok;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const server = option(args, '--server');
+  const games = args.includes('--games');
+  const [commitment] = args.filter(a => a !== '--games');
+  if (!commitment || !server) {
+    console.log('Usage: node simulation/verify-seed.js <commitment> --server <url> [--games]');
+    process.exit(2);
+  }
+  const base = server.replace(/\/$/, '');
+
+  const res = await fetch(`${base}/seeds/history/${commitment}`);
+  const entry = await res.json();
+  if (!res.ok) {
+    const when = entry.revealsAt ? `, revealed at ${new Date(entry.revealsAt).toISOString()}` : '';
+    console.log(`${entry.error} (${entry.code}${when})`);
+    process.exit(1);
+  }
+
+  const sha256 = str => crypto.createHash('sha256').update(str).digest('hex');
+  let ok = check('SHA256(serverSeed) === commitment', sha256(entry.serverSeed) === commitment);
+  // Seeds from before derived seeds have no link
+  if (entry.link) ok = check("SHA256(link + ':server') === serverSeed", sha256(entry.link + ':server') === entry.serverSeed) && ok;
+  console.log(`current ${new Date(entry.activeFrom).toISOString()} – ${new Date(entry.activeUntil).toISOString()}, ` +
+    `retired ${new Date(entry.retiredAt).toISOString()}, ${entry.gameIds.length} games`);
+  if (games) {
+    for (const id of entry.gameIds) {
+      const r = await fetch(`${base}/trail/${encodeURIComponent(id)}`);
+      if (r.status === 404) { console.log(`- ${id}: not on the trail (unverified or unfinished)`); continue; }
+      const record = await r.json();
+      // Stream games play on their own seed, derived from the link (server/seed-chain.js)
+      const played = record.seedCommitment
+        ? record.seedCommitment === commitment && !!entry.link && record.serverSeed === crypto.createHmac('sha256', entry.link)
+          .update(`stream:${record.clientSeed}:${record.nonce}`).digest('hex')
+        : record.commitment === commitment && record.serverSeed === entry.serverSeed;
+      ok = check(`${id} played on this seed`, played) && ok;
+    }
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+const { ENGINE_VERSION } = require('./engine/core');
+const { getEngine, recordEngineVersion } = require('./engine/registry');
+
+const SEED = 'test_determinism_seed_paddla_uvs9';
+
+function play(version, options) {
+  const engine = getEngine(version);
+  const state = engine.createInitialState(SEED, 5, 5, options);
+  let safety = 0;
+  while (!state.finished && safety < 50000) {
+    engine.tick(state, { x: 4.5 + Math.sin(state.tickCount * 0.1) * 1.5, y: 2.0 });
+    safety++;
+  }
+  return state;
+}
+
+console.log('ENGINE_VERSION:', ENGINE_VERSION);
+
+// v9 must reproduce the pre-v10 baseline (same as test-determinism.js before v10)
+const v9 = play(9);
+console.log('v9 baseline PASS:', v9.tickCount === 674 && v9.totalWin === 7);
+console.log('v9 clientSeed fixed PASS:', v9.uvsHeader.clientSeed === 'uvs-paddla');
+
+// v10: clientSeed and nonce change the outcome stream
+const a1 = play(10, { clientSeed: 'alice', nonce: 1 });
+const a2 = play(10, { clientSeed: 'alice', nonce: 2 });
+const b1 = play(10, { clientSeed: 'bob', nonce: 1 });
+console.log('v10 clientSeed in header PASS:', a1.uvsHeader.clientSeed === 'alice' && a1.uvsHeader.minNonce === 1);
+console.log('v10 nonce matters PASS:', a1.tickCount !== a2.tickCount || a1.totalWin !== a2.totalWin);
+console.log('v10 clientSeed matters PASS:', a1.tickCount !== b1.tickCount || a1.totalWin !== b1.totalWin);
+
+// Each version replays with its own derivation
+const r9 = getEngine(9).replay(SEED, 5, v9.inputLog, 5);
+const r10 = getEngine(10).replay(SEED, 5, a1.inputLog, 5, { clientSeed: 'alice', nonce: 1 });
+const wrong = getEngine(9).replay(SEED, 5, a1.inputLog, 5);
+console.log('v9 replay PASS:', r9.totalWin === v9.totalWin && r9.tickCount === v9.tickCount);
+console.log('v10 replay PASS:', r10.totalWin === a1.totalWin && r10.tickCount === a1.tickCount);
+console.log('cross-version replay diverges PASS:', wrong.tickCount !== a1.tickCount || wrong.totalWin !== a1.totalWin);
+
+// Record version mapping
+console.log('record version PASS:',
+  recordEngineVersion({ engineVersion: '0.6' }) === 9 &&
+  recordEngineVersion({}) === 9 &&
+  recordEngineVersion({ engineVersion: 10 }) === 10
+);
@@ -0,0 +1,64 @@
+const core = require('./engine/core');
+const { getEngine, replayRecord } = require('./engine/registry');
+
+const SEED = 'test_determinism_seed_paddla_uvs9';
+
+function play(engine, options, numBalls = 5) {
+  const state = engine.createInitialState(SEED, numBalls, 5, options);
+  let safety = 0;
+  while (!state.finished && safety < 50000) {
+    engine.tick(state, { x: 4.5 + Math.sin(state.tickCount * 0.1) * 1.5, y: 2.0 });
+    safety++;
+  }
+  return state;
+}
+
+console.log('ENGINE_VERSION:', core.ENGINE_VERSION);
+
+// The default ruleset is the v10 game: same outcome for the same seeds and inputs
+const opts = { clientSeed: 'alice', nonce: 1 };
+const v10 = play(getEngine(10), opts);
+const v11 = play(getEngine(11), opts);
+const live = play(core, opts);
+console.log('default ruleset is v10 PASS:', v11.totalWin === v10.totalWin && v11.tickCount === v10.tickCount &&
+  core.stateHash(v11) === core.stateHash(v10) && core.stateHash(live) === core.stateHash(v11));
+
+// Canonical hash: omitted rules, explicit defaults and key order all name the same ruleset
+const defaultHash = core.rulesetHash();
+console.log('ruleset hash PASS:', v11.uvsHeader.params.rulesetHash === defaultHash &&
+  core.rulesetHash({ config: { GOLDEN_CHANCE: 0.01, FIELD: 9 } }) === defaultHash &&
+  core.rulesetHash({ bumper: { MAX_SPEED: 0.2 } }) !== defaultHash &&
+  getEngine(11).rulesetHash({ bumper: { MAX_SPEED: 0.2 } }) === core.rulesetHash({ bumper: { MAX_SPEED: 0.2 } }));
+
+// Rules change the game: every ball golden, a lower progressive cap, a tighter bumper range
+const gold = { config: { GOLDEN_CHANCE: 1, EXPLOSIVE_CHANCE: 0, PROGRESSIVE_CAP: 2 }, bumper: { MIN_X: 4, MAX_X: 5 } };
+const variant = core.createInitialState(SEED, 6, 5, { ...opts, ruleset: gold });
+let golden = true, maxProgressive = 0, minX = Infinity, maxX = -Infinity;
+while (!variant.finished) {
+  for (const ev of core.tick(variant, { x: variant.tickCount % 200 < 100 ? 0 : 9, y: 2 })) {
+    if (ev.type === 'spawn') golden = golden && ev.ball.type === 'golden';
+  }
+  maxProgressive = Math.max(maxProgressive, variant.progressive);
+  minX = Math.min(minX, variant.bumper.x); maxX = Math.max(maxX, variant.bumper.x);
+}
+console.log('rules apply PASS:', golden && maxProgressive <= 2 && minX >= 4 && maxX <= 5 &&
+  variant.uvsHeader.params.rulesetHash === core.rulesetHash(gold));
+
+// A record replays under its own ruleset on the frozen v11; older engines refuse one
+const record = { engineVersion: 11, serverSeed: SEED, numBalls: 6, betPerBall: 5, ...opts, ruleset: gold, inputLog: variant.inputLog };
+const replayed = replayRecord(record);
+const classic = replayRecord({ ...record, ruleset: undefined });
+let refused = false;
+try { replayRecord({ ...record, engineVersion: 10 }); } catch (e) { refused = e.message.includes('no rulesets'); }
+console.log('variant replay PASS:', replayed.totalWin === variant.totalWin && replayed.tickCount === variant.tickCount &&
+  (classic.totalWin !== variant.totalWin || classic.tickCount !== variant.tickCount) && refused);
+
+// Nonsense rules never reach tick()
+const rejects = (ruleset, msg) => { try { core.resolveRuleset(ruleset); return false; } catch (e) { return e.message.includes(msg); } };
+console.log('invalid ruleset PASS:', rejects({ config: { GRAVITY: 1 } }, 'unknown rule config.GRAVITY') &&
+  rejects({ config: { GOLDEN_CHANCE: 0.7, EXPLOSIVE_CHANCE: 0.5 } }, 'adding up to at most 1') &&
+  rejects({ config: { COUNTDOWN: 4.5 } }, 'config.COUNTDOWN') &&
+  rejects({ bumper: { MIN_X: 6, MAX_X: 5 } }, 'bumper.MIN_X..MAX_X') &&
+  rejects({ config: { SPEED: '0.1' } }, 'finite number') &&
+  rejects({ physics: {} }, 'unknown section physics') &&
+  Object.isFrozen(core.resolveRuleset({}).config));
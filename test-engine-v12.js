@@ -0,0 +1,52 @@
+const core = require('./engine/core');
+const { getEngine, replayRecord } = require('./engine/registry');
+const vectors = require('./engine/math-vectors.json');
+
+const SEED = 'test_determinism_seed_paddla_uvs9';
+const KERNEL = ['detSqrt', 'detSin', 'detCos', 'detAtan2'];
+
+console.log('ENGINE_VERSION:', core.ENGINE_VERSION);
+
+// Conformance: the live kernel and the frozen v12 reproduce every pinned output bit for bit
+function conforms(m) {
+  return vectors.sqrt.every(([x, out]) => Object.is(m.detSqrt(x), out)) &&
+    vectors.sin.every(([x, out]) => Object.is(m.detSin(x), out)) &&
+    vectors.cos.every(([x, out]) => Object.is(m.detCos(x), out)) &&
+    vectors.atan2.every(([y, x, out]) => Object.is(m.detAtan2(y, x), out));
+}
+console.log('conformance vectors PASS:', vectors.engineVersion === 12 && conforms(core) && conforms(getEngine(12)));
+
+// Accurate as well as deterministic: within 2 ulps of this runtime's Math, signed zeros included
+const ulps = (a, b) => Math.abs(a - b) / Math.max(Math.abs(b), Number.MIN_VALUE) / Number.EPSILON;
+let worst = 0;
+for (let i = 1; i <= 4000; i++) {
+  const a = (i - 2000) * 0.0016, r = i * 0.025;
+  worst = Math.max(worst, ulps(core.detSin(a), Math.sin(a)), ulps(core.detCos(a), Math.cos(a)),
+    ulps(core.detSqrt(r), Math.sqrt(r)), ulps(core.detAtan2(a, 1 - r / 50), Math.atan2(a, 1 - r / 50)));
+}
+console.log('accuracy PASS:', worst <= 2 && Object.is(core.detAtan2(-0, 1), -0) &&
+  core.detAtan2(-0, -1) === -Math.PI && Object.is(core.detSqrt(-0), -0) && Number.isNaN(core.detSqrt(-1)));
+
+// The physics never reaches Math's transcendentals: a game plays through with them disabled
+function play(engine, numBalls = 6) {
+  const state = engine.createInitialState(SEED, numBalls, 5, { clientSeed: 'alice', nonce: 1 });
+  while (!state.finished) engine.tick(state, { x: 2 + (state.tickCount % 300) / 50, y: 1 + (state.tickCount % 120) / 60 });
+  return state;
+}
+const saved = {};
+for (const name of ['sqrt', 'sin', 'cos', 'atan2']) {
+  saved[name] = Math[name];
+  Math[name] = () => { throw new Error(`Math.${name} called`); };
+}
+let live, frozen, error = null;
+try { live = play(core); frozen = play(getEngine(12)); } catch (e) { error = e.message; }
+Object.assign(Math, saved);
+console.log('no Math trig PASS:', error === null && frozen.engineVersion === 12 &&
+  core.stateHash(live) === core.stateHash(frozen), error || '');
+
+// v12 records replay through the registry; v11 records keep their own engine
+const record = { engineVersion: 12, serverSeed: SEED, numBalls: 6, betPerBall: 5, clientSeed: 'alice', nonce: 1, inputLog: live.inputLog };
+const v11 = replayRecord({ ...record, engineVersion: 11 });
+console.log('replay PASS:', core.stateHash(replayRecord(record)) === core.stateHash(live) && v11.engineVersion === 11 &&
+  core.stateHash(v11) === core.stateHash(getEngine(11).replay(SEED, 6, live.inputLog, 5, { clientSeed: 'alice', nonce: 1 })) &&
+  KERNEL.every(k => typeof getEngine(12)[k] === 'function'));
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const vm = require('vm');
+const core = require('./engine/core');
+const { getEngine, replayRecord } = require('./engine/registry');
+
+const SEED = 'test_determinism_seed_paddla_uvs9';
+const OPTS = { clientSeed: 'alice', nonce: 1 };
+
+console.log('ENGINE_VERSION:', core.ENGINE_VERSION);
+
+function play(engine, numBalls, ruleset) {
+  const state = engine.createInitialState(SEED, numBalls, 5, { ...OPTS, ruleset });
+  let events = 0, crowd = 0;
+  while (!state.finished) {
+    events += engine.tick(state, { x: 2 + (state.tickCount % 300) / 50, y: 1 + (state.tickCount % 120) / 60 }).length;
+    crowd = Math.max(crowd, state.balls.length);
+  }
+  return { hash: core.stateHash(state), totalWin: state.totalWin, ticks: state.tickCount, events, crowd, state };
+}
+const same = (a, b) => a.hash === b.hash && a.totalWin === b.totalWin && a.ticks === b.ticks && a.events === b.events;
+
+// The classic game is untouched
+console.log('classic PASS:', same(play(getEngine(13), 8), play(getEngine(12), 8)) && same(play(core, 8), play(getEngine(12), 8)));
+
+// Ball rush: the broadphase resolves exactly the pairs the plain pass does, in the same order,
+// also when special balls get pushed apart in the middle of the pass. The plain pass is v12's
+// physics on v13's PRNG: v12 itself stops at 64 draws a tick, which a crowded tick can pass.
+const sandbox = { window: { ...core, UVS_PRNG: core.UVS_PRNG_V13 } };
+vm.runInNewContext(fs.readFileSync(require.resolve('./engine/versions/v12.js'), 'utf8'), sandbox);
+const plainPass = sandbox.window.PADDLA_ENGINES[12];
+const rush = { config: { MAX_ON_FIELD: 200, SPAWN_INTERVAL: 1, SPAWN_COOLDOWN: 0, BALL_R: 0.05, SPEED: 0.04 } };
+const specials = { config: { ...rush.config, BALL_R: 0.1, SPEED: 0.05, GOLDEN_CHANCE: 0.5, EXPLOSIVE_CHANCE: 0.3 } };
+const grid = play(getEngine(13), 1200, rush), plain = play(plainPass, 1200, rush);
+const pushed = play(core, 600, specials);
+console.log('ball rush PASS:', grid.crowd > 100 && same(grid, plain) && same(play(core, 1200, rush), plain) &&
+  pushed.crowd > 50 && same(pushed, play(plainPass, 600, specials)));
+
+// v13 records replay through the registry
+const record = { engineVersion: 13, serverSeed: SEED, numBalls: 600, betPerBall: 5, ...OPTS, ruleset: specials, inputLog: pushed.state.inputLog };
+console.log('replay PASS:', core.stateHash(replayRecord(record)) === pushed.hash);
+
+// Up to 200 balls on the field; frozen engines keep their own rules
+const rejects = (engine, ruleset) => { try { engine.resolveRuleset(ruleset); return false; } catch (e) { return e.message.includes('MAX_ON_FIELD must be at most 200'); } };
+console.log('field limit PASS:', rejects(core, { config: { MAX_ON_FIELD: 201 } }) &&
+  rejects(getEngine(13), { config: { MAX_ON_FIELD: 201 } }) && !rejects(core, { config: { MAX_ON_FIELD: 200 } }) &&
+  getEngine(12).resolveRuleset({ config: { MAX_ON_FIELD: 201 } }).config.MAX_ON_FIELD === 201);
+
+// A crowded tick may draw past the pre-generated keystream; v13's PRNG regrows it as the same
+// ChaCha20 stream, while v9-v12's PRNG still stops where it always did
+const seed = core.sha512Hex('keystream');
+const prng = new core.UVS_PRNG_V13(seed);
+const draws = Array.from({ length: 300 }, () => prng.nextUint32());
+const iv = Buffer.concat([Buffer.alloc(4), Buffer.from(seed, 'hex').subarray(32, 44)]);
+const stream = crypto.createCipheriv('chacha20', Buffer.from(seed, 'hex').subarray(0, 32), iv).update(Buffer.alloc(1200));
+const frozen = new core.UVS_PRNG(seed);
+let stopped = false;
+try { for (let i = 0; i <= 64; i++) frozen.nextUint32(); } catch (e) { stopped = e.message.includes('keystream exhausted'); }
+let crowdedV12 = false;
+try { play(getEngine(12), 600, specials); } catch (e) { crowdedV12 = e.message.includes('keystream exhausted'); }
+console.log('keystream PASS:', draws.every((v, i) => v === stream.readUInt32LE(i * 4)) && stopped && crowdedV12 &&
+  frozen.consumed().every((v, i) => v === draws[i]));
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const core = require('./engine/core');
+const { CURRENT_VERSION, listVersions, getEngine, replayRecord } = require('./engine/registry');
+
+console.log('Registered versions:', listVersions().join(', '));
+console.log('Current version frozen PASS:', listVersions().includes(CURRENT_VERSION));
+
+// The frozen copy of the current version must match the live engine tick for tick
+function runLive(engine, seed, options) {
+  const state = engine.createInitialState(seed, 20, 5, options);
+  const trace = [];
+  let safety = 0;
+  while (!state.finished && safety < 100000) {
+    const t = { x: 4.5 + Math.sin(state.tickCount * 0.07) * 2.5, y: 2.0 + Math.cos(state.tickCount * 0.05) };
+    const events = engine.tick(state, t);
+    for (const e of events) trace.push(state.tickCount + ':' + e.type);
+    safety++;
+  }
+  return { state, trace: trace.join(',') };
+}
+
+let same = true;
+for (let g = 0; g < 5; g++) {
+  const seed = crypto.createHash('sha256').update('registry-' + g).digest('hex');
+  const opts = { clientSeed: 'player' + g, nonce: g + 1 };
+  const live = runLive(core, seed, opts);
+  const frozen = runLive(getEngine(CURRENT_VERSION), seed, opts);
+  if (live.state.totalWin !== frozen.state.totalWin || live.trace !== frozen.trace) same = false;
+}
+console.log('Frozen current == core.js PASS:', same);
+
+// A v9 trail record (old '0.6' label, delta-encoded inputLog) replays through the frozen v9 engine
+const v9 = getEngine(9);
+const seed9 = 'test_determinism_seed_paddla_uvs9';
+const played = v9.createInitialState(seed9, 5);
+while (!played.finished) v9.tick(played, { x: 4.5 + Math.sin(played.tickCount * 0.1) * 1.5, y: 2.0 });
+const delta = [];
+let last = null;
+for (const e of played.inputLog) {
+  const k = e.target.x + ',' + e.target.y;
+  if (k !== last) { delta.push(e); last = k; }
+}
+const rec = { engineVersion: '0.6', serverSeed: seed9, numBalls: 5, betPerBall: 5, inputLog: delta };
+console.log('v9 record replay PASS:', replayRecord(rec).totalWin === played.totalWin && played.totalWin === 7);
+
+let threw = false;
+try { getEngine(3); } catch (e) { threw = /Unknown engine version/.test(e.message); }
+console.log('Unknown version rejected PASS:', threw);